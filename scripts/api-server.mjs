@@ -0,0 +1,35 @@
+import { createApiServer } from "./lib/api-server.mjs";
+
+/**
+ * เปิด HTTP API อ่านอย่างเดียวจากไฟล์ใน public/ (route ทั้งหมดดูที่ lib/api-server.mjs)
+ *
+ * ใช้งาน: node scripts/api-server.mjs
+ *   API_PORT (ค่าเริ่มต้น 3000), API_HOST (ค่าเริ่มต้น 127.0.0.1)
+ *   API_PUBLIC_DIR (ค่าเริ่มต้น public), API_CORS_ORIGIN (ค่าเริ่มต้น *), API_MAX_AGE (วินาที, ค่าเริ่มต้น 60)
+ */
+
+const API_PORT = Number(process.env.API_PORT || 3000);
+const API_HOST = process.env.API_HOST || "127.0.0.1";
+
+async function main() {
+  const server = createApiServer({
+    publicDir: process.env.API_PUBLIC_DIR || "public",
+    corsOrigin: process.env.API_CORS_ORIGIN || "*",
+    maxAge: Number(process.env.API_MAX_AGE || 60),
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(API_PORT, API_HOST, resolve);
+  });
+  console.log(`🌐 API listening on http://${API_HOST}:${API_PORT}`);
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => server.close(() => process.exit(0)));
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import puppeteer from "puppeteer-extra";
+import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import { isCloudflareChallenge } from "./lib/calc-page.mjs";
+import { archiveDraws, drawKey, loadHistory } from "./lib/history.mjs";
+import { LOTTERIES, getLottery } from "./lib/lotteries.mjs";
+import { parseLottery } from "./lib/result-parsers.mjs";
+import { formatResults } from "./lib/results-format.mjs";
+import {
+  parseThaiGovernmentPrizes,
+  validateThaiGovernmentPrizes,
+} from "./lib/thai-government-prizes.mjs";
+
+/**
+ * Script สำหรับดึงผลหวยย้อนหลังทีละงวดจากหน้าผลรายงวดของ exphuay.com เข้าคลัง public/history/
+ * (exphuay_all_results.mjs เห็นแค่งวดล่าสุดบนหน้าแรก)
+ *
+ * ใช้งาน: node scripts/backfill-history.mjs <lottery_id> <from YYYY-MM-DD> <to YYYY-MM-DD>
+ *
+ * - เดินทีละวันในช่วงที่กำหนด วันที่มีในคลังแล้วจะข้าม (ไม่โหลดหน้าเว็บซ้ำ)
+ * - ความคืบหน้าเก็บใน scripts/.backfill-checkpoint.json สั่งคำสั่งเดิมซ้ำจะทำต่อจากวันล่าสุด
+ * - หน่วงระหว่างหน้า BACKFILL_DELAY_MS (default 5000) เพื่อไม่ให้โดน Cloudflare block
+ * - วันที่โหลดไม่สำเร็จเก็บไว้ใน failed ของ checkpoint และจบด้วย exit code 1
+ */
+
+puppeteer.use(StealthPlugin());
+
+const SCRIPT_DIR = path.dirname(new URL(import.meta.url).pathname);
+const CHECKPOINT_FILE = path.join(SCRIPT_DIR, ".backfill-checkpoint.json");
+const BASE_URL = "https://exphuay.com";
+const BACKFILL_DELAY_MS = Number(process.env.BACKFILL_DELAY_MS || 5000);
+const BACKFILL_RETRIES = Number(process.env.BACKFILL_RETRIES || 2);
+const PAGE_RENDER_WAIT_MS = Number(process.env.PAGE_RENDER_WAIT_MS || 5000);
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function parseISODate(value, label) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "") || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new Error(`${label} ต้องเป็นวันที่รูปแบบ YYYY-MM-DD (ได้ "${value}")`);
+  }
+  return value;
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+async function loadCheckpoints() {
+  try {
+    return JSON.parse(await fs.readFile(CHECKPOINT_FILE, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+async function saveCheckpoints(checkpoints) {
+  await fs.writeFile(CHECKPOINT_FILE, JSON.stringify(checkpoints, null, 2), "utf8");
+}
+
+// หน้าผลรายงวด: {BASE_URL}/result/{resultSlug}/{YYYY-MM-DD}
+async function fetchDrawPage(browser, lottery, isoDate) {
+  const url = `${BASE_URL}/result/${lottery.resultSlug}/${isoDate}`;
+  const page = await browser.newPage();
+  try {
+    await page.setUserAgent(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+    );
+    const response = await page.goto(url, { waitUntil: "networkidle2", timeout: 120000 });
+    if (response?.status() === 404) return null;
+    await delay(PAGE_RENDER_WAIT_MS);
+
+    if (await page.evaluate(isCloudflareChallenge)) {
+      throw new Error("blocked by Cloudflare");
+    }
+    return await page.evaluate(() => document.body.innerText);
+  } finally {
+    await page.close();
+  }
+}
+
+async function main() {
+  const [lotteryId, fromArg, toArg] = process.argv.slice(2);
+  const lottery = getLottery(lotteryId);
+  if (!lottery) {
+    throw new Error(
+      `Usage: node scripts/backfill-history.mjs <lottery_id> <from> <to>\n   lottery_id: ${LOTTERIES.map((l) => l.id).join(", ")}`
+    );
+  }
+  const from = parseISODate(fromArg, "from");
+  const to = parseISODate(toArg, "to");
+  if (from > to) throw new Error(`from (${from}) ต้องไม่หลัง to (${to})`);
+
+  const checkpointKey = `${lotteryId}:${from}:${to}`;
+  const checkpoints = await loadCheckpoints();
+  const checkpoint = checkpoints[checkpointKey] || {
+    lottery: lotteryId,
+    from,
+    to,
+    next_date: from,
+    fetched: 0,
+    no_draw: 0,
+    failed: [],
+    completed: false,
+  };
+  checkpoints[checkpointKey] = checkpoint;
+
+  console.log(`🗄️ Backfill ${lotteryId}: ${from} → ${to}`);
+  if (checkpoint.completed) {
+    console.log("✅ Already completed (ลบ entry ใน .backfill-checkpoint.json เพื่อดึงใหม่)");
+    return;
+  }
+  if (checkpoint.next_date !== from) console.log(`⏯️ Resuming from ${checkpoint.next_date}`);
+
+  // วันที่มีในคลังแล้วไม่ต้องโหลดซ้ำ
+  const archived = new Set((await loadHistory(lottery.id)).map((d) => d.draw_date));
+
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"],
+  });
+
+  try {
+    for (let date = checkpoint.next_date; date <= to; date = addDays(date, 1)) {
+      if (archived.has(date)) {
+        console.log(`  ♻️ ${date} already archived`);
+      } else {
+        let bodyText = null;
+        let lastError = null;
+        for (let attempt = 0; attempt <= BACKFILL_RETRIES; attempt++) {
+          try {
+            bodyText = await fetchDrawPage(browser, lottery, date);
+            lastError = null;
+            break;
+          } catch (e) {
+            lastError = e;
+            console.log(`  ⚠️ ${date} attempt ${attempt + 1} failed: ${e.message.slice(0, 120)}`);
+            await delay(BACKFILL_DELAY_MS * (attempt + 2));
+          }
+        }
+
+        const raw = bodyText ? parseLottery(bodyText, lottery) : null;
+        const [record] = raw ? formatResults({ lotteries: [raw] }) : [];
+
+        if (lastError) {
+          if (!checkpoint.failed.includes(date)) checkpoint.failed.push(date);
+        } else if (!record || record.draw_date !== date) {
+          // หน้าวันที่ไม่มีออกรางวัลมักแสดงงวดใกล้เคียงแทน ไม่เอามาปนกับวันที่ขอ
+          console.log(`  ➖ ${date} no draw`);
+          checkpoint.no_draw++;
+        } else {
+          // หน้าผลรายงวดของสลากรัฐบาลมีตารางรางวัลเต็ม เก็บไว้ด้วยถ้าอ่านได้ครบ
+          if (lottery.id === "thai_government") {
+            const prizes = parseThaiGovernmentPrizes(bodyText);
+            const prizeErrors = validateThaiGovernmentPrizes(prizes, record.results);
+            if (prizeErrors.length === 0) record.results.prizes = prizes;
+            else console.log(`  ⚠️ ${date} prize table rejected: ${prizeErrors.join("; ")}`);
+          }
+          await archiveDraws([record]);
+          archived.add(date);
+          checkpoint.fetched++;
+          checkpoint.failed = checkpoint.failed.filter((d) => d !== date);
+          console.log(`  ✅ ${date} ${drawKey(record)}: ${JSON.stringify(record.results)}`);
+        }
+
+        await delay(BACKFILL_DELAY_MS);
+      }
+
+      checkpoint.next_date = addDays(date, 1);
+      checkpoint.updated_at = nowISO();
+      await saveCheckpoints(checkpoints);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  checkpoint.completed = checkpoint.failed.length === 0;
+  checkpoint.updated_at = nowISO();
+  await saveCheckpoints(checkpoints);
+
+  console.log(
+    `\n✅ Backfill ${lotteryId} done: ${checkpoint.fetched} fetched, ${checkpoint.no_draw} without draw, ${checkpoint.failed.length} failed`
+  );
+  if (checkpoint.failed.length > 0) {
+    // รันซ้ำด้วยคำสั่งเดิมเพื่อดึงเฉพาะวันที่ล้มเหลว
+    checkpoint.next_date = checkpoint.failed[0];
+    await saveCheckpoints(checkpoints);
+    console.log(`⚠️ Failed dates: ${checkpoint.failed.join(", ")}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import puppeteer from "puppeteer-extra";
+import StealthPlugin from "puppeteer-extra-plugin-stealth";
+import { LOTTERY_SOURCES } from "./lib/lotteries.mjs";
+import {
+  PANEL_SEGMENTS,
+  extractCalculationData,
+  isCloudflareChallenge,
+  markCalculationPanels,
+} from "./lib/calc-page.mjs";
+
+/**
+ * Script สำหรับจับภาพหน้าคำนวณหวยจาก exphuay.com ไปเป็น input ของ scrape-calculation.mjs
+ *
+ * แต่ละหวยจะได้ 3 รูปใน scripts/exp-images/ (ตัดเฉพาะ panel ด้วย element clipping):
+ *   {imagePrefix}_1.png = คำนวณหวยประจำวัน
+ *   {imagePrefix}_2.png = สถิติจำนวนครั้งที่ออก (เลข 0-9)
+ *   {imagePrefix}_3.png = สถิติ 30 งวดล่าสุด
+ *
+ * และอ่านตัวเลขจาก DOM ตรงๆ เก็บไว้ใน {imagePrefix}_dom.json พร้อม sha256 ของรูปชุดเดียวกัน (image_hashes)
+ * (scrape-calculation.mjs ใช้ไฟล์นี้ก่อน แล้วค่อยให้ AI อ่านรูปเฉพาะ segment ที่ DOM อ่านไม่ได้
+ *  รูปที่ถูกแทนทีหลังจน hash ไม่ตรง DOM ของรูปนั้นจะไม่ถูกใช้)
+ *
+ * ใช้งาน: node scripts/capture-exp-images.mjs [lottery_id ...]
+ * ถ้าหา panel ไม่เจอจะเซฟ debug-{id}.png และจบด้วย exit code 1
+ * (ยกเว้นหวยที่ calculation.optional ซึ่งข้ามไปพร้อมคำเตือน ถ้าไม่ได้ระบุ id นั้นมาเอง)
+ */
+
+puppeteer.use(StealthPlugin());
+
+const SCRIPT_DIR = path.dirname(new URL(import.meta.url).pathname);
+const IMAGES_DIR = path.join(SCRIPT_DIR, "exp-images");
+const PAGE_RENDER_WAIT_MS = Number(process.env.PAGE_RENDER_WAIT_MS || 8000);
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+async function capturePanels(browser, source) {
+  const page = await browser.newPage();
+  try {
+    await page.setUserAgent(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+    );
+    await page.setViewport({ width: 1920, height: 1080 });
+
+    console.log(`  📄 Loading ${source.sourceUrl}...`);
+    await page.goto(source.sourceUrl, { waitUntil: "networkidle2", timeout: 120000 });
+    await delay(PAGE_RENDER_WAIT_MS);
+
+    if (await page.evaluate(isCloudflareChallenge)) {
+      await page.screenshot({ path: `debug-${source.id}.png` });
+      throw new Error(`blocked by Cloudflare (debug-${source.id}.png)`);
+    }
+
+    // Scroll ทั้งหน้าเพื่อให้ lazy load ทำงาน
+    await page.evaluate(async () => {
+      for (let i = 0; i < 10; i++) {
+        window.scrollBy(0, 600);
+        await new Promise((r) => setTimeout(r, 300));
+      }
+      window.scrollTo(0, 0);
+    });
+
+    const found = await page.evaluate(markCalculationPanels);
+    const missing = PANEL_SEGMENTS.filter((s) => !found.includes(s));
+    if (missing.length > 0) {
+      await page.screenshot({ path: `debug-${source.id}.png`, fullPage: true });
+      throw new Error(`panel not found: ${missing.join(", ")} (debug-${source.id}.png)`);
+    }
+
+    // จับภาพให้ครบทั้ง 3 ก่อน แล้วค่อยเขียนไฟล์ จะได้ไม่มีชุดรูปครึ่งๆ กลางๆ
+    const shots = [];
+    for (const [i, segment] of PANEL_SEGMENTS.entries()) {
+      const el = await page.$(`[data-exp-panel="${segment}"]`);
+      const buffer = await el.screenshot({ type: "png" });
+      shots.push({ file: `${source.imagePrefix}_${i + 1}.png`, segment, buffer });
+    }
+
+    const dom = await page.evaluate(extractCalculationData);
+    return { shots, dom };
+  } finally {
+    await page.close();
+  }
+}
+
+async function main() {
+  console.log("📸 Starting calculation image capture...");
+  console.log(`📅 ${nowISO()}\n`);
+
+  const onlyIds = process.argv.slice(2);
+  const unknown = onlyIds.filter((id) => !LOTTERY_SOURCES.some((s) => s.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`ไม่รู้จักหวย: ${unknown.join(", ")}`);
+  }
+  const sources = onlyIds.length > 0
+    ? LOTTERY_SOURCES.filter((s) => onlyIds.includes(s.id))
+    : LOTTERY_SOURCES;
+
+  await fs.mkdir(IMAGES_DIR, { recursive: true });
+
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-gpu",
+    ],
+  });
+
+  const failures = [];
+  const skipped = [];
+  try {
+    for (const source of sources) {
+      console.log(`\n📌 ${source.name} (${source.id})`);
+      try {
+        const { shots, dom } = await capturePanels(browser, source);
+        for (const shot of shots) {
+          await fs.writeFile(path.join(IMAGES_DIR, shot.file), shot.buffer);
+          console.log(`  💾 Saved: ${shot.file} (${shot.segment})`);
+        }
+
+        const domFile = `${source.imagePrefix}_dom.json`;
+        const domResult = {
+          lottery: source.id,
+          source_url: source.sourceUrl,
+          captured_at: nowISO(),
+          image_hashes: Object.fromEntries(
+            shots.map((shot) => [shot.file, crypto.createHash("sha256").update(shot.buffer).digest("hex")])
+          ),
+          ...dom,
+        };
+        await fs.writeFile(
+          path.join(IMAGES_DIR, domFile),
+          JSON.stringify(domResult, null, 2),
+          "utf8"
+        );
+        console.log(`  💾 Saved: ${domFile}`);
+        for (const [segment, reason] of Object.entries(dom.errors)) {
+          console.log(`  ⚠️ DOM extraction failed for ${segment}: ${reason} (AI will read the image)`);
+        }
+      } catch (e) {
+        if (source.optional && !onlyIds.includes(source.id)) {
+          console.log(`  ⏭️ Skipped (optional page): ${e.message}`);
+          skipped.push(source.id);
+          continue;
+        }
+        console.log(`  ❌ Error: ${e.message}`);
+        failures.push({ lottery: source.id, reason: e.message });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  if (failures.length > 0) {
+    console.log("\n⚠️ Failed lotteries:");
+    for (const f of failures) {
+      console.log(`   - ${f.lottery}: ${f.reason}`);
+    }
+    process.exitCode = 1;
+    return;
+  }
+
+  const captured = sources.length - skipped.length;
+  console.log(`\n✅ All done! Captured ${captured}/${sources.length} lotteries`);
+  if (skipped.length > 0) {
+    console.log(`   ⏭️ Optional pages not captured: ${skipped.join(", ")}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+import { checkPrize } from "./lib/prize-checker.mjs";
+
+/**
+ * ตรวจรางวัลจากผลที่เก็บไว้
+ *
+ * ใช้งาน: node scripts/check-prize.mjs <lottery_id> <YYYY-MM-DD|latest> <number> [--tod] [--json]
+ *   --tod  = ตรวจ 3 ตัวโต๊ด (สลับตำแหน่ง) ด้วย
+ *   --json = พิมพ์ผลเป็น JSON
+ *
+ * exit code 0 = ตรวจสำเร็จ (ถูกหรือไม่ถูกก็ได้), 1 = หาผลงวดไม่เจอหรือเลขไม่ถูกต้อง
+ */
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flags = new Set(args.filter((a) => a.startsWith("--")));
+  const [lotteryId, drawDate, number] = args.filter((a) => !a.startsWith("--"));
+
+  if (!lotteryId || !drawDate || !number) {
+    throw new Error("Usage: node scripts/check-prize.mjs <lottery_id> <YYYY-MM-DD|latest> <number> [--tod] [--json]");
+  }
+
+  const result = await checkPrize(lotteryId, drawDate, number, { tod: flags.has("--tod") });
+
+  if (flags.has("--json")) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const drawLabel = result.draw_time ? `${result.draw_date} ${result.draw_time}` : result.draw_date;
+  console.log(`🎫 ${result.lottery_name} งวด ${drawLabel} เลข ${result.number}`);
+  if (!result.won) {
+    console.log("❌ ไม่ถูกรางวัล");
+    return;
+  }
+  for (const match of result.matches) {
+    const amount = match.amount ? ` ${match.amount.toLocaleString("en-US")} บาท` : "";
+    console.log(`🎉 ถูก${match.label} (${match.winning_number})${amount}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { LOTTERY_SOURCES } from "./lib/lotteries.mjs";
+import { STAT_WINDOWS, computeLocalStats, diffLocalStats } from "./lib/local-stats.mjs";
+import { loadHistory } from "./lib/history.mjs";
+
+/**
+ * Script สำหรับคำนวณ digit_frequency / statistics_30_draws เองจากคลัง public/history/
+ *
+ * ใช้งาน: node scripts/compute-local-stats.mjs [lottery_id ...]
+ * ผลลัพธ์: public/local-stats/{outputFile} มีทุก window (10, 30, 60, 90, all — ปรับได้ด้วย LOCAL_STATS_WINDOWS)
+ * และ comparison = ส่วนต่างของ window 30 งวดเทียบกับค่าที่อ่านจาก exphuay ใน public/{outputFile}
+ */
+
+const OUTPUT_DIR = path.join("public", "local-stats");
+const WINDOWS = process.env.LOCAL_STATS_WINDOWS
+  ? process.env.LOCAL_STATS_WINDOWS.split(/[,\s]+/)
+      .filter(Boolean)
+      .map((w) => (w === "all" ? "all" : Number(w)))
+  : STAT_WINDOWS;
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+async function main() {
+  const invalidWindows = WINDOWS.filter((w) => w !== "all" && !(Number.isInteger(w) && w > 0));
+  if (invalidWindows.length > 0) {
+    throw new Error(`LOCAL_STATS_WINDOWS ไม่ถูกต้อง: ${invalidWindows.join(", ")}`);
+  }
+
+  const ids = process.argv.slice(2);
+  const unknown = ids.filter((id) => !LOTTERY_SOURCES.some((s) => s.id === id));
+  if (unknown.length > 0) throw new Error(`ไม่รู้จักหวย: ${unknown.join(", ")}`);
+  const sources = ids.length > 0 ? LOTTERY_SOURCES.filter((s) => ids.includes(s.id)) : LOTTERY_SOURCES;
+
+  console.log(`🧮 Computing local stats (windows: ${WINDOWS.join(", ")})`);
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+
+  for (const source of sources) {
+    const draws = await loadHistory(source.id);
+    if (draws.length === 0) {
+      console.log(`  ⏭️ ${source.name}: no archived draws`);
+      continue;
+    }
+
+    const windows = {};
+    for (const w of WINDOWS) windows[String(w)] = computeLocalStats(draws, w);
+
+    // เทียบเฉพาะเมื่อคลังมีครบ 30 งวด ไม่งั้นส่วนต่างจะมาจากข้อมูลไม่พอ ไม่ใช่ vision อ่านผิด
+    const exphuay = await readJson(path.join("public", source.outputFile));
+    const local30 = windows["30"] || computeLocalStats(draws, 30);
+    let comparison = null;
+    if (!exphuay) {
+      comparison = { skipped: `ไม่มี public/${source.outputFile}` };
+    } else if (local30.window.draws_used < 30) {
+      comparison = { skipped: `คลังมีแค่ ${local30.window.draws_used} งวด` };
+    } else {
+      comparison = {
+        exphuay_fetched_at: exphuay.fetched_at || null,
+        ...diffLocalStats(local30, exphuay),
+      };
+    }
+
+    const output = {
+      lottery: source.id,
+      lottery_name: source.name,
+      computed_at: nowISO(),
+      computed_locally: true,
+      total_archived_draws: draws.length,
+      windows,
+      comparison,
+    };
+    await fs.writeFile(path.join(OUTPUT_DIR, source.outputFile), JSON.stringify(output, null, 2), "utf8");
+
+    const summary = comparison.skipped
+      ? `comparison skipped (${comparison.skipped})`
+      : `digit_frequency ${comparison.digit_frequency.differences.length} diff, stat30 ${comparison.statistics_30_draws.differences.length} diff`;
+    console.log(`  ✅ ${source.name}: ${draws.length} draws, ${summary}`);
+  }
+
+  console.log(`\n✅ Saved to ${OUTPUT_DIR}/`);
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -1,12 +1,41 @@
 import fs from "node:fs/promises";
 import puppeteer from "puppeteer";
+import { archiveDraws } from "./lib/history.mjs";
+import { formatResults } from "./lib/results-format.mjs";
+import { parseResultsPage } from "./lib/result-parsers.mjs";
+import { mergeWithPrevious } from "./lib/results-merge.mjs";
+import { isCloudflareChallenge } from "./lib/calc-page.mjs";
+import { dueLotteries, nextDraws, scheduledAt } from "./lib/draw-calendar.mjs";
+import { LOTTERIES } from "./lib/lotteries.mjs";
+import { writeScheduleFiles } from "./lib/schedule-output.mjs";
+import { diffResults } from "./lib/result-changes.mjs";
+import { sendNotifications } from "./lib/notify.mjs";
+import { withStore } from "./lib/sqlite-store.mjs";
+import { finishRunReport, startRunReport } from "./lib/run-report.mjs";
+import {
+  parseThaiGovernmentPrizes,
+  validateThaiGovernmentPrizes,
+} from "./lib/thai-government-prizes.mjs";
 
 const TARGET_URL = "https://exphuay.com/";
+// หน้ารายละเอียดผลสลากรัฐบาลงวดล่าสุด (มีรางวัลที่ 1-5, ข้างเคียง, เลขหน้า/ท้าย 3 ตัว)
+const THAI_GOVERNMENT_DETAIL_URL = "https://exphuay.com/result/goverment";
+// exit code เมื่ออ่านผลไม่ได้เลยสักหวย (ไฟล์เดิมไม่ถูกแตะ) ให้ workflow แจ้งเตือนและไม่ push
+const EXIT_NO_RESULTS = 2;
+// ปกติดึงเฉพาะเมื่อมีหวยถึงเวลาออก (ตาม lib/draw-calendar.mjs) แล้วลองซ้ำจนผลงวดใหม่ขึ้น
+// --all หรือ RESULTS_FORCE_ALL=1 = ดึงครั้งเดียวโดยไม่สนตาราง
+const FORCE_ALL = process.argv.includes("--all") || process.env.RESULTS_FORCE_ALL === "1";
+const RETRY_INTERVAL_MS = Number(process.env.RESULTS_RETRY_INTERVAL_MS || 5 * 60 * 1000);
+const MAX_WAIT_MINUTES = Number(process.env.RESULTS_MAX_WAIT_MINUTES || 30);
 
 function nowISO() {
   return new Date().toISOString();
 }
 
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
 /**
  * ดึงข้อมูลผลหวยทั้งหมดจากหน้า exphuay.com
  */
@@ -22,388 +51,215 @@ async function scrapeAllLotteryResults(url) {
     ],
   });
 
-  const page = await browser.newPage();
-
-  // ตั้ง User-Agent
-  await page.setUserAgent(
-    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-  );
-
-  await page.setViewport({ width: 1920, height: 1080 });
+  // ปิด browser เสมอ: รอบที่ throw แล้วถูก retry จะได้ไม่ทิ้ง Chrome ค้างไว้ทุกครั้ง
+  try {
+    const page = await browser.newPage();
 
-  console.log(`📄 Loading ${url}...`);
-  await page.goto(url, { waitUntil: "networkidle2", timeout: 120000 });
+    // ตั้ง User-Agent
+    await page.setUserAgent(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+    );
 
-  // รอให้ JavaScript render เสร็จ
-  console.log("⏳ Waiting for JavaScript to render...");
-  await new Promise((r) => setTimeout(r, 8000));
+    await page.setViewport({ width: 1920, height: 1080 });
 
-  // Scroll ทั้งหน้าเพื่อให้ lazy load ทำงาน
-  console.log("📜 Scrolling page...");
-  await page.evaluate(async () => {
-    for (let i = 0; i < 15; i++) {
-      window.scrollBy(0, 600);
-      await new Promise((r) => setTimeout(r, 400));
-    }
-    window.scrollTo(0, 0);
-  });
-
-  await new Promise((r) => setTimeout(r, 3000));
-
-  // ดึงข้อมูลหวยทั้งหมด
-  const results = await page.evaluate(() => {
-    const lotteryResults = [];
-
-    // ฟังก์ชันช่วย: แปลงวันที่ไทยเป็น ISO format
-    function parseThaiDate(thaiDateStr) {
-      if (!thaiDateStr) return null;
-      
-      const thaiMonths = {
-        'มกราคม': '01', 'กุมภาพันธ์': '02', 'มีนาคม': '03',
-        'เมษายน': '04', 'พฤษภาคม': '05', 'มิถุนายน': '06',
-        'กรกฎาคม': '07', 'สิงหาคม': '08', 'กันยายน': '09',
-        'ตุลาคม': '10', 'พฤศจิกายน': '11', 'ธันวาคม': '12'
-      };
-
-      // pattern: งวดวันที่ DD เดือน YYYY หรือ ประจำงวดวันที่ DD เดือน YYYY
-      const match = thaiDateStr.match(/(\d{1,2})\s+(\S+)\s+(\d{4})/);
-      if (match) {
-        const day = match[1].padStart(2, '0');
-        const month = thaiMonths[match[2]] || '01';
-        let year = parseInt(match[3]);
-        // แปลงปี พ.ศ. เป็น ค.ศ. (ถ้าปี > 2500)
-        if (year > 2500) {
-          year = year - 543;
-        }
-        return `${year}-${month}-${day}`;
-      }
-      return null;
-    }
+    console.log(`📄 Loading ${url}...`);
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 120000 });
 
-    // หา cards หวยทั้งหมด (ปรับ selector ตามโครงสร้างจริงของเว็บ)
-    // โดยมองหา pattern ของการ์ดหวย
-    const bodyText = document.body.innerText;
-    const allElements = document.querySelectorAll('*');
-
-    // ============ ดึงหวยฮานอย (แบบตาราง) ============
-    // หาส่วนที่มี "ผลสามนอย" หรือ "ฮานอย"
-    const hanoiSection = bodyText.match(/ผลสามนอย[\s\S]*?ประจำ.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})/);
-    if (hanoiSection) {
-      const hanoiDate = parseThaiDate(hanoiSection[0]);
-      
-      // หา pattern: ฮานอยพิเศษ HH:MM XXX YY
-      const hanoiTypes = [
-        { name: 'ฮานอยพิเศษ', pattern: /ฮานอยพิเศษ\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
-        { name: 'ฮานอยปกติ', pattern: /ฮานอยปกติ\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
-        { name: 'ฮานอย VIP', pattern: /ฮานอย\s*VIP\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ }
-      ];
-
-      for (const hType of hanoiTypes) {
-        const match = bodyText.match(hType.pattern);
-        if (match) {
-          lotteryResults.push({
-            lottery_type: 'hanoi',
-            lottery_name: hType.name,
-            draw_date: hanoiDate,
-            draw_time: match[1],
-            results: {
-              top3: match[2],
-              bottom2: match[3]
-            }
-          });
-        }
-      }
-    }
+    // รอให้ JavaScript render เสร็จ
+    console.log("⏳ Waiting for JavaScript to render...");
+    await new Promise((r) => setTimeout(r, 8000));
 
-    // ============ ดึงหวยแบบการ์ด (หวยรัฐบาลไทย, มาเลย์, ออมสิน, ธกส, ลาว) ============
-    const lotteryPatterns = [
-      {
-        id: 'thai_government',
-        namePattern: /ผลหวยรัฐบาลไทย/,
-        resultDigits: 6
-      },
-      {
-        id: 'malaysia',
-        namePattern: /ผลหวยมาเลย์/,
-        resultDigits: 4
-      },
-      {
-        id: 'gsb',
-        namePattern: /ผลหวยออมสิน/,
-        resultDigits: 3
-      },
-      {
-        id: 'baac',
-        namePattern: /ผลหวยธ\.?ก\.?ส\.?/,
-        resultDigits: 3
-      },
-      {
-        id: 'lao_pattana',
-        namePattern: /ผลหวยลาวพัฒนา/,
-        resultDigits: 6
-      },
-      {
-        id: 'lao_hd',
-        namePattern: /ผลหวยลาว HD/,
-        resultDigits: 6
-      },
-      {
-        id: 'lao_star',
-        namePattern: /ผลหวยลาวสตาร์/,
-        resultDigits: 6
-      }
-    ];
-
-    // แยก sections ตามหวยแต่ละประเภท
-    const sections = bodyText.split(/(?=ผลหวย)/);
-
-    for (const section of sections) {
-      for (const lp of lotteryPatterns) {
-        if (lp.namePattern.test(section)) {
-          // หาวันที่
-          const dateMatch = section.match(/งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})/);
-          const drawDate = dateMatch ? parseThaiDate(dateMatch[0]) : null;
-
-          // หาผลรางวัลหลัก (ตัวเลขตามจำนวน digits ที่กำหนด)
-          const resultPattern = new RegExp(`ผลรางวัล[\\s\\S]*?(\\d{${lp.resultDigits}})`);
-          const resultMatch = section.match(resultPattern);
-          const fullResult = resultMatch ? resultMatch[1] : null;
-
-          // หา 3 ตัวบน
-          const top3Match = section.match(/3\s*ตัวบน[\s\S]*?(\d{3})/);
-          const top3 = top3Match ? top3Match[1] : null;
-
-          // หา 2 ตัวล่าง
-          const bottom2Match = section.match(/2\s*ตัวล่าง[\s\S]*?(\d{2})/);
-          const bottom2 = bottom2Match ? bottom2Match[1] : null;
-
-          if (fullResult || top3 || bottom2) {
-            // ตรวจสอบว่ายังไม่มีข้อมูลหวยประเภทนี้
-            const exists = lotteryResults.find(l => l.lottery_type === lp.id);
-            if (!exists) {
-              lotteryResults.push({
-                lottery_type: lp.id,
-                lottery_name: section.match(lp.namePattern)?.[0] || lp.id,
-                draw_date: drawDate,
-                results: {
-                  full_number: fullResult,
-                  top3: top3,
-                  bottom2: bottom2
-                }
-              });
-            }
-          }
-        }
+    // Scroll ทั้งหน้าเพื่อให้ lazy load ทำงาน
+    console.log("📜 Scrolling page...");
+    await page.evaluate(async () => {
+      for (let i = 0; i < 15; i++) {
+        window.scrollBy(0, 600);
+        await new Promise((r) => setTimeout(r, 400));
       }
+      window.scrollTo(0, 0);
+    });
+
+    await new Promise((r) => setTimeout(r, 3000));
+
+    // ดึงข้อความทั้งหน้า แล้วให้ parser ในทะเบียน (lib/result-parsers.mjs) อ่านนอก browser
+    const bodyText = await page.evaluate(() => document.body.innerText);
+    const blockedByCloudflare = await page.evaluate(isCloudflareChallenge);
+
+    // Save screenshot for debug
+    await page.screenshot({ path: "debug-exphuay.png", fullPage: true });
+    console.log("📸 Screenshot saved to debug-exphuay.png");
+
+    // ตารางรางวัลเต็มของสลากรัฐบาลอยู่ในหน้ารายละเอียด ไม่มีบนหน้าแรก
+    let thaiGovernmentDetailText = null;
+    try {
+      console.log(`📄 Loading ${THAI_GOVERNMENT_DETAIL_URL}...`);
+      await page.goto(THAI_GOVERNMENT_DETAIL_URL, { waitUntil: "networkidle2", timeout: 120000 });
+      await new Promise((r) => setTimeout(r, 5000));
+      thaiGovernmentDetailText = await page.evaluate(() => document.body.innerText);
+    } catch (e) {
+      console.log(`⚠️ Cannot load Thai government detail page: ${e.message}`);
     }
 
-    return lotteryResults;
-  });
-
-  // Alternative: ใช้วิธีดึงจาก DOM โดยตรงถ้าวิธีแรกไม่ได้ผล
-  const resultsFromDom = await page.evaluate(() => {
-    const results = [];
-    
-    // หาการ์ดหวยทั้งหมด - ลองหลาย selectors
-    const possibleCardSelectors = [
-      '[class*="card"]',
-      '[class*="lottery"]',
-      '[class*="result"]',
-      'div[class*="bg-"]'
-    ];
-
-    // ดึง full body text สำหรับ debug
-    const bodyText = document.body.innerText;
-    
-    // ใช้ regex เพื่อดึงข้อมูลจาก text โดยตรง
-    const lotteryData = [];
-
-    // Pattern สำหรับหวยแต่ละประเภท
-    const patterns = [
-      {
-        id: 'thai_government',
-        name: 'หวยรัฐบาลไทย',
-        mainPattern: /ผลหวยรัฐบาลไทย[\s\S]*?งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})[\s\S]*?ผลรางวัล[\s\S]*?(\d{6})[\s\S]*?3\s*ตัวบน[\s\S]*?(\d{3})[\s\S]*?2\s*ตัวล่าง[\s\S]*?(\d{2})/
-      },
-      {
-        id: 'malaysia',
-        name: 'หวยมาเลย์',
-        mainPattern: /ผลหวยมาเลย์[\s\S]*?งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})[\s\S]*?ผลรางวัล[\s\S]*?(\d{4})[\s\S]*?3\s*ตัวบน[\s\S]*?(\d{3})[\s\S]*?2\s*ตัวล่าง[\s\S]*?(\d{2})/
-      },
-      {
-        id: 'gsb',
-        name: 'หวยออมสิน',
-        mainPattern: /ผลหวยออมสิน[\s\S]*?งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})[\s\S]*?ผลรางวัล[\s\S]*?(\d{3})[\s\S]*?3\s*ตัวบน[\s\S]*?(\d{3})[\s\S]*?2\s*ตัวล่าง[\s\S]*?(\d{2})/
-      },
-      {
-        id: 'baac',
-        name: 'หวยธ.ก.ส.',
-        mainPattern: /ผลหวยธ\.?ก\.?ส\.?[\s\S]*?งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})[\s\S]*?ผลรางวัล[\s\S]*?(\d{3})[\s\S]*?3\s*ตัวบน[\s\S]*?(\d{3})[\s\S]*?2\s*ตัวล่าง[\s\S]*?(\d{2})/
-      },
-      {
-        id: 'lao_pattana',
-        name: 'หวยลาวพัฒนา',
-        mainPattern: /ผลหวยลาวพัฒนา[\s\S]*?งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})[\s\S]*?ผลรางวัล[\s\S]*?(\d{6})[\s\S]*?3\s*ตัวบน[\s\S]*?(\d{3})[\s\S]*?2\s*ตัวล่าง[\s\S]*?(\d{2})/
-      }
-    ];
-
-    for (const p of patterns) {
-      const match = bodyText.match(p.mainPattern);
-      if (match) {
-        lotteryData.push({
-          lottery_type: p.id,
-          lottery_name: p.name,
-          raw_date: match[1],
-          full_number: match[2],
-          top3: match[3],
-          bottom2: match[4]
-        });
-      }
-    }
-
-    // หาหวยฮานอย (รูปแบบตาราง)
-    const hanoiPattern = /ประจำ.*?งวด.*?วันที่\s*(\d{1,2}\s+\S+\s+\d{4})/;
-    const hanoiDateMatch = bodyText.match(hanoiPattern);
-    
-    const hanoiTypes = [
-      { id: 'hanoi_special', name: 'ฮานอยพิเศษ', pattern: /ฮานอยพิเศษ\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
-      { id: 'hanoi_normal', name: 'ฮานอยปกติ', pattern: /ฮานอยปกติ\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
-      { id: 'hanoi_vip', name: 'ฮานอย VIP', pattern: /ฮานอย\s*VIP\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ }
-    ];
-
-    for (const h of hanoiTypes) {
-      const match = bodyText.match(h.pattern);
-      if (match) {
-        lotteryData.push({
-          lottery_type: h.id,
-          lottery_name: h.name,
-          raw_date: hanoiDateMatch ? hanoiDateMatch[1] : null,
-          draw_time: match[1],
-          top3: match[2],
-          bottom2: match[3]
-        });
-      }
-    }
-
-    return {
-      extracted: lotteryData,
-      bodyTextLength: bodyText.length,
-      bodyPreview: bodyText.slice(0, 3000)
-    };
-  });
-
-  // Save screenshot for debug
-  await page.screenshot({ path: "debug-exphuay.png", fullPage: true });
-  console.log("📸 Screenshot saved to debug-exphuay.png");
-
-  await browser.close();
-  
-  // รวมผลลัพธ์
-  const combinedResults = results.length > 0 ? results : [];
-  
-  // ถ้า results ว่าง ใช้ resultsFromDom
-  if (combinedResults.length === 0 && resultsFromDom.extracted) {
-    return {
-      lotteries: resultsFromDom.extracted,
-      debug: {
-        bodyTextLength: resultsFromDom.bodyTextLength,
-        bodyPreview: resultsFromDom.bodyPreview
-      }
-    };
+    return { bodyText, thaiGovernmentDetailText, blockedByCloudflare };
+  } finally {
+    await browser.close();
   }
-
-  return {
-    lotteries: combinedResults,
-    debug: {
-      bodyTextLength: resultsFromDom.bodyTextLength,
-      bodyPreview: resultsFromDom.bodyPreview
-    }
-  };
 }
 
 /**
- * แปลงวันที่ไทยเป็น ISO format
+ * เติม results.prizes (ตารางรางวัลเต็ม) ให้หวยรัฐบาลไทย ถ้าอ่านจากหน้ารายละเอียดได้ครบทุก tier
+ * อ่านไม่ครบ/ไม่ตรงกับหน้าแรกจะไม่ใส่ (ไม่เก็บตารางครึ่งๆ กลางๆ)
  */
-function parseThaiDateToISO(thaiDateStr) {
-  if (!thaiDateStr) return null;
-  
-  const thaiMonths = {
-    'มกราคม': '01', 'กุมภาพันธ์': '02', 'มีนาคม': '03',
-    'เมษายน': '04', 'พฤษภาคม': '05', 'มิถุนายน': '06',
-    'กรกฎาคม': '07', 'สิงหาคม': '08', 'กันยายน': '09',
-    'ตุลาคม': '10', 'พฤศจิกายน': '11', 'ธันวาคม': '12'
-  };
+function attachThaiGovernmentPrizes(formattedLotteries, detailText) {
+  const lottery = formattedLotteries.find((l) => l.lottery_type === "thai_government");
+  if (!lottery || !detailText) return;
+
+  const prizes = parseThaiGovernmentPrizes(detailText);
+  const errors = validateThaiGovernmentPrizes(prizes, lottery.results);
+  if (errors.length > 0) {
+    console.log(`⚠️ Thai government prize table rejected: ${errors.join("; ")}`);
+    return;
+  }
+  lottery.results.prizes = prizes;
+  console.log("🏆 Thai government prize table attached (all tiers)");
+}
 
-  const match = thaiDateStr.match(/(\d{1,2})\s+(\S+)\s+(\d{4})/);
-  if (match) {
-    const day = match[1].padStart(2, '0');
-    const month = thaiMonths[match[2]] || '01';
-    let year = parseInt(match[3]);
-    if (year > 2500) {
-      year = year - 543;
-    }
-    return `${year}-${month}-${day}`;
+async function readPreviousResults(outputPath) {
+  try {
+    return JSON.parse(await fs.readFile(outputPath, "utf8"));
+  } catch {
+    return null;
   }
-  return null;
 }
 
 /**
- * จัดรูปแบบผลลัพธ์ให้สวยงาม
+ * ใส่ published_at (เวลาที่เห็นผลงวดนั้นครั้งแรก) และ publish_latency_minutes (ช้ากว่าเวลาออกตามตารางกี่นาที)
+ * งวดเดิมที่เคยเห็นแล้วใช้ค่าจากไฟล์ก่อนหน้า ไม่นับใหม่ทุกรอบ
  */
-function formatResults(rawData) {
-  const formattedLotteries = [];
-
-  for (const lottery of rawData.lotteries) {
-    const formatted = {
-      lottery_type: lottery.lottery_type,
-      lottery_name: lottery.lottery_name,
-      draw_date: lottery.draw_date || parseThaiDateToISO(lottery.raw_date),
-      draw_date_thai: lottery.raw_date || null,
-      results: {}
-    };
-
-    // เพิ่มเวลาถ้ามี
-    if (lottery.draw_time) {
-      formatted.draw_time = lottery.draw_time;
-    }
-
-    // เพิ่มผลรางวัล
-    if (lottery.results) {
-      formatted.results = lottery.results;
-    } else {
-      if (lottery.full_number) {
-        formatted.results.full_number = lottery.full_number;
-      }
-      if (lottery.top3) {
-        formatted.results.top3 = lottery.top3;
-      }
-      if (lottery.bottom2) {
-        formatted.results.bottom2 = lottery.bottom2;
+function attachPublishTiming(formattedLotteries, previous, fetchedAt) {
+  const previousByType = new Map((previous?.lotteries || []).map((l) => [l.lottery_type, l]));
+  for (const lottery of formattedLotteries) {
+    if (!lottery.draw_date) continue;
+    const old = previousByType.get(lottery.lottery_type);
+    if (old?.draw_date === lottery.draw_date && old.published_at) {
+      lottery.published_at = old.published_at;
+      if (old.publish_latency_minutes !== undefined) {
+        lottery.publish_latency_minutes = old.publish_latency_minutes;
       }
+      continue;
+    }
+    lottery.published_at = fetchedAt;
+    try {
+      const scheduled = scheduledAt(lottery.lottery_type, lottery.draw_date, lottery.draw_time);
+      lottery.publish_latency_minutes = Math.round((new Date(fetchedAt) - new Date(scheduled)) / 60000);
+    } catch {
+      // หวยที่ไม่มีตารางในทะเบียน
     }
-
-    formattedLotteries.push(formatted);
   }
-
-  return formattedLotteries;
 }
 
-async function main() {
+async function main(report) {
   console.log("🎰 Starting lottery results scraper...");
-  console.log(`📅 Fetched at: ${nowISO()}`);
+  console.log(`📅 Started at: ${nowISO()}`);
+
+  // ตารางงวดถัดไป (public/schedule.json + .ics) สร้างใหม่ทุกรอบ แม้ไม่มีหวยถึงเวลาออก
+  if (await writeScheduleFiles()) console.log("📆 Updated public/schedule.json and public/schedule.ics");
+
+  const outputPath = "public/lottery_results.json";
+  const previous = await readPreviousResults(outputPath);
+
+  const lastDrawDates = Object.fromEntries(
+    (previous?.lotteries || []).filter((l) => l.draw_date).map((l) => [l.lottery_type, l.draw_date])
+  );
+  const due = dueLotteries(new Date(), lastDrawDates);
+  report.details.due = due.map((d) => d.lottery);
+
+  if (!FORCE_ALL && due.length === 0) {
+    const [upcoming] = LOTTERIES.map((l) => ({ id: l.id, draw: nextDraws(l.id, new Date(), 1)[0] }))
+      .filter((n) => n.draw)
+      .sort((a, b) => a.draw.scheduled_at.localeCompare(b.draw.scheduled_at));
+    console.log("💤 No lottery is due right now (use --all to scrape anyway)");
+    if (upcoming) console.log(`⏭️ Next draw: ${upcoming.id} at ${upcoming.draw.scheduled_at}`);
+    report.status = "skipped";
+    return;
+  }
+  if (due.length > 0) {
+    console.log(`⏰ Due: ${due.map((d) => `${d.lottery} (${d.draw.date} ${d.draw.time})`).join(", ")}`);
+  }
+
+  // โหลดหน้าไม่ได้ / โดน Cloudflare ถือเป็นรอบที่อ่านได้ 0 หวย (ไม่ throw เพื่อให้เก็บข้อมูลเดิมไว้)
+  // หวยที่ถึงเวลาแต่ผลยังไม่ขึ้น: โหลดหน้าใหม่ทุก RETRY_INTERVAL_MS จนครบหรือเกิน MAX_WAIT_MINUTES
+  const startedAt = Date.now();
+  let scraped;
+  let failureReason;
+  let formattedLotteries;
+  let fetchedAt;
+  for (let attempt = 1; ; attempt++) {
+    report.retries = attempt - 1;
+    scraped = { bodyText: "", thaiGovernmentDetailText: null };
+    failureReason = "not found on page";
+    fetchedAt = nowISO();
+    try {
+      scraped = await scrapeAllLotteryResults(TARGET_URL);
+      if (scraped.blockedByCloudflare) failureReason = "blocked by Cloudflare";
+    } catch (e) {
+      failureReason = `scrape failed: ${e.message}`;
+      console.error(`❌ ${failureReason}`);
+    }
+    const rawData = { lotteries: parseResultsPage(scraped.bodyText) };
 
-  const rawData = await scrapeAllLotteryResults(TARGET_URL);
-  
-  console.log("\n📊 Raw data extracted:");
-  console.log(`Found ${rawData.lotteries.length} lottery types`);
+    console.log("\n📊 Raw data extracted:");
+    console.log(`Found ${rawData.lotteries.length} lottery types`);
+    formattedLotteries = formatResults(rawData);
+
+    const pending = due.filter(
+      (d) => !formattedLotteries.some((l) => l.lottery_type === d.lottery && l.draw_date >= d.draw.date)
+    );
+    if (pending.length === 0) break;
+
+    const waitedMinutes = (Date.now() - startedAt) / 60000;
+    if (waitedMinutes + RETRY_INTERVAL_MS / 60000 > MAX_WAIT_MINUTES) {
+      console.log(`⌛ Gave up waiting for: ${pending.map((d) => d.lottery).join(", ")}`);
+      break;
+    }
+    console.log(
+      `⏳ Attempt ${attempt}: waiting for ${pending.map((d) => d.lottery).join(", ")}, retry in ${Math.round(RETRY_INTERVAL_MS / 1000)}s`
+    );
+    await delay(RETRY_INTERVAL_MS);
+  }
 
-  const formattedLotteries = formatResults(rawData);
+  attachThaiGovernmentPrizes(formattedLotteries, scraped.thaiGovernmentDetailText);
+  attachPublishTiming(formattedLotteries, previous, fetchedAt);
+
+  // อ่านไม่ได้เลย: ไม่เขียนทับไฟล์เดิม (แอปยังอ่านข้อมูลล่าสุดที่ดีได้) และจบด้วย exit code แยก
+  if (formattedLotteries.length === 0) {
+    console.log("\n⚠️ No results found. Keeping previous " + outputPath);
+    console.log("Reason:", failureReason);
+    console.log("Body text length:", scraped.bodyText.length);
+    console.log("Body preview:", scraped.bodyText.slice(0, 1000));
+    process.exitCode = EXIT_NO_RESULTS;
+    report.status = "no_results";
+    report.failures = [{ lottery: "*", reason: failureReason }];
+    return;
+  }
+
+  // หวยที่ยังไม่ถึงเวลาออกไม่อยู่บนหน้าก็ไม่นับเป็น failure (--all = ตั้งใจดึงทุกหวย)
+  const { lotteries, failures } = mergeWithPrevious(formattedLotteries, previous, {
+    fetchedAt,
+    failureReason,
+    ...(!FORCE_ALL && { expected: due.map((d) => d.lottery) }),
+  });
+  report.failures = failures;
+  report.details.lotteries = lotteries.length;
+  report.details.stale = lotteries.filter((l) => l.stale).length;
 
   const result = {
     source_url: TARGET_URL,
-    fetched_at: nowISO(),
-    total_lotteries: formattedLotteries.length,
-    lotteries: formattedLotteries,
+    fetched_at: fetchedAt,
+    total_lotteries: lotteries.length,
+    stale_lotteries: lotteries.filter((l) => l.stale).length,
+    lotteries,
+    failures,
     notes: "ดึงข้อมูลผลหวยจาก exphuay.com โดยตรง"
   };
 
@@ -411,29 +267,62 @@ async function main() {
   await fs.mkdir("public", { recursive: true });
 
   // เซฟไฟล์ JSON
-  const outputPath = "public/lottery_results.json";
   await fs.writeFile(outputPath, JSON.stringify(result, null, 2), "utf8");
-  
+
   console.log(`\n✅ Results saved to ${outputPath}`);
+
+  // เก็บเข้าคลังย้อนหลัง public/history/ เฉพาะผลที่อ่านได้รอบนี้
+  const archived = await archiveDraws(formattedLotteries);
+  console.log(
+    `🗄️ History archive: +${archived.added} new, ${archived.corrected} corrected, ${archived.unchanged} unchanged`
+  );
+  report.details.archived = archived;
+  const stored = await withStore((store) =>
+    store.upsertDraws(formattedLotteries, { source: "scrape", at: fetchedAt })
+  );
+  if (stored) console.log(`🗃️ SQLite: +${stored.added} new, ${stored.corrected} corrected`);
+
+  // แจ้งเตือนงวดใหม่/ผลที่แก้ไข เทียบกับไฟล์รอบก่อน (ส่งไม่ผ่านไม่ทำให้ job fail)
+  const events = diffResults(previous, result, { detectedAt: fetchedAt });
+  report.details.result_changes = events.length;
+  if (events.length > 0) {
+    console.log(`\n🔔 ${events.length} result change(s), sending notifications...`);
+    try {
+      const deliveries = await sendNotifications(events);
+      for (const d of deliveries) {
+        console.log(d.ok ? `   ✅ ${d.sink}` : `   ⚠️ ${d.sink}: ${d.error}`);
+      }
+      report.details.notifications = deliveries.map((d) => ({ sink: d.sink, ok: d.ok }));
+    } catch (err) {
+      console.error("⚠️ Notification error:", err.message);
+    }
+  }
   console.log("\n📋 Summary:");
-  
-  for (const lottery of formattedLotteries) {
-    console.log(`  - ${lottery.lottery_name}: ${lottery.results.full_number || lottery.results.top3 || 'N/A'}`);
+
+  for (const lottery of lotteries) {
+    const staleNote = lottery.stale ? ` (stale, last success ${lottery.last_success_at})` : "";
+    console.log(`  - ${lottery.lottery_name}: ${lottery.results.full_number || lottery.results.top3 || 'N/A'}${staleNote}`);
   }
 
-  // แสดง debug info ถ้าจำเป็น
-  if (formattedLotteries.length === 0) {
-    console.log("\n⚠️ No results found. Debug info:");
-    console.log("Body text length:", rawData.debug?.bodyTextLength);
-    console.log("Body preview:", rawData.debug?.bodyPreview?.slice(0, 1000));
+  if (failures.length > 0) {
+    console.log("\n⚠️ Failed lotteries:");
+    for (const f of failures) console.log(`   - ${f.lottery}: ${f.reason}`);
   }
 
   console.log("\n📄 Full JSON output:");
   console.log(JSON.stringify(result, null, 2));
 }
 
-main().catch((err) => {
-  console.error("❌ Error:", err.message);
-  console.error(err.stack);
-  process.exit(1);
-});
+const report = await startRunReport("exphuay_all_results");
+
+main(report)
+  .catch((err) => {
+    console.error("❌ Error:", err.message);
+    console.error(err.stack);
+    report.status = "failed";
+    report.error = err.message;
+  })
+  .finally(async () => {
+    await finishRunReport(report);
+    if (report.status === "failed") process.exit(1);
+  });
@@ -0,0 +1,152 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { LOTTERIES, LOTTERY_SOURCES } from "./lib/lotteries.mjs";
+import { HISTORY_DIR } from "./lib/history.mjs";
+import { SQLITE_PATH, openStore } from "./lib/sqlite-store.mjs";
+
+/**
+ * นำเข้าข้อมูลที่มีอยู่ใน public/*.json (และประวัติของไฟล์เหล่านั้นใน git) ลง SQLite
+ *
+ * ใช้งาน: node scripts/import-sqlite.mjs [--db <file>] [--git-history]
+ *   --db           ไฟล์ฐานข้อมูล (ค่าเริ่มต้น SQLITE_PATH หรือ data/lotto.sqlite)
+ *   --git-history  ไล่ทุก commit ที่แก้ไฟล์ผล/คำนวณ/คลัง จากเก่าไปใหม่ ก่อนนำเข้าไฟล์ปัจจุบัน
+ *
+ * รันซ้ำได้: งวดที่มีแล้วจะถูกนับเป็น unchanged/corrected และ calculations ที่ fetched_at ซ้ำจะถูกข้าม
+ */
+
+const RESULTS_FILE = "public/lottery_results.json";
+const COMBINED_CALCULATIONS_FILE = "public/all_calculations.json";
+const CALCULATION_FILES = new Set(LOTTERY_SOURCES.map((s) => `public/${s.outputFile}`));
+const KNOWN_LOTTERIES = new Set(LOTTERIES.map((l) => l.id));
+
+function parseArgs(argv) {
+  const options = { db: SQLITE_PATH || "data/lotto.sqlite", gitHistory: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--db") options.db = argv[++i];
+    else if (argv[i] === "--git-history") options.gitHistory = true;
+    else throw new Error(`ไม่รู้จัก argument: ${argv[i]}`);
+  }
+  if (!options.db) throw new Error("Usage: node scripts/import-sqlite.mjs [--db <file>] [--git-history]");
+  return options;
+}
+
+function git(args) {
+  return execFileSync("git", args, { encoding: "utf8", maxBuffer: 256 * 1024 * 1024 });
+}
+
+function isHistoryYearFile(file) {
+  return /^public\/history\/[^/]+\/\d{4}\.json$/.test(file);
+}
+
+function isImportable(file) {
+  return (
+    file === RESULTS_FILE ||
+    file === COMBINED_CALCULATIONS_FILE ||
+    CALCULATION_FILES.has(file) ||
+    isHistoryYearFile(file)
+  );
+}
+
+/**
+ * นำเข้าไฟล์หนึ่งไฟล์ตามชนิด (ดูจาก path) สะสมตัวนับลง totals
+ */
+function importData(store, file, data, { source, at }, totals) {
+  const addDraws = (records) => {
+    // id รุ่นเก่าที่ไม่อยู่ในทะเบียนแล้ว (เช่น "hanoi") ไม่นำเข้า เหมือน mergeWithPrevious
+    const known = (records || []).filter((r) => KNOWN_LOTTERIES.has(r.lottery_type));
+    const summary = store.upsertDraws(known, { source, at: data.fetched_at || data.updated_at || at });
+    for (const [key, value] of Object.entries(summary)) totals.draws[key] += value;
+  };
+  const addCalculations = (outputs) => {
+    for (const output of outputs || []) {
+      if (store.insertCalculation(output, { source })) totals.calculations++;
+    }
+  };
+
+  if (file === RESULTS_FILE) addDraws(data.lotteries);
+  else if (isHistoryYearFile(file)) addDraws(data.draws);
+  else if (file === COMBINED_CALCULATIONS_FILE) addCalculations(data.lotteries);
+  else if (CALCULATION_FILES.has(file)) addCalculations([data]);
+}
+
+async function currentFiles() {
+  const files = [RESULTS_FILE, COMBINED_CALCULATIONS_FILE, ...CALCULATION_FILES];
+  try {
+    for (const lotteryId of await fs.readdir(HISTORY_DIR)) {
+      const dir = path.join(HISTORY_DIR, lotteryId);
+      if (!(await fs.stat(dir)).isDirectory()) continue;
+      for (const file of await fs.readdir(dir)) files.push(`public/history/${lotteryId}/${file}`);
+    }
+  } catch {
+    // ยังไม่มีคลัง
+  }
+  return files.filter(isImportable);
+}
+
+function importGitHistory(store, totals) {
+  const commits = git(["log", "--reverse", "--format=%H %cI", "--", "public"])
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => line.split(" "));
+
+  console.log(`📜 Importing ${commits.length} commits from git history...`);
+  for (const [sha, committedAt] of commits) {
+    const changed = git(["diff-tree", "--no-commit-id", "--name-only", "-r", "--root", sha, "--", "public"])
+      .split("\n")
+      .filter(isImportable);
+
+    for (const file of changed) {
+      let data;
+      try {
+        data = JSON.parse(git(["show", `${sha}:${file}`]));
+      } catch {
+        continue; // ไฟล์ถูกลบใน commit นี้ หรือ JSON เสีย
+      }
+      importData(store, file, data, { source: `git:${sha.slice(0, 7)}`, at: committedAt }, totals);
+      totals.files++;
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const store = await openStore(options.db);
+  const totals = {
+    files: 0,
+    draws: { added: 0, corrected: 0, unchanged: 0, skipped: 0 },
+    calculations: 0,
+  };
+
+  try {
+    if (options.gitHistory) importGitHistory(store, totals);
+
+    // ไฟล์ปัจจุบันนำเข้าทีหลังสุด ค่าล่าสุดจึงทับค่าจาก commit เก่า
+    for (const file of await currentFiles()) {
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(file, "utf8"));
+      } catch {
+        continue;
+      }
+      importData(store, file, data, { source: "import", at: new Date().toISOString() }, totals);
+      totals.files++;
+    }
+
+    await store.save();
+  } finally {
+    store.close();
+  }
+
+  const { draws } = totals;
+  console.log(`✅ Imported ${totals.files} files into ${options.db}`);
+  console.log(
+    `   draws: +${draws.added} new, ${draws.corrected} corrected, ${draws.unchanged} unchanged, ${draws.skipped} skipped`
+  );
+  console.log(`   calculations: +${totals.calculations}`);
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+import { nextDraws } from "./draw-calendar.mjs";
+
+/**
+ * ให้คะแนน daily_calculation (เลขแนะนำประจำวัน) เทียบกับผลงวดที่ออกถัดจากเวลาที่อ่านค่า
+ *
+ * เกณฑ์ "ถูก" ของแต่ละ field:
+ *   top3_recommended     3 ตัวบนตรงกับเลขใดเลขหนึ่งในรายการ
+ *   bottom2_recommended  2 ตัวล่างตรงกับเลขใดเลขหนึ่งในรายการ
+ *   running_number       เลขวิ่ง: มีเลขนี้อยู่ใน 3 ตัวบนหรือ 2 ตัวล่าง
+ *   full_set_number      เลขรูด: มีเลขนี้อยู่ใน 2 ตัวล่าง
+ *
+ * baseline = โอกาสถูกถ้าผลออกแบบสุ่มสม่ำเสมอ (แต่ละหลัก 0-9 เท่ากัน) กับรายการขนาดเดียวกัน
+ */
+
+export const ACCURACY_FIELDS = ["top3_recommended", "bottom2_recommended", "running_number", "full_set_number"];
+export const ACCURACY_WINDOWS = [10, 30, 90, "all"];
+
+const distinct = (list) => [...new Set((list || []).filter(Boolean).map(String))];
+
+const FIELD_RULES = {
+  top3_recommended: {
+    hit: (value, results) => distinct(value).includes(results.top3),
+    baseline: (value) => distinct(value).length / 1000,
+    scorable: (value, results) => distinct(value).length > 0 && Boolean(results.top3),
+  },
+  bottom2_recommended: {
+    hit: (value, results) => distinct(value).includes(results.bottom2),
+    baseline: (value) => distinct(value).length / 100,
+    scorable: (value, results) => distinct(value).length > 0 && Boolean(results.bottom2),
+  },
+  running_number: {
+    hit: (value, results) => `${results.top3}${results.bottom2}`.includes(String(value)),
+    // เลขหนึ่งตัวปรากฏในอย่างน้อย 1 จาก 5 หลัก
+    baseline: () => 1 - 0.9 ** 5,
+    scorable: (value, results) => /^\d$/.test(String(value ?? "")) && Boolean(results.top3 && results.bottom2),
+  },
+  full_set_number: {
+    hit: (value, results) => results.bottom2.includes(String(value)),
+    baseline: () => 1 - 0.9 ** 2,
+    scorable: (value, results) => /^\d$/.test(String(value ?? "")) && Boolean(results.bottom2),
+  },
+};
+
+/**
+ * งวดที่คำนวณนี้ทายไว้ = งวดแรกที่ออกหลัง fetched_at
+ */
+export function targetDraw(lotteryId, fetchedAt) {
+  return nextDraws(lotteryId, new Date(fetchedAt), 1)[0] || null;
+}
+
+// ที่มาของ daily_calculation ที่นับเป็นคำทายใหม่ (previous / previous_scheduled = เลขของรอบก่อนที่คัดลอกมา)
+const FRESH_SOURCES = ["dom", "ai", "ocr", "cache"];
+
+/**
+ * ที่มาของ daily_calculation: snapshot มี segments (source + image_hash), ไฟล์ output มีแค่ segment_sources
+ */
+export function calculationProvenance(calculation) {
+  const segment = calculation?.segments?.daily_calculation;
+  return {
+    source: segment?.source || calculation?.segment_sources?.daily_calculation || null,
+    image_hash: segment?.image_hash || null,
+  };
+}
+
+/**
+ * ผลคำนวณนี้เป็นคำทายใหม่หรือไม่ เทียบกับคำทายที่จดไว้ก่อนหน้า (records)
+ * ต้องมาจาก dom/ai/ocr/cache และรูปต้องไม่ใช่รูปเดียวกับคำทายล่าสุด (อ่านรูปเดิมซ้ำ = เลขชุดเดิม)
+ * cache ที่ไม่รู้ hash ของรูปถือว่าไม่ใหม่
+ */
+export function isFreshPrediction(calculation, records = []) {
+  const { source, image_hash: imageHash } = calculationProvenance(calculation);
+  if (!FRESH_SOURCES.includes(source)) return false;
+  if (source === "dom") return true;
+  if (!imageHash) return source !== "cache";
+
+  const last = records
+    .filter((r) => r.image_hash && r.fetched_at < calculation.fetched_at)
+    .sort((a, b) => a.fetched_at.localeCompare(b.fetched_at))
+    .at(-1);
+  return last?.image_hash !== imageHash;
+}
+
+/**
+ * ดึงเฉพาะเลขแนะนำที่ให้คะแนนจาก daily_calculation
+ */
+export function pickPrediction(dailyCalculation) {
+  return Object.fromEntries(ACCURACY_FIELDS.map((field) => [field, dailyCalculation?.[field] ?? null]));
+}
+
+/**
+ * คืน { [field]: { hit, baseline } } เฉพาะ field ที่มีทั้งคำทายและผล
+ */
+export function scorePrediction(prediction, results) {
+  const scores = {};
+  for (const field of ACCURACY_FIELDS) {
+    const rule = FIELD_RULES[field];
+    const value = prediction?.[field];
+    if (!rule.scorable(value, results || {})) continue;
+    scores[field] = { hit: rule.hit(value, results), baseline: Number(rule.baseline(value).toFixed(4)) };
+  }
+  return scores;
+}
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(4));
+}
+
+/**
+ * อัตราถูกย้อนหลังต่อ field ต่อ window (นับจาก record ที่ให้คะแนนแล้ว เรียงเก่าไปใหม่)
+ * lift = hit_rate / baseline_rate (> 1 = ดีกว่าสุ่ม)
+ */
+export function summarizeAccuracy(scoredRecords, windows = ACCURACY_WINDOWS) {
+  const summary = {};
+  for (const field of ACCURACY_FIELDS) {
+    const scores = scoredRecords.map((r) => r.scores?.[field]).filter(Boolean);
+    summary[field] = {};
+    for (const window of windows) {
+      const slice = window === "all" ? scores : scores.slice(-window);
+      const hits = slice.filter((s) => s.hit).length;
+      const hitRate = slice.length ? hits / slice.length : null;
+      const baselineRate = slice.length ? slice.reduce((sum, s) => sum + s.baseline, 0) / slice.length : null;
+      summary[field][window] = {
+        scored: slice.length,
+        hits,
+        hit_rate: round(hitRate),
+        baseline_rate: round(baselineRate),
+        lift: hitRate !== null && baselineRate ? round(hitRate / baselineRate) : null,
+      };
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,256 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import http from "node:http";
+import path from "node:path";
+import { LOTTERIES, LOTTERY_SOURCES, getLottery } from "./lotteries.mjs";
+import { loadHistory } from "./history.mjs";
+import { checkableLengths, checkNumber, findDraw } from "./prize-checker.mjs";
+import { nextDraws } from "./draw-calendar.mjs";
+
+/**
+ * HTTP API แบบอ่านอย่างเดียว อ่านจากไฟล์ใน public/ ที่ scraper เขียนไว้ (ไม่มี cache ในหน่วยความจำ
+ * ไฟล์เปลี่ยนเมื่อไรก็เห็นทันที)
+ *
+ *   GET /lotteries                              ทะเบียนหวย + งวดล่าสุด/งวดถัดไป
+ *   GET /results/:lottery[?date=YYYY-MM-DD]     ผลงวดล่าสุด (lottery_results.json) หรืองวดที่ระบุ (คลัง)
+ *   GET /calculations/:lottery[?date=]          public/{outputFile} หรือ snapshot รายวัน public/calculations/
+ *   GET /history/:lottery[?from=&to=]           ผลย้อนหลังจากคลัง public/history/
+ *   GET /check/:lottery/:number[?date=&tod=1]   ตรวจรางวัล (ค่าเริ่มต้นงวดล่าสุด)
+ *
+ * ทุก response มี ETag + Last-Modified (mtime ล่าสุดของไฟล์ที่ใช้) และ CORS
+ * error เป็น { error: { code, message } } เสมอ
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function apiError(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function historyFiles(historyDir, lotteryId) {
+  try {
+    const files = await fs.readdir(path.join(historyDir, lotteryId));
+    return files.filter((f) => /^\d{4}\.json$/.test(f)).map((f) => path.join(historyDir, lotteryId, f));
+  } catch {
+    return [];
+  }
+}
+
+function requireLottery(id) {
+  const lottery = getLottery(id);
+  if (!lottery) throw apiError(404, "unknown_lottery", `ไม่รู้จักหวย ${id}`);
+  return lottery;
+}
+
+function requireDate(value, name) {
+  if (value && !ISO_DATE.test(value)) {
+    throw apiError(400, "invalid_date", `${name} ต้องเป็น YYYY-MM-DD (ได้ "${value}")`);
+  }
+  return value || null;
+}
+
+// แต่ละ route คืน { body, files } โดย files = ไฟล์ที่ใช้สร้าง body (ใช้หา Last-Modified)
+const ROUTES = [
+  {
+    pattern: /^\/lotteries$/,
+    handler: async (ctx) => {
+      const latest = await readJson(ctx.resultsFile);
+      const byId = new Map((latest?.lotteries || []).map((l) => [l.lottery_type, l]));
+      const lotteries = LOTTERIES.map((l) => {
+        const current = byId.get(l.id);
+        return {
+          id: l.id,
+          name: l.name,
+          schedule: l.schedule || null,
+          has_calculation: Boolean(l.calculation),
+          latest_draw_date: current?.draw_date || null,
+          stale: current?.stale ?? null,
+          next_draw: l.schedule ? nextDraws(l.id, ctx.now(), 1)[0] || null : null,
+        };
+      });
+      return { body: { total: lotteries.length, lotteries }, files: [ctx.resultsFile] };
+    },
+  },
+  {
+    pattern: /^\/results\/([^/]+)$/,
+    handler: async (ctx, [id]) => {
+      requireLottery(id);
+      const date = requireDate(ctx.query.get("date"), "date");
+      const files = [ctx.resultsFile, ...(await historyFiles(ctx.historyDir, id))];
+
+      if (!date) {
+        const latest = await readJson(ctx.resultsFile);
+        const current = latest?.lotteries?.find((l) => l.lottery_type === id);
+        if (current) return { body: current, files };
+      }
+      try {
+        const draw = await findDraw(id, date || "latest", { historyDir: ctx.historyDir, resultsFile: ctx.resultsFile });
+        return { body: draw, files };
+      } catch (err) {
+        throw apiError(404, "draw_not_found", err.message);
+      }
+    },
+  },
+  {
+    pattern: /^\/calculations\/([^/]+)$/,
+    handler: async (ctx, [id]) => {
+      requireLottery(id);
+      const source = LOTTERY_SOURCES.find((s) => s.id === id);
+      if (!source) throw apiError(404, "no_calculation", `หวย ${id} ไม่มีข้อมูลคำนวณ`);
+      const date = requireDate(ctx.query.get("date"), "date");
+      const file = date
+        ? path.join(ctx.publicDir, "calculations", id, `${date}.json`)
+        : path.join(ctx.publicDir, source.outputFile);
+      const body = await readJson(file);
+      if (!body) throw apiError(404, "no_calculation", `ไม่มีข้อมูลคำนวณ ${id}${date ? ` วันที่ ${date}` : ""}`);
+      return { body, files: [file] };
+    },
+  },
+  {
+    pattern: /^\/history\/([^/]+)$/,
+    handler: async (ctx, [id]) => {
+      requireLottery(id);
+      const from = requireDate(ctx.query.get("from"), "from");
+      const to = requireDate(ctx.query.get("to"), "to");
+      if (from && to && from > to) throw apiError(400, "invalid_range", "from ต้องไม่เกิน to");
+
+      const draws = (await loadHistory(id, { historyDir: ctx.historyDir })).filter(
+        (d) => (!from || d.draw_date >= from) && (!to || d.draw_date <= to)
+      );
+      return {
+        body: { lottery_type: id, from, to, total_draws: draws.length, draws },
+        files: await historyFiles(ctx.historyDir, id),
+      };
+    },
+  },
+  {
+    pattern: /^\/check\/([^/]+)\/([^/]+)$/,
+    handler: async (ctx, [id, number]) => {
+      requireLottery(id);
+      const date = requireDate(ctx.query.get("date"), "date") || "latest";
+      if (!/^\d+$/.test(number)) throw apiError(400, "invalid_number", `เลขต้องเป็นตัวเลขเท่านั้น (ได้ "${number}")`);
+
+      let draw;
+      try {
+        draw = await findDraw(id, date, { historyDir: ctx.historyDir, resultsFile: ctx.resultsFile });
+      } catch (err) {
+        throw apiError(404, "draw_not_found", err.message);
+      }
+      const lengths = checkableLengths(draw);
+      if (!lengths.includes(number.length)) {
+        throw apiError(400, "invalid_number", `ตรวจได้เฉพาะเลข ${lengths.join("/")} หลัก (ได้ ${number.length} หลัก)`);
+      }
+      const matches = checkNumber(draw, number, { tod: ctx.query.get("tod") === "1" });
+      return {
+        body: {
+          lottery: id,
+          lottery_name: draw.lottery_name,
+          draw_date: draw.draw_date,
+          ...(draw.draw_time ? { draw_time: draw.draw_time } : {}),
+          number,
+          won: matches.length > 0,
+          matches,
+        },
+        files: [ctx.resultsFile, ...(await historyFiles(ctx.historyDir, id))],
+      };
+    },
+  },
+];
+
+async function lastModified(files) {
+  let latest = 0;
+  for (const file of files) {
+    try {
+      latest = Math.max(latest, (await fs.stat(file)).mtimeMs);
+    } catch {
+      // ไฟล์ที่ยังไม่มี
+    }
+  }
+  // HTTP date ละเอียดถึงวินาที
+  return latest ? new Date(Math.floor(latest / 1000) * 1000) : null;
+}
+
+function isNotModified(req, etag, modified) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) return ifNoneMatch.split(/\s*,\s*/).some((tag) => tag === etag || tag === "*");
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"] || "");
+  return Boolean(modified) && !Number.isNaN(ifModifiedSince) && modified.getTime() <= ifModifiedSince;
+}
+
+/**
+ * สร้าง http.Server (ยังไม่ listen)
+ * options: publicDir (ค่าเริ่มต้น "public"), corsOrigin (ค่าเริ่มต้น "*"), maxAge (วินาที), now (สำหรับ test)
+ */
+export function createApiServer({ publicDir = "public", corsOrigin = "*", maxAge = 60, now = () => new Date() } = {}) {
+  const baseCtx = {
+    publicDir,
+    resultsFile: path.join(publicDir, "lottery_results.json"),
+    historyDir: path.join(publicDir, "history"),
+    now,
+  };
+
+  return http.createServer(async (req, res) => {
+    const headers = {
+      "Access-Control-Allow-Origin": corsOrigin,
+      "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+      "Access-Control-Allow-Headers": "If-None-Match, If-Modified-Since",
+      "Access-Control-Expose-Headers": "ETag, Last-Modified",
+    };
+    const send = (status, payload, extra = {}) => {
+      const body = payload === undefined ? "" : JSON.stringify(payload, null, 2);
+      res.writeHead(status, {
+        ...headers,
+        ...(payload === undefined ? {} : { "Content-Type": "application/json; charset=utf-8" }),
+        ...extra,
+      });
+      res.end(req.method === "HEAD" ? undefined : body);
+    };
+
+    try {
+      if (req.method === "OPTIONS") return send(204);
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        throw apiError(405, "method_not_allowed", `ไม่รองรับ ${req.method}`);
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const pathname = url.pathname.replace(/\/+$/, "") || "/";
+      let params = null;
+      const route = ROUTES.find((r) => (params = r.pattern.exec(pathname)));
+      if (!route) throw apiError(404, "not_found", `ไม่มี route ${pathname}`);
+
+      let decoded;
+      try {
+        decoded = params.slice(1).map((p) => decodeURIComponent(p));
+      } catch {
+        throw apiError(400, "bad_request", `path ไม่ถูกต้อง ${pathname}`);
+      }
+      const { body, files } = await route.handler({ ...baseCtx, query: url.searchParams }, decoded);
+
+      const json = JSON.stringify(body, null, 2);
+      const etag = `"${crypto.createHash("sha1").update(json).digest("hex")}"`;
+      const modified = await lastModified(files);
+      const cacheHeaders = {
+        ETag: etag,
+        "Cache-Control": `public, max-age=${maxAge}`,
+        ...(modified ? { "Last-Modified": modified.toUTCString() } : {}),
+      };
+      if (isNotModified(req, etag, modified)) return send(304, undefined, cacheHeaders);
+      send(200, body, cacheHeaders);
+    } catch (err) {
+      if (!err.status) {
+        console.error("❌ API error:", err);
+        return send(500, { error: { code: "internal_error", message: "internal error" } });
+      }
+      send(err.status, { error: { code: err.code, message: err.message } });
+    }
+  });
+}
@@ -0,0 +1,203 @@
+/**
+ * ตัวช่วยสำหรับหน้า exphuay.com/calculate/*
+ *
+ * ฟังก์ชันในไฟล์นี้ถูกส่งเข้า page.evaluate() จึงต้องไม่อ้างอิงตัวแปรนอกฟังก์ชัน
+ */
+
+// segment ของแต่ละรูป (ลำดับตรงกับ {prefix}_1/2/3.png)
+export const PANEL_SEGMENTS = ["calc", "digit_frequency", "statistics_30_draws"];
+
+/**
+ * หา panel ทั้ง 3 ในหน้าแล้วติด data-exp-panel="{segment}" ไว้ให้ screenshot
+ * คืนรายชื่อ segment ที่หาเจอ
+ */
+export function markCalculationPanels() {
+  const textOf = (el) => (el.innerText || "").replace(/\s+/g, " ").trim();
+  const elements = Array.from(document.querySelectorAll("body *"));
+
+  // element ที่เล็กที่สุด (ลึกที่สุด) ที่ตรงเงื่อนไข
+  const smallest = (predicate) => {
+    let best = null;
+    for (const el of elements) {
+      if (!predicate(el)) continue;
+      if (!best || best.contains(el)) best = el;
+    }
+    return best;
+  };
+
+  const panels = {
+    calc: smallest((el) => {
+      const t = textOf(el);
+      return (
+        /คำนวณหวย/.test(t) &&
+        /3\s*ตัวบน/.test(t) &&
+        /2\s*ตัวล่าง/.test(t) &&
+        /วิ่ง/.test(t) &&
+        /รูด/.test(t)
+      );
+    }),
+    digit_frequency: smallest((el) => {
+      const t = textOf(el);
+      return (
+        el.querySelector("table") &&
+        /รวม/.test(t) &&
+        /3\s*ตัวบน/.test(t) &&
+        /2\s*ตัวล่าง/.test(t) &&
+        !/30\s*งวด/.test(t)
+      );
+    }),
+    statistics_30_draws: smallest((el) => {
+      const t = textOf(el);
+      return /30\s*งวดล่าสุด/.test(t) && el.querySelectorAll("table").length >= 2;
+    }),
+  };
+
+  const found = [];
+  for (const [segment, el] of Object.entries(panels)) {
+    if (!el) continue;
+    el.setAttribute("data-exp-panel", segment);
+    found.push(segment);
+  }
+  return found;
+}
+
+/**
+ * ตรวจว่าโดน Cloudflare challenge แทนหน้าจริงหรือไม่
+ */
+export function isCloudflareChallenge() {
+  const text = document.body?.innerText || "";
+  return (
+    /just a moment/i.test(document.title) ||
+    (/cloudflare/i.test(text) && /ray id/i.test(text))
+  );
+}
+
+/**
+ * อ่านตัวเลขจาก panel ที่ markCalculationPanels() ติด data-exp-panel ไว้แล้ว
+ * คืน shape เดียวกับที่ AI อ่านจากรูป (daily_calculation / digit_frequency / statistics_30_draws)
+ * segment ไหนอ่านไม่ได้จะเป็น null และมีเหตุผลอยู่ใน errors
+ */
+export function extractCalculationData() {
+  const textOf = (el) => (el.innerText || el.textContent || "").replace(/\s+/g, " ").trim();
+  const panelOf = (segment) => document.querySelector(`[data-exp-panel="${segment}"]`);
+
+  // ช่องแนะนำ = พื้นหลังสีเขียว (ไล่หา background ที่ไม่โปร่งใสจาก element ขึ้นไปจนถึง panel)
+  const isGreenCell = (el, panel) => {
+    for (let node = el; node && node !== panel; node = node.parentElement) {
+      const m = getComputedStyle(node).backgroundColor.match(/rgba?\(([^)]+)\)/);
+      if (!m) continue;
+      const [r, g, b, a = 1] = m[1].split(",").map((v) => Number(v.trim()));
+      if (a === 0) continue;
+      return g > 100 && g > r + 20 && g > b + 40;
+    }
+    return false;
+  };
+
+  const readCalc = () => {
+    const panel = panelOf("calc");
+    if (!panel) throw new Error("calc panel not marked");
+
+    const result = {
+      top3: [],
+      top3_recommended: [],
+      bottom2: [],
+      bottom2_recommended: [],
+      running_number: null,
+      full_set_number: null,
+    };
+    const labels = [
+      { pattern: /^3\s*ตัวบน$/, section: "top3" },
+      { pattern: /^2\s*ตัวล่าง$/, section: "bottom2" },
+      { pattern: /^วิ่ง$/, section: "running_number" },
+      { pattern: /^รูด$/, section: "full_set_number" },
+    ];
+
+    // เดินตาม leaf element ตามลำดับในหน้า: เจอหัวข้อก็เปลี่ยน section เจอตัวเลขก็ใส่ section ปัจจุบัน
+    let section = null;
+    for (const el of panel.querySelectorAll("*")) {
+      if (el.children.length > 0) continue;
+      const text = textOf(el);
+      const label = labels.find((l) => l.pattern.test(text));
+      if (label) {
+        section = label.section;
+        continue;
+      }
+      if (!section || !/^\d+$/.test(text)) continue;
+
+      if (section === "top3" && text.length === 3) {
+        result.top3.push(text);
+        if (isGreenCell(el, panel)) result.top3_recommended.push(text);
+      } else if (section === "bottom2" && text.length === 2) {
+        result.bottom2.push(text);
+        if (isGreenCell(el, panel)) result.bottom2_recommended.push(text);
+      } else if (section === "running_number" || section === "full_set_number") {
+        if (text.length === 1 && result[section] === null) result[section] = text;
+      }
+    }
+
+    if (result.top3.length === 0) throw new Error("calc: no 3 ตัวบน numbers");
+    if (result.bottom2.length === 0) throw new Error("calc: no 2 ตัวล่าง numbers");
+    if (result.running_number === null) throw new Error("calc: no วิ่ง digit");
+    if (result.full_set_number === null) throw new Error("calc: no รูด digit");
+    return result;
+  };
+
+  const readDigitFrequency = () => {
+    const panel = panelOf("digit_frequency");
+    if (!panel) throw new Error("digit_frequency panel not marked");
+
+    const data = [];
+    for (const row of panel.querySelectorAll("tr")) {
+      const cells = Array.from(row.querySelectorAll("td, th")).map(textOf);
+      if (cells.length < 4 || !/^\d$/.test(cells[0])) continue;
+      const [top3, bottom2, total] = cells.slice(1, 4).map((v) => Number(v));
+      if (![top3, bottom2, total].every(Number.isInteger)) continue;
+      data.push({ digit: cells[0], top3_count: top3, bottom2_count: bottom2, total });
+    }
+
+    if (data.length !== 10) {
+      throw new Error(`digit_frequency: expected 10 rows, got ${data.length}`);
+    }
+    return { data };
+  };
+
+  const readStat30 = () => {
+    const panel = panelOf("statistics_30_draws");
+    if (!panel) throw new Error("statistics_30_draws panel not marked");
+
+    const result = { bottom2: [], top3: [] };
+    for (const row of panel.querySelectorAll("tr")) {
+      const cells = Array.from(row.querySelectorAll("td, th")).map(textOf);
+      if (cells.length < 2 || !/^\d{2,3}$/.test(cells[0]) || !/^\d+$/.test(cells[1])) {
+        continue;
+      }
+      const entry = { number: cells[0], count: Number(cells[1]) };
+      if (cells[0].length === 2) result.bottom2.push(entry);
+      else result.top3.push(entry);
+    }
+
+    if (result.bottom2.length === 0) throw new Error("statistics_30_draws: no 2 ตัวล่าง rows");
+    if (result.top3.length === 0) throw new Error("statistics_30_draws: no 3 ตัวบน rows");
+    return result;
+  };
+
+  const output = {
+    daily_calculation: null,
+    digit_frequency: null,
+    statistics_30_draws: null,
+    errors: {},
+  };
+  const readers = {
+    daily_calculation: readCalc,
+    digit_frequency: readDigitFrequency,
+    statistics_30_draws: readStat30,
+  };
+  for (const [key, read] of Object.entries(readers)) {
+    try {
+      output[key] = read();
+    } catch (e) {
+      output.errors[key] = e.message;
+    }
+  }
+  return output;
+}
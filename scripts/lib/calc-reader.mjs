@@ -0,0 +1,390 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { validateSegment } from "./validate-calculation.mjs";
+import { computeLocalStats, diffLocalStats } from "./local-stats.mjs";
+import { HISTORY_DIR, loadHistory } from "./history.mjs";
+
+/**
+ * อ่านรูปคำนวณของหวยหนึ่งตัว (3 segment) เป็น output ของ public/{outputFile}
+ * ใช้ DOM extraction ก่อน แล้วค่อย cache / vision client (lib/vision-client.mjs) / ข้อมูลเดิม
+ *
+ * แยกออกจาก scrape-calculation.mjs เพื่อให้ test เรียก processLottery ได้ทั้งเส้น
+ * โดยใช้ provider mock แทน AI จริง
+ */
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// ===== Prompts =====
+
+export const CALC_PROMPT = `Read this Thai lottery calculation image. Return JSON ONLY:
+{
+  "top3": ["043", "682", "430", "830", "482"],
+  "top3_recommended": ["043", "430", "830"],
+  "bottom2": ["76", "44", "39", "08", "46", "03"],
+  "bottom2_recommended": ["44", "46"],
+  "running_number": "4",
+  "full_set_number": "3"
+}
+Rules:
+- "top3": ALL 3-digit numbers under "3 ตัวบน" (left to right)
+- "top3_recommended": ONLY those with GREEN background
+- "bottom2": ALL 2-digit numbers under "2 ตัวล่าง" (left to right)
+- "bottom2_recommended": ONLY those with GREEN background
+- "running_number": the single digit under "วิ่ง"
+- "full_set_number": the single digit under "รูด"
+- All values MUST be strings. Read EVERY number.`;
+
+export const DIGIT_FREQ_PROMPT = `Read this digit frequency table image. Return JSON ONLY:
+{
+  "data": [
+    {"digit": "0", "top3_count": 12, "bottom2_count": 6, "total": 18},
+    {"digit": "1", "top3_count": 9, "bottom2_count": 6, "total": 15}
+  ]
+}
+Rules:
+- Read the table with columns: เลข (digit 0-9), 3 ตัวบน (top3_count), 2 ตัวล่าง (bottom2_count), รวม (total)
+- digit is string, all counts are integers
+- Must have exactly 10 rows (digits 0-9)
+- Read EVERY row carefully`;
+
+export const STAT_30_PROMPT = `Read this lottery statistics table image showing 30 recent draws. Return JSON ONLY:
+{
+  "bottom2": [
+    {"number": "45", "count": 2},
+    {"number": "64", "count": 2}
+  ],
+  "top3": [
+    {"number": "440", "count": 1},
+    {"number": "145", "count": 1}
+  ]
+}
+Rules:
+- LEFT table = "2 ตัวล่าง": Read ALL rows (number as string, count as integer)
+- RIGHT table = "3 ตัวบน": Read ALL rows (number as string, count as integer)
+- Read EVERY single row in both tables, do not skip any`;
+
+function getDayOfYear(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), 0, 0));
+  const now = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const diff = now - start;
+  return Math.floor(diff / 86400000);
+}
+
+function isSelectedForToday(sourceIndex, limitPerRun, totalSources) {
+  if (limitPerRun >= totalSources) return true;
+  const day = getDayOfYear();
+  const start = day % totalSources;
+  const distance = (sourceIndex - start + totalSources) % totalSources;
+  return distance < limitPerRun;
+}
+
+function shouldTryAIForSegment({
+  sourceIndex,
+  segmentName,
+  hasPreviousData,
+  totalSources,
+  options,
+}) {
+  if (options.fullRefresh) return true;
+
+  // ถ้าไม่มีข้อมูลเก่า ต้องยิง AI เพื่อ seed ครั้งแรก
+  if (!hasPreviousData) return true;
+
+  if (segmentName === "calc") {
+    return isSelectedForToday(sourceIndex, options.calcAiPerRun, totalSources);
+  }
+
+  return isSelectedForToday(sourceIndex, options.heavyAiPerRun, totalSources);
+}
+
+async function hashFile(filePath) {
+  const fileBuffer = await fs.readFile(filePath);
+  return crypto.createHash("sha256").update(fileBuffer).digest("hex");
+}
+
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * {prefix}_dom.json ใช้กับรูปไหนได้บ้าง: ต้องจับมาพร้อมรูปชุดปัจจุบัน
+ * capture-exp-images เก็บ image_hashes (ชื่อไฟล์ -> sha256) และ captured_at ไว้ในไฟล์
+ * hash ไม่ตรง หรือไม่มี hash แต่รูปใหม่กว่า captured_at = DOM เก่ากว่ารูป ไม่ใช้ (ไม่มีรูปเลย DOM เป็นแหล่งเดียว)
+ */
+async function isDomCurrent(domExtraction, imagePath) {
+  let stat;
+  try {
+    stat = await fs.stat(imagePath);
+  } catch {
+    return true;
+  }
+  const recorded = domExtraction.image_hashes?.[path.basename(imagePath)];
+  if (recorded) return recorded === (await hashFile(imagePath));
+  return Date.parse(domExtraction.captured_at) >= stat.mtimeMs;
+}
+
+/**
+ * มีรูปหรือ DOM ของหวยนี้ใน imagesDir แล้วหรือยัง (หวยที่ยังไม่เคย capture ได้ไม่ต้องเข้ารอบ)
+ */
+export async function hasCalculationInputs(source, imagesDir) {
+  const prefix = source.imagePrefix || source.id;
+  for (const file of [`${prefix}_1.png`, `${prefix}_2.png`, `${prefix}_3.png`, `${prefix}_dom.json`]) {
+    try {
+      await fs.access(path.join(imagesDir, file));
+      return true;
+    } catch {
+      // ลองไฟล์ถัดไป
+    }
+  }
+  return false;
+}
+
+export function readPreviousOutput(outputFile, { publicDir = "public" } = {}) {
+  return readJsonFile(path.join(publicDir, outputFile));
+}
+
+// ===== Process single lottery =====
+
+const PROCESS_DEFAULTS = {
+  sourceIndex: 0,
+  totalSources: 1,
+  publicDir: "public",
+  historyDir: HISTORY_DIR,
+  calcAiPerRun: 5,
+  heavyAiPerRun: 1,
+  validationRetries: 1,
+  fullRefresh: false,
+  fastRun: false,
+  consensus: false,
+};
+
+/**
+ * options:
+ *   vision            client จาก createVisionClient (ต้องมีเมื่อ segment ใดต้องอ่านรูป)
+ *   imagesDir         โฟลเดอร์รูป {prefix}_1..3.png และ {prefix}_dom.json
+ *   publicDir         โฟลเดอร์ output เดิม (ใช้เป็น fallback)
+ *   historyDir        คลังผลย้อนหลังสำหรับเทียบสถิติ
+ *   sourceIndex / totalSources / calcAiPerRun / heavyAiPerRun  การแบ่ง AI budget รายวัน
+ *   fullRefresh / fastRun / consensus / validationRetries       โหมดเดียวกับ env ของ scrape-calculation
+ * คืน null ถ้าไม่มีรูปที่ต้องใช้
+ */
+export async function processLottery(source, cacheStore, failures, settings) {
+  const options = { ...PROCESS_DEFAULTS, ...settings };
+  const { vision, imagesDir, sourceIndex, totalSources } = options;
+  const prefix = source.imagePrefix || source.id;
+  const img1 = path.join(imagesDir, `${prefix}_1.png`);
+  const img2 = path.join(imagesDir, `${prefix}_2.png`);
+  const img3 = path.join(imagesDir, `${prefix}_3.png`);
+  const previousOutput = await readPreviousOutput(source.outputFile, options);
+  const domExtraction = await readJsonFile(path.join(imagesDir, `${prefix}_dom.json`));
+
+  // ตรวจไฟล์ (segment ที่ DOM อ่านได้แล้วไม่ต้องใช้รูป)
+  const domSegments = {
+    [img1]: domExtraction?.daily_calculation,
+    [img2]: domExtraction?.digit_frequency,
+    [img3]: domExtraction?.statistics_30_draws,
+  };
+  for (const f of [img1, img2, img3]) {
+    if (domSegments[f] && !(await isDomCurrent(domExtraction, f))) {
+      console.log(`  ⏳ ${prefix}_dom.json is older than ${path.basename(f)} - ignoring its DOM data`);
+      domSegments[f] = null;
+    }
+  }
+  for (const f of [img1, img2, img3]) {
+    if (domSegments[f]) continue;
+    try {
+      await fs.access(f);
+    } catch {
+      console.log(`  ⚠️ Missing: ${path.basename(f)} - skipping`);
+      return null;
+    }
+  }
+
+  // ข้อมูลที่ไม่ผ่าน validateSegment จะไม่ถูกเซฟ และถูกบันทึกลง failures ของ all_calculations.json
+  const checkSegment = (segmentName, data, from, action) => {
+    const errors = validateSegment(segmentName, data);
+    if (errors.length === 0) return true;
+    console.log(`    🚫 Invalid ${segmentName} from ${from}: ${errors.join("; ").slice(0, 200)}`);
+    failures.push({
+      lottery: source.id,
+      segment: segmentName,
+      reason: `validation failed (${from}, ${action}): ${errors.join("; ")}`,
+    });
+    return false;
+  };
+
+  const readSegment = async ({ segmentName, prompt, imagePath, previousData, domData }) => {
+    if (domData && checkSegment(segmentName, domData, "dom", "falling back to AI")) {
+      console.log(`    🧩 Using DOM extraction for ${segmentName} (${prefix}_dom.json)`);
+      return { data: domData, source: "dom" };
+    }
+
+    const imageHash = await hashFile(imagePath);
+    const cacheKey = `${source.id}:${segmentName}`;
+    const cached = cacheStore[cacheKey];
+    const shouldTryAI = shouldTryAIForSegment({
+      sourceIndex,
+      segmentName,
+      hasPreviousData: Boolean(previousData),
+      totalSources,
+      options,
+    });
+
+    if (
+      !options.fullRefresh &&
+      cached?.hash === imageHash &&
+      cached?.data &&
+      checkSegment(segmentName, cached.data, "cache", "ignoring cache")
+    ) {
+      console.log(`    ♻️ Using cache for ${path.basename(imagePath)} (${segmentName})`);
+      return { data: cached.data, source: "cache", consensus: cached.consensus || null };
+    }
+
+    if (!shouldTryAI && previousData) {
+      console.log(`    ⏭️ Skip AI for ${segmentName} (daily budget), using previous data`);
+      cacheStore[cacheKey] = { hash: imageHash, data: previousData, updated_at: nowISO() };
+      return { data: previousData, source: "previous_scheduled" };
+    }
+
+    try {
+      const image = await fs.readFile(imagePath);
+      for (let attempt = 0; ; attempt++) {
+        const { data, consensus = null, provider } = options.consensus
+          ? await vision.readConsensus(segmentName, prompt, image)
+          : await vision.read(segmentName, prompt, image);
+        const willRetry = attempt < options.validationRetries;
+        const action = willRetry ? "retrying" : previousData ? "used previous data" : "no fallback";
+        if (checkSegment(segmentName, data, "ai", action)) {
+          cacheStore[cacheKey] = { hash: imageHash, data, updated_at: nowISO() };
+          if (provider) cacheStore[cacheKey].provider = provider;
+          if (consensus) cacheStore[cacheKey].consensus = consensus;
+          return { data, source: provider === "ocr" ? "ocr" : "ai", consensus };
+        }
+        if (!willRetry) {
+          throw new Error(`${segmentName} failed validation after ${attempt + 1} AI read(s)`);
+        }
+      }
+    } catch (e) {
+      if (previousData) {
+        console.log(
+          `    ♻️ ${e.message.slice(0, 120)}, using previous ${segmentName} from public/${source.outputFile}`
+        );
+        cacheStore[cacheKey] = { hash: imageHash, data: previousData, updated_at: nowISO() };
+        return { data: previousData, source: "previous" };
+      }
+      throw e;
+    }
+  };
+
+  // 1. อ่าน calc (คำนวณประจำวัน)
+  console.log(`  📊 Reading ${prefix}_1.png (calc)...`);
+  const calcSegment = await readSegment({
+    segmentName: "calc",
+    prompt: CALC_PROMPT,
+    imagePath: img1,
+    previousData: previousOutput?.daily_calculation || null,
+    domData: domSegments[img1],
+  });
+  const calcData = calcSegment.data;
+  console.log(
+    `    ✅ top3: ${calcData.top3?.length || 0}, bottom2: ${calcData.bottom2?.length || 0}, วิ่ง: ${calcData.running_number}, รูด: ${calcData.full_set_number}`
+  );
+
+  if (calcSegment.source === "ai" && !options.fastRun) await delay(5000);
+
+  // 2. อ่าน digit frequency (สถิติเลข 0-9)
+  console.log(`  📊 Reading ${prefix}_2.png (digit freq)...`);
+  const digitFreqSegment = await readSegment({
+    segmentName: "digit_frequency",
+    prompt: DIGIT_FREQ_PROMPT,
+    imagePath: img2,
+    previousData: previousOutput?.digit_frequency || null,
+    domData: domSegments[img2],
+  });
+  const digitFreq = digitFreqSegment.data;
+  console.log(`    ✅ digit_frequency: ${digitFreq.data?.length || 0} entries`);
+
+  if (digitFreqSegment.source === "ai" && !options.fastRun) await delay(5000);
+
+  // 3. อ่าน stat 30 draws
+  console.log(`  📊 Reading ${prefix}_3.png (stat 30)...`);
+  const stat30Segment = await readSegment({
+    segmentName: "statistics_30_draws",
+    prompt: STAT_30_PROMPT,
+    imagePath: img3,
+    previousData: previousOutput?.statistics_30_draws || null,
+    domData: domSegments[img3],
+  });
+  const stat30 = stat30Segment.data;
+  console.log(
+    `    ✅ bottom2: ${stat30.bottom2?.length || 0}, top3: ${stat30.top3?.length || 0}`
+  );
+
+  // เทียบกับสถิติที่คำนวณเองจาก public/history/ (ถ้าคลังมีครบ 30 งวด)
+  const localStats = computeLocalStats(await loadHistory(source.id, options), 30);
+  let localCrossCheck = null;
+  if (localStats.window.draws_used >= 30) {
+    localCrossCheck = {
+      window: localStats.window,
+      ...diffLocalStats(localStats, { digit_frequency: digitFreq, statistics_30_draws: stat30 }),
+    };
+    const diffCount =
+      localCrossCheck.digit_frequency.differences.length +
+      localCrossCheck.statistics_30_draws.differences.length;
+    console.log(
+      diffCount === 0
+        ? "    🧮 Matches locally computed stats"
+        : `    🧮 ${diffCount} difference(s) vs locally computed stats`
+    );
+  }
+
+  return {
+    lottery: source.id,
+    lottery_name: source.name,
+    source_url: source.sourceUrl,
+    fetched_at: nowISO(),
+    window: { latest_n_draws: 30 },
+    daily_calculation: {
+      top3: calcData.top3 || [],
+      top3_recommended: calcData.top3_recommended || [],
+      bottom2: calcData.bottom2 || [],
+      bottom2_recommended: calcData.bottom2_recommended || [],
+      running_number: calcData.running_number ?? null,
+      full_set_number: calcData.full_set_number ?? null,
+    },
+    digit_frequency: {
+      data: digitFreq.data || [],
+    },
+    statistics_30_draws: {
+      bottom2: stat30.bottom2 || [],
+      top3: stat30.top3 || [],
+    },
+    // ที่มาของแต่ละ segment: dom / ai / ocr / cache / previous / previous_scheduled
+    segment_sources: {
+      daily_calculation: calcSegment.source,
+      digit_frequency: digitFreqSegment.source,
+      statistics_30_draws: stat30Segment.source,
+    },
+    ...(options.consensus && {
+      consensus: {
+        daily_calculation: calcSegment.consensus || null,
+        digit_frequency: digitFreqSegment.consensus || null,
+        statistics_30_draws: stat30Segment.consensus || null,
+      },
+    }),
+    ...(localCrossCheck && { local_cross_check: localCrossCheck }),
+    blocked_by_cloudflare: false,
+    notes: `ดึงข้อมูลจาก exphuay.com - รันเวลา 08:00 น.`,
+  };
+}
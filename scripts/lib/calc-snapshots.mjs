@@ -0,0 +1,122 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { bangkokDate } from "./draw-calendar.mjs";
+
+/**
+ * สำเนารายวันของผลคำนวณ public/calculations/{lottery}/{YYYY-MM-DD}.json
+ * (public/{outputFile} ถูกเขียนทับทุกเช้า เลขแนะนำของวันก่อน ๆ จึงหายถ้าไม่เก็บแยก)
+ *
+ * แต่ละ snapshot มีที่มาของทุก segment: source (dom/ai/ocr/cache/previous/previous_scheduled),
+ * provider ที่อ่านรูป และ hash ของรูปจาก .vision-cache.json
+ * index.json เก็บเลขแนะนำของทุกวันแบบย่อไว้ให้ไล่ดูย้อนหลังได้โดยไม่ต้องเปิดทีละไฟล์
+ */
+
+export const CALC_SNAPSHOT_DIR = path.join("public", "calculations");
+
+// ชื่อ segment ใน output -> key ใน .vision-cache.json (`${id}:${segment}`)
+const CACHE_SEGMENTS = {
+  daily_calculation: "calc",
+  digit_frequency: "digit_frequency",
+  statistics_30_draws: "statistics_30_draws",
+};
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+/**
+ * สร้าง snapshot จาก output ของ processLottery + cache store ของรอบเดียวกัน
+ */
+export function buildSnapshot(output, cacheStore = {}) {
+  const segments = {};
+  for (const [segment, cacheSegment] of Object.entries(CACHE_SEGMENTS)) {
+    const source = output.segment_sources?.[segment] || null;
+    // DOM ไม่ได้ใช้รูป ค่าใน cache (ถ้ามี) เป็นของรอบก่อน
+    const cached = source && source !== "dom" ? cacheStore[`${output.lottery}:${cacheSegment}`] : null;
+    segments[segment] = {
+      source,
+      provider: source === "dom" ? "dom" : cached?.provider || null,
+      image_hash: cached?.hash || null,
+    };
+  }
+
+  return {
+    lottery: output.lottery,
+    lottery_name: output.lottery_name,
+    calc_date: bangkokDate(new Date(output.fetched_at)),
+    fetched_at: output.fetched_at,
+    daily_calculation: output.daily_calculation,
+    digit_frequency: output.digit_frequency,
+    statistics_30_draws: output.statistics_30_draws,
+    segments,
+  };
+}
+
+/**
+ * อ่าน snapshot ทั้งหมดของหวยหนึ่ง เรียงตามวันที่
+ */
+export async function loadSnapshots(lotteryId, { dir = CALC_SNAPSHOT_DIR } = {}) {
+  let files = [];
+  try {
+    files = await fs.readdir(path.join(dir, lotteryId));
+  } catch {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of files.filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).sort()) {
+    try {
+      snapshots.push(JSON.parse(await fs.readFile(path.join(dir, lotteryId, file), "utf8")));
+    } catch {
+      // ไฟล์เสีย ข้าม
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * เขียน snapshot (วันเดียวกันรันซ้ำ = เขียนทับของวันนั้น) คืน path ที่เขียน
+ */
+export async function writeSnapshot(snapshot, { dir = CALC_SNAPSHOT_DIR } = {}) {
+  const lotteryDir = path.join(dir, snapshot.lottery);
+  await fs.mkdir(lotteryDir, { recursive: true });
+  const filePath = path.join(lotteryDir, `${snapshot.calc_date}.json`);
+  await fs.writeFile(filePath, JSON.stringify(snapshot, null, 2), "utf8");
+  return filePath;
+}
+
+/**
+ * สร้าง public/calculations/index.json ใหม่จาก snapshot ทุกไฟล์
+ */
+export async function writeSnapshotIndex({ dir = CALC_SNAPSHOT_DIR } = {}) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const lotteries = {};
+  for (const entry of entries.filter((e) => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const snapshots = await loadSnapshots(entry.name, { dir });
+    if (snapshots.length === 0) continue;
+    lotteries[entry.name] = {
+      lottery_name: snapshots[snapshots.length - 1].lottery_name,
+      total_snapshots: snapshots.length,
+      first_date: snapshots[0].calc_date,
+      latest_date: snapshots[snapshots.length - 1].calc_date,
+      snapshots: snapshots.map((s) => ({
+        date: s.calc_date,
+        top3_recommended: s.daily_calculation?.top3_recommended || [],
+        bottom2_recommended: s.daily_calculation?.bottom2_recommended || [],
+        running_number: s.daily_calculation?.running_number ?? null,
+        full_set_number: s.daily_calculation?.full_set_number ?? null,
+        source: s.segments?.daily_calculation?.source || null,
+      })),
+    };
+  }
+
+  const index = { updated_at: nowISO(), total_lotteries: Object.keys(lotteries).length, lotteries };
+  await fs.writeFile(path.join(dir, "index.json"), JSON.stringify(index, null, 2), "utf8");
+  return index;
+}
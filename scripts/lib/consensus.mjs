@@ -0,0 +1,143 @@
+/**
+ * รวมผลอ่านรูปหลายครั้ง (คนละ provider หรือ provider เดียวอ่านซ้ำ) แบบทีละ field
+ *
+ * field ที่ทุกครั้งอ่านตรงกันถือว่าเชื่อได้ ส่วน field ที่ไม่ตรงกันจะใช้ค่าของ reading แรก
+ * แต่ถูกบันทึกไว้ใน conflicts และตั้ง needs_review = true เสมอ (ไม่เลือกเงียบๆ)
+ */
+
+const CALC_LIST_FIELDS = ["top3", "top3_recommended", "bottom2", "bottom2_recommended"];
+const CALC_SCALAR_FIELDS = ["running_number", "full_set_number"];
+const DIGIT_COUNT_FIELDS = ["top3_count", "bottom2_count", "total"];
+
+// รายการเลขของ calc เทียบเป็นสมาชิก (top3{043}, เลขซ้ำตัวที่ 2 เป็น bottom2{16}#2) ไม่ใช่ตามตำแหน่ง
+const LIST_MEMBER_KEY = /^(\w+)\{(.*)\}(?:#\d+)?$/;
+
+// แปลง segment เป็น Map ของ field path -> ค่า เพื่อเทียบกันทีละช่อง
+// ตาราง stat 30 ใช้เลขเป็น key (ไม่ใช้ตำแหน่ง) เพราะ AI มักอ่านตกแถวแล้วตำแหน่งเลื่อนทั้งตาราง
+const FLATTENERS = {
+  calc(data) {
+    const fields = new Map();
+    for (const name of CALC_LIST_FIELDS) {
+      const seen = new Map();
+      for (const v of data?.[name] || []) {
+        const n = (seen.get(v) || 0) + 1;
+        seen.set(v, n);
+        fields.set(n === 1 ? `${name}{${v}}` : `${name}{${v}}#${n}`, v);
+      }
+    }
+    for (const name of CALC_SCALAR_FIELDS) {
+      fields.set(name, data?.[name] ?? null);
+    }
+    return fields;
+  },
+  digit_frequency(data) {
+    const fields = new Map();
+    for (const row of data?.data || []) {
+      for (const name of DIGIT_COUNT_FIELDS) {
+        fields.set(`data.${row.digit}.${name}`, row[name]);
+      }
+    }
+    return fields;
+  },
+  statistics_30_draws(data) {
+    const fields = new Map();
+    for (const table of ["bottom2", "top3"]) {
+      for (const entry of data?.[table] || []) {
+        fields.set(`${table}.${entry.number}`, entry.count);
+      }
+    }
+    return fields;
+  },
+};
+
+const UNFLATTENERS = {
+  calc(fields) {
+    const data = {};
+    for (const name of CALC_LIST_FIELDS) {
+      data[name] = [];
+    }
+    for (const [key, value] of fields) {
+      const m = key.match(LIST_MEMBER_KEY);
+      if (!m) data[key] = value;
+      else if (value !== null) data[m[1]].push(value);
+    }
+    return data;
+  },
+  digit_frequency(fields) {
+    const rows = new Map();
+    for (const [key, value] of fields) {
+      const [, digit, name] = key.split(".");
+      if (!rows.has(digit)) rows.set(digit, { digit });
+      rows.get(digit)[name] = value;
+    }
+    return {
+      data: Array.from(rows.values()).sort((a, b) => Number(a.digit) - Number(b.digit)),
+    };
+  },
+  statistics_30_draws(fields) {
+    const data = { bottom2: [], top3: [] };
+    for (const [key, count] of fields) {
+      const [table, number] = key.split(".");
+      data[table].push({ number, count });
+    }
+    return data;
+  },
+};
+
+/**
+ * readings = [{ label: "github", data }, { label: "gemini", data }, ...]
+ * คืน { data, consensus } โดย consensus คือบล็อกที่แนบไปกับ segment ใน output
+ */
+export function mergeReadings(segmentName, readings) {
+  const flatten = FLATTENERS[segmentName];
+  if (!flatten) throw new Error(`Unknown segment: ${segmentName}`);
+  if (readings.length === 0) throw new Error("mergeReadings: no readings");
+
+  const labels = readings.map((r) => r.label);
+  if (readings.length === 1) {
+    return {
+      data: readings[0].data,
+      consensus: {
+        providers: labels,
+        agreement: null,
+        compared_fields: 0,
+        conflicts: [],
+        needs_review: true,
+        note: "only one reading succeeded, nothing to compare",
+      },
+    };
+  }
+
+  const flats = readings.map((r) => flatten(r.data));
+  // reading แรกเป็นหลัก (ลำดับ field ตามนั้น) แล้วต่อด้วย field ที่มีเฉพาะใน reading อื่น
+  const keys = new Set(flats.flatMap((f) => Array.from(f.keys())));
+
+  const merged = new Map();
+  const conflicts = [];
+  let agreed = 0;
+  for (const key of keys) {
+    const values = flats.map((f) => (f.has(key) ? f.get(key) : null));
+    const first = values.find((v) => v !== null) ?? null;
+    if (values.every((v) => v === values[0])) {
+      agreed += 1;
+    } else {
+      conflicts.push({
+        field: key,
+        values: Object.fromEntries(labels.map((label, i) => [label, values[i]])),
+      });
+    }
+    // สมาชิกของรายการเลขตาม reading แรกเท่านั้น: เติมจาก reading อื่นจะได้ชุดเลขที่ไม่มี provider ไหนอ่านได้
+    merged.set(key, LIST_MEMBER_KEY.test(key) ? values[0] : values[0] ?? first);
+  }
+
+  return {
+    data: UNFLATTENERS[segmentName](merged),
+    consensus: {
+      providers: labels,
+      agreement: keys.size === 0 ? null : Number((agreed / keys.size).toFixed(4)),
+      compared_fields: keys.size,
+      conflicts,
+      needs_review: conflicts.length > 0,
+    },
+  };
+}
@@ -0,0 +1,157 @@
+import { LOTTERIES, getLottery } from "./lotteries.mjs";
+
+/**
+ * ปฏิทินออกรางวัลของแต่ละหวย จาก schedule ในทะเบียน (lotteries.mjs) + วันหยุด/วันเลื่อน
+ * วันที่ทั้งหมดเป็น "YYYY-MM-DD" ตามเวลาไทย (UTC+7 ไม่มี DST)
+ */
+
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+// วันเลื่อน/งดออกรางวัล
+//   yearlyMoves: วันออกปกติ "MM-DD" -> วันที่ออกจริงของทุกปี (yearOffset = ย้ายไปปีอื่น)
+//   moves: วันเลื่อนเฉพาะปี "YYYY-MM-DD" -> "YYYY-MM-DD" (ตามประกาศ ใส่เพิ่มเมื่อมีประกาศ)
+//   skips: วันที่งดออก
+const DRAW_EXCEPTIONS = {
+  thai_government: {
+    yearlyMoves: {
+      "01-01": { to: "12-30", yearOffset: -1 }, // งวดปีใหม่ออก 30 ธ.ค. ของปีก่อน
+      "01-16": { to: "01-17" }, // วันครู
+      "05-01": { to: "05-02" }, // วันแรงงาน
+    },
+    moves: {},
+    skips: [],
+  },
+};
+
+// ตรุษญวน (Tết) หวยเวียดนามหยุดออก
+const TET_SKIPS = ["2026-02-16", "2026-02-17", "2026-02-18", "2026-02-19"];
+for (const id of ["hanoi_normal", "hanoi_special", "hanoi_vip"]) {
+  DRAW_EXCEPTIONS[id] = { yearlyMoves: {}, moves: {}, skips: TET_SKIPS };
+}
+
+// วันงดออกที่ทะเบียนกำหนดเอง (schedule.skips เช่นวันหยุดตลาดหุ้น)
+for (const lottery of LOTTERIES.filter((l) => l.schedule?.skips?.length)) {
+  const exceptions = (DRAW_EXCEPTIONS[lottery.id] ||= { yearlyMoves: {}, moves: {}, skips: [] });
+  exceptions.skips = [...exceptions.skips, ...lottery.schedule.skips];
+}
+
+function requireLottery(lotteryId) {
+  const lottery = getLottery(lotteryId);
+  if (!lottery?.schedule) throw new Error(`ไม่มีตารางออกรางวัลของ ${lotteryId}`);
+  return lottery;
+}
+
+function addDays(isoDate, days) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * วันที่ (เวลาไทย) ของเวลา now
+ */
+export function bangkokDate(now = new Date()) {
+  return new Date(now.getTime() + BANGKOK_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * เวลาออกรางวัลตามตาราง (ISO, +07:00) — ฮานอยส่ง draw_time จริงของงวดมาได้
+ */
+export function scheduledAt(lotteryId, drawDate, drawTime = null) {
+  const time = drawTime || requireLottery(lotteryId).schedule.time;
+  const [h, m] = time.split(":");
+  return `${drawDate}T${h.padStart(2, "0")}:${m}:00+07:00`;
+}
+
+function isNominalDrawDay(schedule, isoDate) {
+  if (schedule.daily) return true;
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  if (schedule.monthDays?.includes(d.getUTCDate())) return true;
+  if (schedule.weekdays?.includes(d.getUTCDay())) return true;
+  return false;
+}
+
+// วันออกปกติ -> วันออกจริง (null = งด)
+function actualDrawDate(exceptions, nominalDate) {
+  if (!exceptions) return nominalDate;
+  if (exceptions.skips.includes(nominalDate)) return null;
+  if (exceptions.moves[nominalDate]) return exceptions.moves[nominalDate];
+
+  const move = exceptions.yearlyMoves[nominalDate.slice(5)];
+  if (move) {
+    const year = Number(nominalDate.slice(0, 4)) + (move.yearOffset || 0);
+    return `${year}-${move.to}`;
+  }
+  return nominalDate;
+}
+
+/**
+ * งวดทั้งหมดของหวยในช่วงวันที่ [from, to] (รวมปลายทั้งสองข้าง) เรียงตามเวลา
+ * คืน [{ date, time, scheduled_at, moved_from? }]
+ */
+export function scheduledDrawsBetween(lotteryId, from, to) {
+  const { schedule } = requireLottery(lotteryId);
+  const exceptions = DRAW_EXCEPTIONS[lotteryId];
+
+  // เลื่อนได้ข้ามปี (1 ม.ค. -> 30 ธ.ค.) จึงต้องดูวันออกปกติเลยช่วงไปอีกเล็กน้อย
+  const draws = new Map();
+  for (let nominal = addDays(from, -7); nominal <= addDays(to, 7); nominal = addDays(nominal, 1)) {
+    if (!isNominalDrawDay(schedule, nominal)) continue;
+    const date = actualDrawDate(exceptions, nominal);
+    if (!date || date < from || date > to) continue;
+    draws.set(date, {
+      date,
+      time: schedule.time,
+      scheduled_at: scheduledAt(lotteryId, date),
+      ...(date !== nominal ? { moved_from: nominal } : {}),
+    });
+  }
+  return [...draws.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * N งวดถัดไปที่ยังไม่ถึงเวลาออก
+ */
+export function nextDraws(lotteryId, now = new Date(), count = 1) {
+  const upcoming = [];
+  let from = bangkokDate(now);
+  // ค้นทีละ 60 วันจนได้ครบ (หวยรายเดือนต้องใช้ช่วงยาว)
+  for (let i = 0; i < 24 && upcoming.length < count; i++) {
+    const to = addDays(from, 59);
+    for (const draw of scheduledDrawsBetween(lotteryId, from, to)) {
+      if (new Date(draw.scheduled_at) > now && upcoming.length < count) upcoming.push(draw);
+    }
+    from = addDays(to, 1);
+  }
+  return upcoming;
+}
+
+/**
+ * งวดล่าสุดที่ถึงเวลาออกแล้ว (null ถ้าไม่มีใน 60 วันที่ผ่านมา)
+ */
+export function latestScheduledDraw(lotteryId, now = new Date()) {
+  const today = bangkokDate(now);
+  const past = scheduledDrawsBetween(lotteryId, addDays(today, -60), today).filter(
+    (d) => new Date(d.scheduled_at) <= now
+  );
+  return past[past.length - 1] || null;
+}
+
+/**
+ * หวยที่ถึงเวลาออกแล้วแต่ยังไม่มีผลงวดนั้น
+ * lastDrawDates = { [lotteryId]: "YYYY-MM-DD" } งวดล่าสุดที่มีผลแล้ว
+ * งวดที่เลยเวลามานานกว่า windowHours ถือว่าพลาดไปแล้ว (เช่นวันหยุดที่ยังไม่ได้ใส่ใน DRAW_EXCEPTIONS)
+ * ไม่ต้องลองซ้ำทุกรอบ
+ */
+export function dueLotteries(now = new Date(), lastDrawDates = {}, { windowHours = 36 } = {}) {
+  const due = [];
+  for (const lottery of LOTTERIES.filter((l) => l.schedule)) {
+    const draw = latestScheduledDraw(lottery.id, now);
+    if (!draw) continue;
+    if (now - new Date(draw.scheduled_at) > windowHours * 60 * 60 * 1000) continue;
+    const last = lastDrawDates[lottery.id];
+    if (last && last >= draw.date) continue;
+    due.push({ lottery: lottery.id, draw });
+  }
+  return due;
+}
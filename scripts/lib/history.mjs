@@ -0,0 +1,216 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * คลังผลหวยย้อนหลังแบบเพิ่มอย่างเดียว (append-only)
+ *
+ *   public/history/{lottery_type}/{YYYY}.json = ผลทุกงวดของปีนั้น เรียงตาม draw_date (+ draw_time)
+ *   public/history/index.json                 = ปีที่มีข้อมูล + งวดล่าสุดของแต่ละหวย
+ *
+ * งวดซ้ำจะไม่ถูกเพิ่มซ้ำ ถ้ารอบหลังอ่านค่าได้ต่างจากเดิม (เว็บแก้ผล) จะแก้ record เดิม
+ * และเก็บค่าก่อนแก้ไว้ใน corrections
+ */
+
+export const HISTORY_DIR = path.join("public", "history");
+
+function nowISO() {
+  return new Date().toISOString();
+}
+
+// หวยที่มี draw_time (ฮานอย) ใช้วันที่ + เวลาเป็น key เผื่อวันเดียวมีมากกว่าหนึ่งรอบ
+export function drawKey(draw) {
+  return draw.draw_time ? `${draw.draw_date} ${draw.draw_time}` : draw.draw_date;
+}
+
+function compareDraws(a, b) {
+  return drawKey(a).localeCompare(drawKey(b));
+}
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function yearFilePath(historyDir, lotteryType, year) {
+  return path.join(historyDir, lotteryType, `${year}.json`);
+}
+
+// รวมผลใหม่ทับของเดิมเฉพาะช่องที่อ่านได้ (ค่า null/ว่างจากรอบที่อ่านไม่ครบจะไม่ลบค่าเดิม)
+function mergeResults(previous, incoming) {
+  const merged = { ...previous };
+  for (const [field, value] of Object.entries(incoming || {})) {
+    if (value !== null && value !== undefined && value !== "") merged[field] = value;
+  }
+  return merged;
+}
+
+function changedFields(previous, merged) {
+  return Object.keys(merged).filter(
+    (field) => JSON.stringify(previous?.[field]) !== JSON.stringify(merged[field])
+  );
+}
+
+/**
+ * อ่านผลทุกงวดของหวยหนึ่งจากคลัง (ทุกปี) เรียงจากเก่าไปใหม่
+ */
+export async function loadHistory(lotteryType, { historyDir = HISTORY_DIR } = {}) {
+  let files = [];
+  try {
+    files = await fs.readdir(path.join(historyDir, lotteryType));
+  } catch {
+    return [];
+  }
+
+  const draws = [];
+  for (const file of files.filter((f) => /^\d{4}\.json$/.test(f)).sort()) {
+    const yearData = await readJson(path.join(historyDir, lotteryType, file), null);
+    draws.push(...(yearData?.draws || []));
+  }
+  return draws.sort(compareDraws);
+}
+
+/**
+ * เพิ่มผลงวดล่าสุด (รูปแบบเดียวกับ formatResults) เข้าคลัง แล้วสร้าง index.json ใหม่
+ * คืนค่าสรุป { added, corrected, unchanged, skipped }
+ */
+export async function archiveDraws(lotteries, { historyDir = HISTORY_DIR } = {}) {
+  const summary = { added: 0, corrected: 0, unchanged: 0, skipped: 0 };
+
+  // จัดกลุ่มตามไฟล์ปลายทาง เพื่ออ่าน/เขียนแต่ละไฟล์ครั้งเดียว
+  const groups = new Map();
+  for (const lottery of lotteries) {
+    const year = lottery.draw_date?.match(/^(\d{4})-\d{2}-\d{2}$/)?.[1];
+    if (!lottery.lottery_type || !year) {
+      console.log(`  ⚠️ History: skip ${lottery.lottery_name || lottery.lottery_type} (no draw_date)`);
+      summary.skipped++;
+      continue;
+    }
+    const filePath = yearFilePath(historyDir, lottery.lottery_type, year);
+    if (!groups.has(filePath)) {
+      groups.set(filePath, { lotteryType: lottery.lottery_type, year: Number(year), draws: [] });
+    }
+    groups.get(filePath).draws.push(lottery);
+  }
+
+  for (const [filePath, group] of groups) {
+    const yearData = await readJson(filePath, {
+      lottery_type: group.lotteryType,
+      year: group.year,
+      draws: [],
+    });
+    const byKey = new Map(yearData.draws.map((d) => [drawKey(d), d]));
+    let dirty = false;
+
+    for (const lottery of group.draws) {
+      const key = drawKey(lottery);
+      let existing = byKey.get(key);
+      // งวดที่เก็บไว้ก่อนหวยนี้มี draw_time (เช่นหวยลาว) ย้ายมาใช้ key ใหม่ ไม่นับเป็นงวดใหม่ซ้ำ
+      const legacy = !existing && lottery.draw_time ? byKey.get(lottery.draw_date) : null;
+      if (legacy) {
+        byKey.delete(lottery.draw_date);
+        existing = { ...legacy, draw_time: lottery.draw_time };
+        byKey.set(key, existing);
+        dirty = true;
+      }
+
+      if (!existing) {
+        byKey.set(key, { ...lottery, archived_at: nowISO() });
+        summary.added++;
+        dirty = true;
+        console.log(`  🗄️ History: + ${lottery.lottery_type} ${key}`);
+        continue;
+      }
+
+      const results = mergeResults(existing.results, lottery.results);
+      const changed = changedFields(existing.results, results);
+      if (changed.length === 0) {
+        summary.unchanged++;
+        continue;
+      }
+
+      byKey.set(key, {
+        ...existing,
+        ...lottery,
+        results,
+        archived_at: existing.archived_at,
+        corrected_at: nowISO(),
+        corrections: [
+          ...(existing.corrections || []),
+          { at: nowISO(), fields: changed, previous: existing.results },
+        ],
+      });
+      summary.corrected++;
+      dirty = true;
+      console.log(`  🛠️ History: corrected ${lottery.lottery_type} ${key} (${changed.join(", ")})`);
+    }
+
+    if (!dirty) continue;
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const output = {
+      lottery_type: group.lotteryType,
+      year: group.year,
+      updated_at: nowISO(),
+      total_draws: byKey.size,
+      draws: [...byKey.values()].sort(compareDraws),
+    };
+    await fs.writeFile(filePath, JSON.stringify(output, null, 2), "utf8");
+  }
+
+  // index มี updated_at ถ้าเขียนทุกรอบ workflow จะ commit ทั้งที่ไม่มีงวดใหม่
+  const indexMissing = !(await readJson(path.join(historyDir, "index.json"), null));
+  if (summary.added > 0 || summary.corrected > 0 || indexMissing) {
+    await writeHistoryIndex({ historyDir });
+  }
+  return summary;
+}
+
+/**
+ * สร้าง public/history/index.json จากไฟล์ในคลังทั้งหมด (ไม่พึ่งข้อมูลรอบนี้อย่างเดียว)
+ */
+export async function writeHistoryIndex({ historyDir = HISTORY_DIR } = {}) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(historyDir, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  const lotteries = {};
+  for (const entry of entries.filter((e) => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const files = await fs.readdir(path.join(historyDir, entry.name));
+    const years = files
+      .map((f) => f.match(/^(\d{4})\.json$/)?.[1])
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => a - b);
+    if (years.length === 0) continue;
+
+    const draws = await loadHistory(entry.name, { historyDir });
+    const latest = draws[draws.length - 1] || null;
+    lotteries[entry.name] = {
+      lottery_name: latest?.lottery_name || entry.name,
+      years,
+      total_draws: draws.length,
+      first_draw_date: draws[0]?.draw_date || null,
+      latest_draw: latest
+        ? {
+            draw_date: latest.draw_date,
+            ...(latest.draw_time ? { draw_time: latest.draw_time } : {}),
+            results: latest.results,
+          }
+        : null,
+    };
+  }
+
+  const index = {
+    updated_at: nowISO(),
+    total_lotteries: Object.keys(lotteries).length,
+    lotteries,
+  };
+  await fs.writeFile(path.join(historyDir, "index.json"), JSON.stringify(index, null, 2), "utf8");
+  return index;
+}
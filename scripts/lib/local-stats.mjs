@@ -0,0 +1,106 @@
+/**
+ * คำนวณ digit_frequency / statistics_30_draws เองจากผลย้อนหลังใน public/history/
+ * (shape เดียวกับที่อ่านจากรูปของ exphuay) เพื่อใช้ window อื่นนอกจาก 30 งวด
+ * และใช้ตรวจค่าที่ vision อ่านมาแบบอัตโนมัติ
+ */
+
+export const STAT_WINDOWS = [10, 30, 60, 90, "all"];
+
+const DIGITS = ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"];
+
+// หวยรัฐบาล/ลาว บางงวดมีแค่ full_number ให้ใช้ 3 ตัวท้ายเป็น 3 ตัวบน
+function drawNumbers(draw) {
+  const results = draw.results || {};
+  const top3 = results.top3 || (results.full_number ? results.full_number.slice(-3) : null);
+  const bottom2 = results.bottom2 || null;
+  return {
+    top3: /^\d{3}$/.test(top3 || "") ? top3 : null,
+    bottom2: /^\d{2}$/.test(bottom2 || "") ? bottom2 : null,
+  };
+}
+
+function countNumbers(numbers) {
+  const counts = new Map();
+  for (const n of numbers) counts.set(n, (counts.get(n) || 0) + 1);
+  return [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([number, count]) => ({ number, count }));
+}
+
+/**
+ * คำนวณสถิติจาก N งวดล่าสุดของ draws (เรียงเก่า -> ใหม่) window = จำนวนงวด หรือ "all"
+ */
+export function computeLocalStats(draws, window = 30) {
+  const usable = draws.filter((d) => {
+    const { top3, bottom2 } = drawNumbers(d);
+    return top3 && bottom2;
+  });
+  const selected = window === "all" ? usable : usable.slice(-window);
+  const numbers = selected.map(drawNumbers);
+
+  const digitCounts = Object.fromEntries(DIGITS.map((d) => [d, { top3_count: 0, bottom2_count: 0 }]));
+  for (const { top3, bottom2 } of numbers) {
+    for (const digit of top3) digitCounts[digit].top3_count++;
+    for (const digit of bottom2) digitCounts[digit].bottom2_count++;
+  }
+
+  return {
+    window: {
+      latest_n_draws: window === "all" ? selected.length : window,
+      draws_used: selected.length,
+      from_draw_date: selected[0]?.draw_date || null,
+      to_draw_date: selected[selected.length - 1]?.draw_date || null,
+    },
+    digit_frequency: {
+      data: DIGITS.map((digit) => ({
+        digit,
+        ...digitCounts[digit],
+        total: digitCounts[digit].top3_count + digitCounts[digit].bottom2_count,
+      })),
+      computed_locally: true,
+    },
+    statistics_30_draws: {
+      bottom2: countNumbers(numbers.map((n) => n.bottom2)),
+      top3: countNumbers(numbers.map((n) => n.top3)),
+      computed_locally: true,
+    },
+  };
+}
+
+/**
+ * เทียบสถิติที่คำนวณเองกับค่าที่อ่านจาก exphuay (public/{outputFile})
+ * คืน { matches, differences } แยกตาม segment — differences เก็บเฉพาะช่องที่ไม่ตรง
+ */
+export function diffLocalStats(local, exphuay) {
+  const digitDiffs = [];
+  const exphuayDigits = new Map((exphuay?.digit_frequency?.data || []).map((r) => [String(r.digit), r]));
+  for (const row of local.digit_frequency.data) {
+    for (const field of ["top3_count", "bottom2_count", "total"]) {
+      const theirs = exphuayDigits.get(row.digit)?.[field] ?? null;
+      if (theirs !== row[field]) {
+        digitDiffs.push({ digit: row.digit, field, local: row[field], exphuay: theirs });
+      }
+    }
+  }
+
+  const statDiffs = [];
+  for (const table of ["bottom2", "top3"]) {
+    const ours = new Map(local.statistics_30_draws[table].map((e) => [e.number, e.count]));
+    const theirs = new Map((exphuay?.statistics_30_draws?.[table] || []).map((e) => [String(e.number), e.count]));
+    for (const number of [...new Set([...ours.keys(), ...theirs.keys()])].sort()) {
+      if (ours.get(number) !== theirs.get(number)) {
+        statDiffs.push({
+          table,
+          number,
+          local: ours.get(number) ?? 0,
+          exphuay: theirs.get(number) ?? 0,
+        });
+      }
+    }
+  }
+
+  return {
+    digit_frequency: { matches: digitDiffs.length === 0, differences: digitDiffs },
+    statistics_30_draws: { matches: statDiffs.length === 0, differences: statDiffs },
+  };
+}
@@ -0,0 +1,286 @@
+// ===== ทะเบียนหวย (ใช้ร่วมกันทุกสคริปต์) =====
+// id = ค่าที่ใส่ใน JSON field "lottery" / "lottery_type" และชื่อโฟลเดอร์ใน public/history/
+// name = ชื่อไทยที่เขียนลง JSON
+// results = วิธีอ่านผลจากข้อความหน้าเว็บ (ใช้กับ parsers ใน result-parsers.mjs)
+//   layout "card"  : การ์ด "ผลหวย..." มี ผลรางวัล (resultDigits หลัก) / 3 ตัวบน / 2 ตัวล่าง
+//                    drawTime: true = ใส่ draw_time (เวลาบนการ์ด หรือเวลาในตาราง) เช่นหวยลาวที่ออกวันละหลายรอบ
+//   layout "hanoi" : แถวในตารางผลสามนอย "{ชื่อ} HH:MM XXX YY"
+//   layout "stock" : แถวในตารางหวยหุ้น "{ชื่อ}{รอบ} [HH:MM] XXX YY" ผลมี session (morning/afternoon/close)
+// resultSlug = path ของหน้าผลรายงวด https://exphuay.com/result/{resultSlug}/{YYYY-MM-DD}
+// schedule = วันออกรางวัล (เวลาไทย) monthDays = วันที่ของเดือน, weekdays = 0 (อาทิตย์) - 6 (เสาร์), daily
+//   skips = วันที่งดออก "YYYY-MM-DD" (เช่นวันหยุดตลาดหุ้น) รวมกับวันหยุดใน draw-calendar.mjs
+// calculation = หน้าคำนวณสถิติ (ไม่มี = ไม่มีหน้าคำนวณบน exphuay)
+//   imagePrefix = prefix ของชื่อรูปใน exp-images/ (เช่น gov_thai_1.png), outputFile = public/{outputFile}
+//   optional = หน้าที่ยังไม่ยืนยันว่ามีจริง capture จับไม่ได้ก็ไม่ทำให้รอบ fail (เอาออกเมื่อจับรูปได้แล้ว)
+//   หน้าคำนวณของหวยลาวรายวัน (lao_hd ... lao_redcross) ยังไม่เคยจับรูปได้ (URL ยังไม่ยืนยัน) จึงเป็น optional
+//   scrape-calculation ข้ามหวยที่ยังไม่มีรูปใน exp-images/ และไม่นับในรอบแบ่ง AI budget จนกว่าจะ capture ได้
+export const LOTTERIES = [
+  {
+    id: "thai_government",
+    name: "หวยรัฐบาลไทย",
+    results: { layout: "card", namePattern: /ผลหวยรัฐบาลไทย/, resultDigits: 6 },
+    resultSlug: "goverment",
+    schedule: { monthDays: [1, 16], time: "16:00" },
+    calculation: {
+      imagePrefix: "gov_thai",
+      sourceUrl: "https://exphuay.com/calculate/goverment",
+      outputFile: "gov_thai.json",
+    },
+  },
+  {
+    id: "lao_pattana",
+    name: "หวยลาวพัฒนา",
+    results: { layout: "card", namePattern: /ผลหวยลาวพัฒนา/, resultDigits: 6, drawTime: true },
+    resultSlug: "laosdevelops",
+    schedule: { weekdays: [1, 3, 5], time: "20:30" },
+    calculation: {
+      imagePrefix: "lao_pattana",
+      sourceUrl: "https://exphuay.com/calculate/laosdevelops",
+      outputFile: "lao_pattana.json",
+    },
+  },
+  {
+    id: "lao_hd",
+    name: "หวยลาว HD",
+    results: { layout: "card", namePattern: /ผลหวยลาว\s*HD/, resultDigits: 6, drawTime: true },
+    resultSlug: "laoshd",
+    schedule: { daily: true, time: "13:45" },
+    calculation: {
+      imagePrefix: "lao_hd",
+      optional: true,
+      sourceUrl: "https://exphuay.com/calculate/laoshd",
+      outputFile: "lao_hd.json",
+    },
+  },
+  {
+    id: "lao_star",
+    name: "หวยลาวสตาร์",
+    // ไม่ให้จับการ์ด "ลาวสตาร์ VIP"
+    results: { layout: "card", namePattern: /ผลหวยลาวสตาร์(?!\s*VIP)/, resultDigits: 6, drawTime: true },
+    resultSlug: "laosstar",
+    schedule: { daily: true, time: "15:45" },
+    calculation: {
+      imagePrefix: "lao_star",
+      optional: true,
+      sourceUrl: "https://exphuay.com/calculate/laosstar",
+      outputFile: "lao_star.json",
+    },
+  },
+  {
+    id: "lao_samakki",
+    name: "หวยลาวสามัคคี",
+    results: { layout: "card", namePattern: /ผลหวยลาวสามัคคี(?!\s*VIP)/, resultDigits: 5, drawTime: true },
+    resultSlug: "laosunion",
+    schedule: { daily: true, time: "20:30" },
+    calculation: {
+      imagePrefix: "lao_samakki",
+      optional: true,
+      sourceUrl: "https://exphuay.com/calculate/laosunion",
+      outputFile: "lao_samakki.json",
+    },
+  },
+  {
+    id: "lao_star_vip",
+    name: "หวยลาวสตาร์ VIP",
+    results: { layout: "card", namePattern: /ผลหวยลาวสตาร์\s*VIP/, resultDigits: 5, drawTime: true },
+    resultSlug: "laosstarvip",
+    schedule: { daily: true, time: "21:00" },
+    calculation: {
+      imagePrefix: "lao_star_vip",
+      optional: true,
+      sourceUrl: "https://exphuay.com/calculate/laosstarvip",
+      outputFile: "lao_star_vip.json",
+    },
+  },
+  {
+    id: "lao_vip",
+    name: "หวยลาว VIP",
+    results: { layout: "card", namePattern: /ผลหวยลาว\s*VIP/, resultDigits: 5, drawTime: true },
+    resultSlug: "laosvip",
+    schedule: { daily: true, time: "21:30" },
+    calculation: {
+      imagePrefix: "lao_vip",
+      optional: true,
+      sourceUrl: "https://exphuay.com/calculate/laosvip",
+      outputFile: "lao_vip.json",
+    },
+  },
+  {
+    id: "lao_redcross",
+    name: "หวยลาวกาชาด",
+    results: { layout: "card", namePattern: /ผลหวยลาวกาชาด/, resultDigits: 5, drawTime: true },
+    resultSlug: "laosredcross",
+    schedule: { daily: true, time: "23:30" },
+    calculation: {
+      imagePrefix: "lao_redcross",
+      optional: true,
+      sourceUrl: "https://exphuay.com/calculate/laosredcross",
+      outputFile: "lao_redcross.json",
+    },
+  },
+  {
+    id: "malaysia",
+    name: "หวยมาเลย์",
+    results: { layout: "card", namePattern: /ผลหวยมาเลย์/, resultDigits: 4 },
+    resultSlug: "magnum4d",
+    schedule: { weekdays: [0, 3, 6], time: "18:00" },
+    calculation: {
+      imagePrefix: "malaysia",
+      sourceUrl: "https://exphuay.com/calculate/magnum4d",
+      outputFile: "malaysia.json",
+    },
+  },
+  {
+    id: "baac",
+    name: "หวยธ.ก.ส.",
+    results: { layout: "card", namePattern: /ผลหวยธ\.?ก\.?ส\.?/, resultDigits: 3 },
+    resultSlug: "baac",
+    schedule: { monthDays: [16], time: "10:30" },
+    calculation: {
+      imagePrefix: "baac",
+      sourceUrl: "https://exphuay.com/calculate/baac",
+      outputFile: "baac.json",
+    },
+  },
+  {
+    id: "gsb",
+    name: "หวยออมสิน",
+    results: { layout: "card", namePattern: /ผลหวยออมสิน/, resultDigits: 3 },
+    resultSlug: "gsb",
+    schedule: { monthDays: [16], time: "10:30" },
+    calculation: {
+      imagePrefix: "gsb",
+      sourceUrl: "https://exphuay.com/calculate/gsb",
+      outputFile: "gsb.json",
+    },
+  },
+  {
+    id: "hanoi_normal",
+    name: "หวยฮานอยปกติ",
+    results: { layout: "hanoi", rowPattern: /ฮานอยปกติ\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
+    resultSlug: "minhngoc",
+    schedule: { daily: true, time: "18:30" },
+    calculation: {
+      imagePrefix: "hanoi_nor",
+      sourceUrl: "https://exphuay.com/calculate/minhngoc",
+      outputFile: "hanoi_normal.json",
+    },
+  },
+  {
+    id: "hanoi_special",
+    name: "หวยฮานอยพิเศษ",
+    results: { layout: "hanoi", rowPattern: /ฮานอยพิเศษ\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
+    resultSlug: "xsthm",
+    schedule: { daily: true, time: "17:30" },
+    calculation: {
+      imagePrefix: "hanoi_spa",
+      sourceUrl: "https://exphuay.com/calculate/xsthm",
+      outputFile: "hanoi_special.json",
+    },
+  },
+  {
+    id: "hanoi_vip",
+    name: "หวยฮานอย VIP",
+    results: { layout: "hanoi", rowPattern: /ฮานอย\s*VIP\s*(\d{1,2}:\d{2})\s*(\d{3})\s*(\d{2})/ },
+    resultSlug: "mlnhngo",
+    schedule: { daily: true, time: "19:30" },
+    calculation: {
+      imagePrefix: "hanoi_vip",
+      sourceUrl: "https://exphuay.com/calculate/mlnhngo",
+      outputFile: "hanoi_vip.json",
+    },
+  },
+];
+
+// ===== หวยหุ้น (ออกวันทำการของตลาด) =====
+// หนึ่งตลาดมีได้หลายรอบ แต่ละรอบเป็นหวยแยก id (stock_{market}_{session}) เพราะเวลาออกต่างกัน
+// ตลาดที่ปิดรอบเดียวใช้ session "close"
+// ยังไม่ใส่ calculation: ยังไม่มีหน้าคำนวณของหวยหุ้นที่ยืนยันได้บน exphuay
+// holidays = วันหยุดตลาดที่ตรงกับวันทำการ (วันที่ออกผลตามเวลาไทย) ไม่มีผลวันนั้น — ใส่เพิ่มเมื่อตลาดประกาศปฏิทินปีถัดไป
+const STOCK_SESSION_LABELS = { morning: "เช้า", afternoon: "บ่าย", close: "" };
+const STOCK_MARKETS = [
+  {
+    market: "nikkei",
+    label: "นิเคอิ",
+    resultSlug: "nikkei",
+    sessions: { morning: "09:30", afternoon: "13:00" },
+    holidays: ["2026-11-03", "2026-11-23", "2026-12-31", "2027-01-01"],
+  },
+  {
+    market: "china",
+    label: "จีน",
+    resultSlug: "china",
+    sessions: { morning: "10:30", afternoon: "14:00" },
+    holidays: ["2027-01-01"],
+  },
+  {
+    market: "hangseng",
+    label: "ฮั่งเส็ง",
+    resultSlug: "hangseng",
+    sessions: { morning: "11:10", afternoon: "15:10" },
+    holidays: ["2026-10-19", "2026-12-25", "2026-12-28", "2027-01-01"],
+  },
+  {
+    market: "taiwan",
+    label: "ไต้หวัน",
+    resultSlug: "taiwan",
+    sessions: { close: "12:35" },
+    holidays: ["2026-12-25", "2027-01-01"],
+  },
+  {
+    market: "korea",
+    label: "เกาหลี",
+    resultSlug: "korea",
+    sessions: { close: "13:30" },
+    holidays: ["2026-12-25", "2026-12-31", "2027-01-01"],
+  },
+  {
+    market: "singapore",
+    label: "สิงคโปร์",
+    resultSlug: "singapore",
+    sessions: { close: "16:25" },
+    holidays: ["2026-11-09", "2026-12-25", "2027-01-01"],
+  },
+  // ผลออกหลังตลาดนิวยอร์กปิด (ตีสี่เวลาไทย ช่วง US daylight saving ออกตีสาม) ของคืนวันจันทร์-ศุกร์
+  // วันหยุดจึงเป็นเช้าวันถัดจากวันหยุดของสหรัฐ (Thanksgiving 26 พ.ย., คริสต์มาส 25 ธ.ค., ปีใหม่ 1 ม.ค.)
+  {
+    market: "dowjones",
+    label: "ดาวโจนส์",
+    resultSlug: "dowjones",
+    weekdays: [2, 3, 4, 5, 6],
+    sessions: { close: "04:00" },
+    holidays: ["2026-11-27", "2026-12-26", "2027-01-02"],
+  },
+];
+
+for (const { market, label, resultSlug, weekdays = [1, 2, 3, 4, 5], sessions, holidays = [] } of STOCK_MARKETS) {
+  for (const [session, time] of Object.entries(sessions)) {
+    const sessionLabel = STOCK_SESSION_LABELS[session];
+    LOTTERIES.push({
+      id: `stock_${market}_${session}`,
+      name: `หวยหุ้น${label}${sessionLabel ? ` รอบ${sessionLabel}` : ""}`,
+      session,
+      results: {
+        layout: "stock",
+        // รอบเดียว: ไม่ให้จับแถวที่มีคำว่าเช้า/บ่ายต่อท้าย
+        rowPattern: new RegExp(
+          `${label}\\s*${sessionLabel || "(?!\\s*(?:เช้า|บ่าย))"}\\s*(?:(\\d{1,2}[:.]\\d{2})\\s*)?(\\d{3})\\s+(\\d{2})(?!\\d)`
+        ),
+      },
+      resultSlug,
+      schedule: { weekdays, time, skips: holidays },
+    });
+  }
+}
+
+export function getLottery(id) {
+  return LOTTERIES.find((l) => l.id === id) || null;
+}
+
+// ===== รายชื่อหวยที่มีหน้าคำนวณ (capture-exp-images.mjs / scrape-calculation.mjs) =====
+// รูปแบบเดิม { id, imagePrefix, name, sourceUrl, outputFile } ที่สคริปต์เก่าใช้
+export const LOTTERY_SOURCES = LOTTERIES.filter((l) => l.calculation).map((l) => ({
+  id: l.id,
+  name: l.name,
+  ...l.calculation,
+}));
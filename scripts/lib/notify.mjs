@@ -0,0 +1,123 @@
+import crypto from "node:crypto";
+import { PRIZE_LABELS } from "./prize-checker.mjs";
+
+/**
+ * ส่ง event ผลหวย (จาก lib/result-changes.mjs) ออกไปยังช่องทางต่าง ๆ
+ *
+ * NOTIFY_SINKS เลือกช่องทางและลำดับ (ค่าเริ่มต้น "stdout,webhook,line,discord,slack")
+ * ช่องทางที่ยังไม่ได้ตั้ง env จะถูกข้ามไปเอง:
+ *   webhook: NOTIFY_WEBHOOK_URL (+ NOTIFY_WEBHOOK_SECRET สำหรับลายเซ็น HMAC-SHA256)
+ *   line:    LINE_CHANNEL_ACCESS_TOKEN + LINE_TO (Messaging API push, เปลี่ยน endpoint ได้ด้วย LINE_API_URL)
+ *   discord: DISCORD_WEBHOOK_URL
+ *   slack:   SLACK_WEBHOOK_URL
+ *
+ * การแจ้งเตือนเป็น best-effort: ช่องทางที่ส่งไม่ผ่านจะอยู่ใน deliveries แต่ไม่ throw
+ */
+
+export const SIGNATURE_HEADER = "X-Lotto-Signature";
+const LINE_PUSH_URL = "https://api.line.me/v2/bot/message/push";
+const NOTIFY_TIMEOUT_MS = Number(process.env.NOTIFY_TIMEOUT_MS || 10000);
+
+const RESULT_ORDER = ["full_number", "top3", "bottom2"];
+
+/**
+ * ข้อความภาษาไทยของ event เดียว ใช้ร่วมกันทุกช่องทางที่เป็นข้อความ
+ */
+export function formatEventText(event) {
+  const heading = event.event === "correction" ? "✏️ แก้ไขผล" : "🎰 ผลออกแล้ว";
+  const drawLabel = event.draw_time ? `${event.draw_date} ${event.draw_time}` : event.draw_date;
+  const lines = [`${heading} ${event.lottery_name} งวด ${drawLabel}`];
+
+  for (const key of RESULT_ORDER) {
+    const value = event.results?.[key];
+    if (!value) continue;
+    const was = event.previous_results?.[key];
+    lines.push(`${PRIZE_LABELS[key]}: ${value}${was && was !== value ? ` (เดิม ${was})` : ""}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * ลายเซ็นของ body สำหรับ webhook: "sha256=<hex>" ฝั่งรับคำนวณซ้ำด้วย secret เดียวกันแล้วเทียบ
+ */
+export function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+async function postJSON(url, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(typeof headers === "function" ? headers(body) : headers) },
+    body,
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`HTTP ${res.status} ${text.slice(0, 200)}`);
+  }
+}
+
+function joinText(events, maxLength) {
+  const text = events.map(formatEventText).join("\n\n");
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+export const NOTIFY_SINKS = {
+  stdout: {
+    isConfigured: () => true,
+    send: async (events) => {
+      for (const event of events) console.log(formatEventText(event));
+    },
+  },
+  webhook: {
+    isConfigured: (env) => Boolean(env.NOTIFY_WEBHOOK_URL),
+    send: (events, env) =>
+      postJSON(
+        env.NOTIFY_WEBHOOK_URL,
+        { source: "exp-lotto", sent_at: new Date().toISOString(), events },
+        (body) => (env.NOTIFY_WEBHOOK_SECRET ? { [SIGNATURE_HEADER]: signPayload(body, env.NOTIFY_WEBHOOK_SECRET) } : {})
+      ),
+  },
+  line: {
+    isConfigured: (env) => Boolean(env.LINE_CHANNEL_ACCESS_TOKEN && env.LINE_TO),
+    send: (events, env) =>
+      postJSON(
+        env.LINE_API_URL || LINE_PUSH_URL,
+        { to: env.LINE_TO, messages: [{ type: "text", text: joinText(events, 5000) }] },
+        { Authorization: `Bearer ${env.LINE_CHANNEL_ACCESS_TOKEN}` }
+      ),
+  },
+  discord: {
+    isConfigured: (env) => Boolean(env.DISCORD_WEBHOOK_URL),
+    send: (events, env) => postJSON(env.DISCORD_WEBHOOK_URL, { content: joinText(events, 2000) }),
+  },
+  slack: {
+    isConfigured: (env) => Boolean(env.SLACK_WEBHOOK_URL),
+    send: (events, env) => postJSON(env.SLACK_WEBHOOK_URL, { text: joinText(events, 3000) }),
+  },
+};
+
+export function getActiveSinks(env = process.env) {
+  const chain = (env.NOTIFY_SINKS || "stdout,webhook,line,discord,slack").split(/[,\s]+/).filter(Boolean);
+  const unknown = chain.filter((name) => !NOTIFY_SINKS[name]);
+  if (unknown.length > 0) throw new Error(`ไม่รู้จัก NOTIFY_SINKS: ${unknown.join(", ")}`);
+  return chain.filter((name) => NOTIFY_SINKS[name].isConfigured(env));
+}
+
+/**
+ * ส่ง events ไปทุกช่องทางที่เปิดไว้ คืน [{ sink, ok, error? }]
+ */
+export async function sendNotifications(events, { env = process.env } = {}) {
+  if (events.length === 0) return [];
+  const deliveries = [];
+  for (const sink of getActiveSinks(env)) {
+    try {
+      await NOTIFY_SINKS[sink].send(events, env);
+      deliveries.push({ sink, ok: true });
+    } catch (err) {
+      deliveries.push({ sink, ok: false, error: err.message });
+    }
+  }
+  return deliveries;
+}
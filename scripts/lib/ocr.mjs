@@ -0,0 +1,430 @@
+import { decodePng, encodePgm } from "./png.mjs";
+
+/**
+ * Local OCR provider (tesseract.js) สำหรับรันโดยไม่มี API key
+ *
+ * จูนมาสำหรับ layout ตายตัวของรูปทั้ง 3 แบบจาก capture-exp-images.mjs:
+ *   1. แปลงรูปเป็นขาวดำด้วย local contrast (ตัวหนังสือสว่างบนพื้นมืด / พื้นเขียว / พื้นเทาอ่อน)
+ *   2. ใช้โมเดลภาษาไทยหาตำแหน่งตัวเลขทั้งหน้า
+ *   3. อ่านตัวเลขแต่ละช่องซ้ำด้วยโมเดล eng แบบ whitelist เฉพาะ 0-9 (กันสระไทยปนในตัวเลข)
+ *   4. จัดแถว/คอลัมน์ตามตำแหน่งแล้วแปลงเป็น shape เดียวกับที่ AI คืน
+ *
+ * ต้องติดตั้ง tesseract.js; ถ้ารันแบบ offline ให้ตั้ง OCR_LANG_PATH ไปยังโฟลเดอร์ที่มี
+ * tha.traineddata(.gz) และ eng.traineddata(.gz)
+ */
+
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH;
+const OCR_CACHE_PATH = process.env.OCR_CACHE_PATH;
+// ความต่างของความสว่างจากพื้นหลังรอบๆ ที่ถือว่าเป็นหมึก
+const INK_CONTRAST = 60;
+const LOCAL_CONTRAST_RADIUS = 12;
+const DIGITS = "0123456789";
+// จำนวนช่องในรูปคำนวณประจำวัน (layout ของ exphuay คงที่)
+const CALC_TOP3_CELLS = 5;
+const CALC_BOTTOM2_CELLS = 6;
+const CELL_SCALES = [1, 2, 3];
+
+// โหลดครั้งเดียวตอน import: เครื่อง/workflow ที่ไม่ได้ npm install จะไม่มี tesseract.js
+const tesseract = await import("tesseract.js").catch(() => null);
+
+/**
+ * import tesseract.js ได้หรือไม่ (provider ocr นับว่าพร้อมใช้เฉพาะเมื่อได้)
+ */
+export const OCR_INSTALLED = tesseract !== null;
+
+let workersPromise = null;
+
+async function getWorkers() {
+  if (!workersPromise) {
+    workersPromise = (async () => {
+      if (!tesseract) throw new Error("tesseract.js is not installed (npm install tesseract.js)");
+      const options = { logger: () => {} };
+      if (OCR_LANG_PATH) options.langPath = OCR_LANG_PATH;
+      if (OCR_CACHE_PATH) options.cachePath = OCR_CACHE_PATH;
+
+      // debug_file ปิด log สถิติที่ tesseract พิมพ์ออกมาเมื่อเจอช่องว่างเปล่า
+      const layout = await tesseract.createWorker("tha", 1, options);
+      await layout.setParameters({ debug_file: "/dev/null" });
+      const digits = await tesseract.createWorker("eng", 1, options);
+      await digits.setParameters({
+        tessedit_char_whitelist: DIGITS,
+        tessedit_pageseg_mode: "7",
+        debug_file: "/dev/null",
+      });
+      return { layout, digits };
+    })();
+    // ให้รอบหน้าลองใหม่ได้ถ้าสร้าง worker ไม่สำเร็จ
+    workersPromise.catch(() => {
+      workersPromise = null;
+    });
+  }
+  return workersPromise;
+}
+
+export async function terminateOcr() {
+  if (!workersPromise) return;
+  const workers = await workersPromise.catch(() => null);
+  workersPromise = null;
+  if (workers) {
+    await workers.layout.terminate();
+    await workers.digits.terminate();
+  }
+}
+
+function luminance(rgb, i) {
+  return 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+}
+
+// ทั้งรูป: หมึก = pixel ที่ต่างจากค่าเฉลี่ยรอบๆ มากพอ (ใช้ integral image)
+function binarizeLocalContrast({ width, height, rgb }) {
+  const lum = new Float64Array(width * height);
+  for (let i = 0; i < lum.length; i++) lum[i] = luminance(rgb, i);
+
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    for (let x = 0; x < width; x++) {
+      row += lum[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+    }
+  }
+
+  const out = new Uint8Array(width * height);
+  const r = LOCAL_CONTRAST_RADIUS;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - r);
+    const y1 = Math.min(height, y + r + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - r);
+      const x1 = Math.min(width, x + r + 1);
+      const sum =
+        integral[y1 * stride + x1] -
+        integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] +
+        integral[y0 * stride + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      out[y * width + x] = Math.abs(lum[y * width + x] - mean) > INK_CONTRAST ? 0 : 255;
+    }
+  }
+  return removeFrames(width, height, out);
+}
+
+// ลบกรอบช่อง/เส้นขอบ: connected component ที่ bbox ครอบ component อื่นไว้ทั้งอัน
+// (กรอบช่องสีเขียว/ช่องเทาของ "รูด" ทำให้ tesseract อ่านตัวเลขข้างในไม่ออก)
+function removeFrames(width, height, ink) {
+  const labels = new Int32Array(width * height).fill(-1);
+  const components = [];
+  const stack = [];
+  for (let start = 0; start < ink.length; start++) {
+    if (ink[start] !== 0 || labels[start] !== -1) continue;
+    const comp = { x0: width, y0: height, x1: 0, y1: 0, pixels: [] };
+    labels[start] = components.length;
+    stack.push(start);
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      comp.pixels.push(i);
+      comp.x0 = Math.min(comp.x0, x);
+      comp.y0 = Math.min(comp.y0, y);
+      comp.x1 = Math.max(comp.x1, x);
+      comp.y1 = Math.max(comp.y1, y);
+      for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+        const n = ny * width + nx;
+        if (ink[n] === 0 && labels[n] === -1) {
+          labels[n] = components.length;
+          stack.push(n);
+        }
+      }
+    }
+    components.push(comp);
+  }
+
+  for (const frame of components) {
+    const encloses = components.some(
+      (c) =>
+        c !== frame &&
+        c.x0 > frame.x0 &&
+        c.y0 > frame.y0 &&
+        c.x1 < frame.x1 &&
+        c.y1 < frame.y1
+    );
+    if (encloses) {
+      for (const i of frame.pixels) ink[i] = 255;
+    }
+  }
+  return ink;
+}
+
+// เฉพาะช่องเดียว: หมึก = pixel ที่ต่างจากสีพื้นหลักของช่อง ขยาย scale เท่า แล้วเติมขอบขาวให้ tesseract อ่านง่าย
+function binarizeCell({ width, rgb }, box, scale = 1, pad = 12) {
+  const w = box.x1 - box.x0;
+  const h = box.y1 - box.y0;
+  const bins = new Array(16).fill(0);
+  for (let y = box.y0; y < box.y1; y++) {
+    for (let x = box.x0; x < box.x1; x++) bins[Math.floor(luminance(rgb, y * width + x) / 16)] += 1;
+  }
+  const background = bins.indexOf(Math.max(...bins)) * 16 + 8;
+
+  const outW = w * scale + pad * 2;
+  const outH = h * scale + pad * 2;
+  const out = new Uint8Array(outW * outH).fill(255);
+  for (let y = 0; y < h * scale; y++) {
+    for (let x = 0; x < w * scale; x++) {
+      const src = (box.y0 + Math.floor(y / scale)) * width + box.x0 + Math.floor(x / scale);
+      if (Math.abs(luminance(rgb, src) - background) > INK_CONTRAST) {
+        out[(y + pad) * outW + x + pad] = 0;
+      }
+    }
+  }
+  return encodePgm(outW, outH, out);
+}
+
+// อ่านช่องเดียวด้วยโมเดลตัวเลขล้วนหลายขนาด คืนคำตอบที่ไม่ซ้ำกัน (ตัวแรกคือคำตอบที่น่าเชื่อที่สุด)
+async function readCellCandidates(image, token, { digits }) {
+  // เผื่อด้านข้างไว้ เพราะ bbox จากโมเดลไทยมักตัดตัวเลขหลักที่ถูกอ่านเป็นสระทิ้งไป
+  const margin = token.y1 - token.y0;
+  const box = {
+    x0: Math.max(0, token.x0 - margin),
+    y0: Math.max(0, token.y0 - 2),
+    x1: Math.min(image.width, token.x1 + margin),
+    y1: Math.min(image.height, token.y1 + 2),
+  };
+  const candidates = [];
+  for (const scale of CELL_SCALES) {
+    const { data } = await digits.recognize(binarizeCell(image, box, scale));
+    const text = data.text.replace(/\D/g, "");
+    if (text && !candidates.includes(text)) candidates.push(text);
+  }
+  return candidates;
+}
+
+function collectWords(data) {
+  const words = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        for (const word of line.words) {
+          words.push({ text: word.text, ...word.bbox });
+        }
+      }
+    }
+  }
+  return words;
+}
+
+// tesseract มักแยกตัวเลขหนึ่งช่องเป็นหลายคำ (เช่น "86" + "9") จึงรวมคำที่อยู่ชิดกันในแถวเดียวกัน
+function mergeAdjacentWords(words) {
+  const merged = [];
+  for (const word of [...words].sort((a, b) => a.y0 - b.y0 || a.x0 - b.x0)) {
+    const height = word.y1 - word.y0;
+    const target = merged.find((m) => {
+      const overlap = Math.min(m.y1, word.y1) - Math.max(m.y0, word.y0);
+      const gap = word.x0 - m.x1;
+      return overlap > 0 && gap >= -2 && gap < height * 0.6;
+    });
+    if (target) {
+      target.text += word.text;
+      target.x0 = Math.min(target.x0, word.x0);
+      target.y0 = Math.min(target.y0, word.y0);
+      target.x1 = Math.max(target.x1, word.x1);
+      target.y1 = Math.max(target.y1, word.y1);
+    } else {
+      merged.push({ ...word });
+    }
+  }
+  return merged;
+}
+
+// สีพื้นของช่อง: เฉลี่ยจุดรอบ bbox ของตัวเลข (ห่างออกไปเล็กน้อยให้อยู่ใน padding ของช่อง)
+function isGreenAround({ width, height, rgb }, box, offset = 6) {
+  const points = [];
+  for (let x = box.x0; x <= box.x1; x += 4) {
+    points.push([x, box.y0 - offset], [x, box.y1 + offset]);
+  }
+  let [r, g, b, n] = [0, 0, 0, 0];
+  for (const [x, y] of points) {
+    if (x < 0 || y < 0 || x >= width || y >= height) continue;
+    const i = (y * width + x) * 3;
+    r += rgb[i];
+    g += rgb[i + 1];
+    b += rgb[i + 2];
+    n += 1;
+  }
+  if (n === 0) return false;
+  [r, g, b] = [r / n, g / n, b / n];
+  return g > 100 && g > r + 20 && g > b + 40;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 0;
+}
+
+// จัดกลุ่ม token เป็นแถวตามแกน y แล้วเรียงในแถวตามแกน x
+function groupRows(tokens) {
+  const lineHeight = median(tokens.map((t) => t.y1 - t.y0));
+  const rows = [];
+  for (const token of [...tokens].sort((a, b) => a.cy - b.cy)) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(token.cy - row.cy) <= lineHeight * 0.6) {
+      row.tokens.push(token);
+      row.cy = row.tokens.reduce((s, t) => s + t.cy, 0) / row.tokens.length;
+    } else {
+      rows.push({ cy: token.cy, tokens: [token] });
+    }
+  }
+  for (const row of rows) row.tokens.sort((a, b) => a.x0 - b.x0);
+  return rows;
+}
+
+async function findNumberTokens(image, workers) {
+  const { layout } = workers;
+  const pgm = encodePgm(image.width, image.height, binarizeLocalContrast(image));
+  const { data } = await layout.recognize(pgm, {}, { blocks: true });
+
+  const tokens = [];
+  for (const word of mergeAdjacentWords(collectWords(data))) {
+    word.text = word.text.replace(/[๐-๙]/g, (d) => String(d.charCodeAt(0) - 0x0e50));
+    // ข้อความไทยที่มีตัวเลขปน (หัวตาราง/คำอธิบายใต้ตาราง) ไม่ใช่ช่องตัวเลข
+    const digitCount = (word.text.match(/\d/g) || []).length;
+    if (digitCount === 0 || word.text.length - digitCount >= digitCount) continue;
+
+    // คำที่เป็นตัวเลขล้วนเชื่อผลจากโมเดลไทยได้เลย ที่มีอักษรไทยปนค่อยอ่านช่องนั้นซ้ำแบบตัวเลขล้วน
+    let text = word.text;
+    if (!/^\d+$/.test(text)) {
+      [text] = await readCellCandidates(image, word, workers);
+    }
+    if (!text) continue;
+    tokens.push({ ...word, text, cy: (word.y0 + word.y1) / 2, cx: (word.x0 + word.x1) / 2 });
+  }
+
+  // ตัดเศษที่เล็กผิดปกติ (มุมของช่องสี/เส้นขอบที่ถูกอ่านเป็นตัวเลข)
+  const typicalHeight = median(tokens.map((t) => t.y1 - t.y0));
+  return tokens.filter((t) => t.y1 - t.y0 >= typicalHeight * 0.7);
+}
+
+function parseCalc(image, tokens) {
+  const rows = groupRows(tokens);
+  const countLength = (row, length) => row.tokens.filter((t) => t.text.length === length).length;
+
+  const top3Index = rows.findIndex((row) => countLength(row, 3) >= 3);
+  if (top3Index === -1) throw new Error("OCR calc: 3 ตัวบน row not found");
+  const bottom2Index = rows.findIndex((row, i) => i > top3Index && countLength(row, 2) >= 3);
+  if (bottom2Index === -1) throw new Error("OCR calc: 2 ตัวล่าง row not found");
+
+  const pick = (row, length) => row.tokens.filter((t) => t.text.length === length);
+  const top3 = pick(rows[top3Index], 3);
+  const bottom2 = pick(rows[bottom2Index], 2);
+  if (top3.length !== CALC_TOP3_CELLS || bottom2.length !== CALC_BOTTOM2_CELLS) {
+    throw new Error(
+      `OCR calc: expected ${CALC_TOP3_CELLS}/${CALC_BOTTOM2_CELLS} cells, got ${top3.length}/${bottom2.length}`
+    );
+  }
+
+  // วิ่ง อยู่ครึ่งซ้าย รูด อยู่ครึ่งขวา ในแถวล่างสุด (แถวอื่นใต้ 2 ตัวล่างเป็นเศษจากมุมช่อง)
+  const singles = rows
+    .slice(bottom2Index + 1)
+    .reverse()
+    .flatMap((row) => pick(row, 1));
+  const running = singles.find((t) => t.cx < image.width / 2);
+  const fullSet = singles.find((t) => t.cx >= image.width / 2);
+
+  return {
+    top3: top3.map((t) => t.text),
+    top3_recommended: top3.filter((t) => isGreenAround(image, t)).map((t) => t.text),
+    bottom2: bottom2.map((t) => t.text),
+    bottom2_recommended: bottom2.filter((t) => isGreenAround(image, t)).map((t) => t.text),
+    running_number: running?.text ?? null,
+    full_set_number: fullSet?.text ?? null,
+  };
+}
+
+async function parseDigitFrequency(image, tokens, workers) {
+  const data = [];
+  for (const row of groupRows(tokens)) {
+    if (row.tokens.length < 4 || row.tokens[0].text.length !== 1) continue;
+    const [digitToken, ...countTokens] = row.tokens.slice(0, 4);
+    let counts = countTokens.map((t) => Number(t.text));
+
+    // คอลัมน์ "รวม" เป็นตัวหนา อ่านพลาดบ่อย: ถ้า top3 + bottom2 != รวม ให้อ่านช่องซ้ำ
+    // แล้วเลือกชุดคำตอบที่สอดคล้องกัน (ถ้าไม่มีชุดไหนลงตัวก็ปล่อยให้ validation ตีตก)
+    if (counts[0] + counts[1] !== counts[2]) {
+      const options = [];
+      for (const token of countTokens) {
+        const extra = await readCellCandidates(image, token, workers);
+        options.push([token.text, ...extra.filter((v) => v !== token.text)].map(Number));
+      }
+      search: for (const t of options[0]) {
+        for (const b of options[1]) {
+          if (options[2].includes(t + b)) {
+            counts = [t, b, t + b];
+            break search;
+          }
+        }
+      }
+    }
+
+    data.push({
+      digit: digitToken.text,
+      top3_count: counts[0],
+      bottom2_count: counts[1],
+      total: counts[2],
+    });
+  }
+  return { data };
+}
+
+async function parseStat30(image, tokens, workers) {
+  const result = { bottom2: [], top3: [] };
+  const halves = [
+    tokens.filter((t) => t.cx < image.width / 2),
+    tokens.filter((t) => t.cx >= image.width / 2),
+  ];
+  for (const half of halves) {
+    let rows = groupRows(half).filter((row) => row.tokens.length >= 2);
+    // แถวข้อมูลต้องตรงคอลัมน์ "เลขที่ออก" (ตัดคำอธิบายใต้ตาราง เช่น "3 ตัวบน 30 งวด")
+    const columnX = median(rows.map((row) => row.tokens[0].cx));
+    const tolerance = median(rows.map((row) => row.tokens[0].y1 - row.tokens[0].y0)) * 2;
+    rows = rows.filter((row) => Math.abs(row.tokens[0].cx - columnX) <= tolerance);
+    // ตารางซ้ายปกติเป็น 2 ตัวล่าง ขวาเป็น 3 ตัวบน แต่ดูจากจำนวนหลักส่วนใหญ่เผื่อ layout สลับ
+    const lengths = rows.map((row) => row.tokens[0].text.length);
+    const length = lengths.filter((l) => l === 3).length > lengths.length / 2 ? 3 : 2;
+    const table = length === 3 ? result.top3 : result.bottom2;
+
+    for (const row of rows) {
+      const [numberToken, countToken] = row.tokens;
+      let number = numberToken.text;
+      if (number.length !== length) {
+        const candidates = await readCellCandidates(image, numberToken, workers);
+        number = candidates.find((c) => c.length === length);
+        if (!number) continue;
+      }
+      table.push({ number, count: Number(countToken.text) });
+    }
+  }
+  return result;
+}
+
+const PARSERS = {
+  calc: parseCalc,
+  digit_frequency: parseDigitFrequency,
+  statistics_30_draws: parseStat30,
+};
+
+/**
+ * อ่านรูป PNG ของ segment ที่กำหนด คืน shape เดียวกับที่ AI คืน
+ * options.workers = { layout, digits } แทน worker ของ tesseract (test ใช้ผล recognize ที่บันทึกไว้)
+ */
+export async function readImageOCR(segmentName, pngBuffer, { workers } = {}) {
+  const parse = PARSERS[segmentName];
+  if (!parse) throw new Error(`OCR: unsupported segment ${segmentName}`);
+  const image = decodePng(pngBuffer);
+  const ocr = workers || (await getWorkers());
+  const tokens = await findNumberTokens(image, ocr);
+  return await parse(image, tokens, ocr);
+}
@@ -0,0 +1,90 @@
+import zlib from "node:zlib";
+
+/**
+ * ตัวอ่าน/เขียนรูปแบบเล็กที่สุดสำหรับ OCR (ไม่ต้องพึ่ง library รูปภาพ)
+ * รองรับ PNG 8-bit ไม่ interlace (grayscale / RGB / RGBA) ซึ่งครอบคลุมรูปที่ puppeteer screenshot ออกมา
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * คืน { width, height, rgb } โดย rgb เป็น Uint8Array ยาว width * height * 3
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error("Not a PNG file");
+
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat = [];
+  for (let offset = 8; offset < buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      const [bitDepth, colorType, , , interlace] = data.subarray(8, 13);
+      channels = CHANNELS_BY_COLOR_TYPE[colorType];
+      if (bitDepth !== 8 || !channels || interlace !== 0) {
+        throw new Error(`Unsupported PNG (bitDepth=${bitDepth}, colorType=${colorType}, interlace=${interlace})`);
+      }
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[out + x - channels] : 0;
+      const b = y > 0 ? pixels[out + x - stride] : 0;
+      const c = x >= channels && y > 0 ? pixels[out + x - stride - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) value += paeth(a, b, c);
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  const rgb = new Uint8Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    const src = i * channels;
+    if (channels <= 2) {
+      rgb.fill(pixels[src], i * 3, i * 3 + 3);
+    } else {
+      rgb[i * 3] = pixels[src];
+      rgb[i * 3 + 1] = pixels[src + 1];
+      rgb[i * 3 + 2] = pixels[src + 2];
+    }
+  }
+  return { width, height, rgb };
+}
+
+/**
+ * เขียนรูป grayscale เป็น PGM (binary) ซึ่ง tesseract อ่านได้โดยตรง
+ */
+export function encodePgm(width, height, gray) {
+  const header = Buffer.from(`P5\n${width} ${height}\n255\n`, "ascii");
+  return Buffer.concat([header, Buffer.from(gray.buffer, gray.byteOffset, gray.byteLength)]);
+}
@@ -0,0 +1,185 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { loadHistory } from "./history.mjs";
+
+/**
+ * ตรวจว่าเลขหนึ่งถูกรางวัลอะไรบ้างในงวดที่เก็บไว้ (public/history/ หรือ public/lottery_results.json)
+ *
+ * ความยาวเลขกำหนดประเภทที่ตรวจ:
+ *   เท่ากับ full_number (เช่นสลากรัฐบาล 6 หลัก) -> full_number, nearby, front3, back3, bottom2
+ *     และรางวัลที่ 2-5 ถ้า record มีตารางรางวัลเต็ม (results.prizes)
+ *     หวยอื่น (เช่นลาว 6 หลัก) ตรวจ top3/bottom2 ต่อจากส่วนของเลขที่ตรงตำแหน่งใน full_number ด้วย
+ *   3 หลัก -> top3 (และ top3_tod ถ้าเปิด tod), front3, back3 (ธ.ก.ส./ออมสินที่ full_number 3 หลักได้ทั้งสองแบบ)
+ *   2 หลัก -> bottom2
+ */
+
+const RESULTS_FILE = path.join("public", "lottery_results.json");
+
+export const PRIZE_LABELS = {
+  full_number: "รางวัลที่ 1",
+  nearby: "รางวัลข้างเคียงรางวัลที่ 1",
+  front3: "เลขหน้า 3 ตัว",
+  back3: "เลขท้าย 3 ตัว",
+  second: "รางวัลที่ 2",
+  third: "รางวัลที่ 3",
+  fourth: "รางวัลที่ 4",
+  fifth: "รางวัลที่ 5",
+  top3: "3 ตัวบน",
+  top3_tod: "3 ตัวโต๊ด",
+  bottom2: "2 ตัวล่าง",
+};
+
+// category ของ checker -> tier ใน results.prizes (ใช้เอาเงินรางวัล)
+const PRIZE_TIER_BY_CATEGORY = {
+  full_number: "first",
+  nearby: "nearby_first",
+  front3: "front3",
+  back3: "back3",
+  bottom2: "back2",
+  second: "second",
+  third: "third",
+  fourth: "fourth",
+  fifth: "fifth",
+};
+
+function sortDigits(value) {
+  return [...value].sort().join("");
+}
+
+// ส่วนของเลขเต็มที่อยู่ตำแหน่งเดียวกับ part ใน full_number (3 ตัวบนมักเป็นตัวท้าย, 2 ตัวล่างบางหวยอยู่ต้นเลข)
+// part ไม่ได้มาจาก full_number คืน null
+function sliceAt(value, fullNumber, part) {
+  if (!part) return null;
+  const at = fullNumber.endsWith(part) ? fullNumber.length - part.length : fullNumber.indexOf(part);
+  return at < 0 ? null : value.slice(at, at + part.length);
+}
+
+// รางวัลข้างเคียง = รางวัลที่ 1 ±1 (วนรอบ 000000 <-> 999999)
+function nearbyNumbers(fullNumber) {
+  const size = 10 ** fullNumber.length;
+  const n = Number(fullNumber);
+  return [(n - 1 + size) % size, (n + 1) % size].map((v) => String(v).padStart(fullNumber.length, "0"));
+}
+
+/**
+ * ความยาวเลขที่ตรวจกับ record นี้ได้ (ความยาว full_number, 3, 2)
+ */
+export function checkableLengths(record) {
+  const fullNumber = record?.results?.full_number;
+  return [...new Set([fullNumber && fullNumber.length, 3, 2].filter(Boolean))];
+}
+
+/**
+ * ตรวจเลขกับ record ผลหวยหนึ่งงวด (รูปแบบเดียวกับ formatResults)
+ * คืน array ของ { category, label, winning_number, amount? } — array ว่าง = ไม่ถูกรางวัล
+ * (amount มีเฉพาะเมื่อ record มีตารางรางวัลเต็ม)
+ */
+export function checkNumber(record, number, { tod = false } = {}) {
+  const value = String(number ?? "").trim();
+  if (!/^\d+$/.test(value)) throw new Error(`เลขต้องเป็นตัวเลขเท่านั้น (ได้ "${number}")`);
+
+  const results = record?.results || {};
+  const prizes = results.prizes || null;
+  const isThaiGovernment = record?.lottery_type === "thai_government";
+  const matches = [];
+  const add = (category, winningNumber) => {
+    const amount = prizes?.[PRIZE_TIER_BY_CATEGORY[category]]?.amount;
+    matches.push({
+      category,
+      label: PRIZE_LABELS[category],
+      winning_number: winningNumber,
+      ...(amount ? { amount } : {}),
+    });
+  };
+  const front3 = prizes?.front3?.numbers || [];
+  const back3 = prizes?.back3?.numbers || [];
+
+  const fullNumber = results.full_number || null;
+  const checkable = checkableLengths(record);
+  if (!checkable.includes(value.length)) {
+    throw new Error(`ตรวจได้เฉพาะเลข ${checkable.join("/")} หลัก (ได้ ${value.length} หลัก)`);
+  }
+
+  if (fullNumber && value.length === fullNumber.length) {
+    if (value === fullNumber) add("full_number", fullNumber);
+    const nearby = prizes?.nearby_first?.numbers || nearbyNumbers(fullNumber);
+    if (isThaiGovernment && nearby.includes(value)) add("nearby", value);
+    for (const tier of ["second", "third", "fourth", "fifth"]) {
+      if (prizes?.[tier]?.numbers.includes(value)) add(tier, value);
+    }
+    for (const front of front3) {
+      if (value.slice(0, 3) === front) add("front3", front);
+    }
+    for (const back of back3) {
+      if (value.slice(-3) === back) add("back3", back);
+    }
+    if (isThaiGovernment && results.bottom2 && value.slice(-2) === results.bottom2) {
+      add("bottom2", results.bottom2);
+    }
+  }
+
+  if (value.length === 3) {
+    if (results.top3 === value) add("top3", results.top3);
+    // โต๊ด = ตัวเลขชุดเดียวกันแต่สลับตำแหน่ง (ถ้าตรงตำแหน่งถือเป็น 3 ตัวบนแล้ว)
+    else if (tod && results.top3 && sortDigits(results.top3) === sortDigits(value)) {
+      add("top3_tod", results.top3);
+    }
+    for (const front of front3) {
+      if (value === front) add("front3", front);
+    }
+    for (const back of back3) {
+      if (value === back) add("back3", back);
+    }
+  } else if (value.length === 2) {
+    if (results.bottom2 === value) add("bottom2", results.bottom2);
+  } else if (!isThaiGovernment) {
+    const top3 = sliceAt(value, fullNumber, results.top3);
+    if (top3 && top3 === results.top3) add("top3", results.top3);
+    else if (tod && top3 && sortDigits(top3) === sortDigits(results.top3)) add("top3_tod", results.top3);
+    const bottom2 = sliceAt(value, fullNumber, results.bottom2);
+    if (bottom2 && bottom2 === results.bottom2) add("bottom2", results.bottom2);
+  }
+  return matches;
+}
+
+/**
+ * หา record ของงวดที่ต้องการ drawDate = "YYYY-MM-DD" หรือ "latest"
+ * ค้นในคลัง public/history/ ก่อน แล้วค่อยดู public/lottery_results.json (งวดล่าสุดที่อาจยังไม่เข้าคลัง)
+ */
+export async function findDraw(lotteryId, drawDate, { historyDir, resultsFile = RESULTS_FILE } = {}) {
+  const matchesLottery = (d) => d.lottery_type === lotteryId;
+  const candidates = await loadHistory(lotteryId, historyDir ? { historyDir } : undefined);
+  try {
+    const latest = JSON.parse(await fs.readFile(resultsFile, "utf8"));
+    for (const d of (latest.lotteries || []).filter(matchesLottery)) {
+      if (!candidates.some((c) => c.draw_date === d.draw_date)) candidates.push(d);
+    }
+  } catch {
+    // ไม่มีไฟล์ผลล่าสุด ใช้คลังอย่างเดียว
+  }
+
+  const dated = candidates.filter((d) => d.draw_date).sort((a, b) => a.draw_date.localeCompare(b.draw_date));
+  const draw = drawDate === "latest" ? dated[dated.length - 1] : dated.find((d) => d.draw_date === drawDate);
+  if (!draw) {
+    throw new Error(`ไม่พบผล ${lotteryId} งวด ${drawDate}`);
+  }
+  return draw;
+}
+
+/**
+ * ตรวจรางวัลจาก lottery id + วันที่งวด + เลข คืน { lottery, draw_date, draw_time, number, won, matches }
+ */
+export async function checkPrize(lotteryId, drawDate, number, options = {}) {
+  const draw = await findDraw(lotteryId, drawDate, options);
+  const matches = checkNumber(draw, number, options);
+  return {
+    lottery: lotteryId,
+    lottery_name: draw.lottery_name,
+    draw_date: draw.draw_date,
+    ...(draw.draw_time ? { draw_time: draw.draw_time } : {}),
+    number: String(number).trim(),
+    won: matches.length > 0,
+    matches,
+    results: draw.results,
+  };
+}
@@ -0,0 +1,49 @@
+import { drawKey } from "./history.mjs";
+
+// ไฟล์รอบก่อนที่ยังไม่มี draw_time (ก่อนหวยลาวมีเวลาออก) ถือว่าเป็นงวดเดียวกันถ้าวันที่ตรง
+function isSameDraw(a, b) {
+  if (!a.draw_time || !b.draw_time) return a.draw_date === b.draw_date;
+  return drawKey(a) === drawKey(b);
+}
+
+// field ที่นับว่าผลเปลี่ยน (ตารางรางวัลเต็ม results.prizes มี/ไม่มีตามหน้ารายละเอียดที่โหลดได้ในรอบนั้น ไม่นับ)
+const RESULT_FIELDS = ["full_number", "top3", "bottom2"];
+
+function resultsChanged(before, after) {
+  return RESULT_FIELDS.some((field) => (before?.[field] || null) !== (after?.[field] || null));
+}
+
+/**
+ * เทียบ public/lottery_results.json รอบใหม่กับรอบก่อน แล้วคืน event ทีละหวย
+ *
+ * - new_draw: งวด (วันที่ + เวลาออก) ไม่ตรงกับรอบก่อน หรือรอบก่อนไม่มีหวยนี้
+ * - correction: งวดเดียวกันแต่ full_number / top3 / bottom2 เปลี่ยน (เว็บแก้เลขหลังประกาศ)
+ *
+ * หวยที่ stale (ใช้ค่าเดิม) ไม่มี event และถ้าไม่มีไฟล์รอบก่อนเลยจะไม่คืน event
+ * (รันครั้งแรกไม่ควรแจ้งเตือนทุกหวยพร้อมกัน)
+ */
+export function diffResults(previous, current, { detectedAt = new Date().toISOString() } = {}) {
+  if (!previous?.lotteries) return [];
+  const old = new Map(previous.lotteries.map((l) => [l.lottery_type, l]));
+  const events = [];
+
+  for (const lottery of current?.lotteries || []) {
+    if (lottery.stale || !lottery.draw_date) continue;
+    const base = {
+      lottery_type: lottery.lottery_type,
+      lottery_name: lottery.lottery_name,
+      draw_date: lottery.draw_date,
+      ...(lottery.draw_time ? { draw_time: lottery.draw_time } : {}),
+      results: lottery.results,
+      detected_at: detectedAt,
+    };
+
+    const before = old.get(lottery.lottery_type);
+    if (!before || !isSameDraw(before, lottery)) {
+      events.push({ event: "new_draw", ...base });
+    } else if (resultsChanged(before.results, lottery.results)) {
+      events.push({ event: "correction", ...base, previous_results: before.results });
+    }
+  }
+  return events;
+}
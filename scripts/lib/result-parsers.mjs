@@ -0,0 +1,118 @@
+import { LOTTERIES } from "./lotteries.mjs";
+
+/**
+ * Parser ผลหวยจากข้อความหน้าเว็บ (document.body.innerText) — pure function ไม่แตะ browser
+ * ใช้ทั้งหน้าแรก exphuay.com (หลายหวย) และหน้าผลรายงวด (หวยเดียว)
+ *
+ * ผลลัพธ์เป็น raw lottery { lottery_type, lottery_name, raw_date, draw_time?, session?, full_number?, top3, bottom2 }
+ * ส่งต่อให้ formatResults เพื่อแปลงเป็นรูปแบบที่เขียนลง JSON
+ */
+
+// วันที่แบบ "16 ตุลาคม 2569" หรือแบบย่อ "16 ต.ค. 69"
+const DATE = String.raw`(\d{1,2}\s*[^\s\d]+\s*(?:\d{4}|\d{2})(?!\d))`;
+const DRAW_DATE_PATTERN = new RegExp(`งวด.*?วันที่\\s*${DATE}`);
+// เวลาออกบนการ์ด เช่น "เวลา 20:30 น." / "20.30 น."
+const CARD_TIME_PATTERN = /(\d{1,2})[:.](\d{2})\s*น/;
+// หัวตารางผลสามนอย มีวันที่ของทั้งตาราง (บางหน้าไม่มีคำว่า "ผลสามนอย" ให้ใช้ "ประจำงวดวันที่" แทน)
+const HANOI_DATE_PATTERNS = [
+  new RegExp(`ผลสามนอย[\\s\\S]*?ประจำ.*?วันที่\\s*${DATE}`),
+  new RegExp(`ประจำ.*?งวด.*?วันที่\\s*${DATE}`),
+];
+
+/**
+ * อ่านการ์ด "ผลหวย..." ของหวยหนึ่ง คืน null ถ้าไม่มีการ์ดหรือไม่มีตัวเลขเลย
+ * หวยที่ตั้ง results.drawTime จะมี draw_time (เวลาบนการ์ด ถ้าไม่มีใช้เวลาในตาราง)
+ */
+export function parseCardLottery(bodyText, lottery) {
+  const { namePattern, resultDigits, drawTime } = lottery.results;
+  const section = (bodyText || "").split(/(?=ผลหวย)/).find((s) => namePattern.test(s));
+  if (!section) return null;
+
+  const fullNumber = section.match(new RegExp(`ผลรางวัล[\\s\\S]*?(\\d{${resultDigits}})`))?.[1] || null;
+  const top3 = section.match(/3\s*ตัวบน[\s\S]*?(\d{3})/)?.[1] || null;
+  const bottom2 = section.match(/2\s*ตัวล่าง[\s\S]*?(\d{2})/)?.[1] || null;
+  if (!fullNumber && !top3 && !bottom2) return null;
+
+  const time = section.match(CARD_TIME_PATTERN);
+  return {
+    lottery_type: lottery.id,
+    lottery_name: lottery.name,
+    raw_date: section.match(DRAW_DATE_PATTERN)?.[1] || null,
+    ...(drawTime && {
+      draw_time: time ? `${time[1].padStart(2, "0")}:${time[2]}` : lottery.schedule?.time || null,
+    }),
+    full_number: fullNumber,
+    top3,
+    bottom2,
+  };
+}
+
+/**
+ * อ่านแถวของหวยฮานอยหนึ่งประเภทจากตารางผลสามนอย คืน null ถ้าไม่มีแถวนั้น
+ */
+export function parseHanoiLottery(bodyText, lottery) {
+  const text = bodyText || "";
+  const match = text.match(lottery.results.rowPattern);
+  if (!match) return null;
+
+  const rawDate = HANOI_DATE_PATTERNS.map((p) => text.match(p)?.[1]).find(Boolean) || null;
+  return {
+    lottery_type: lottery.id,
+    lottery_name: lottery.name,
+    raw_date: rawDate,
+    draw_time: match[1],
+    top3: match[2],
+    bottom2: match[3],
+  };
+}
+
+// หัวตารางหวยหุ้น "หวยหุ้น ประจำวันที่ ..." (หน้าผลรายงวดบางหน้ามีแค่ "งวดวันที่ ...")
+const STOCK_DATE_PATTERNS = [
+  new RegExp(`หวยหุ้น[\\s\\S]*?ประจำ.*?วันที่\\s*${DATE}`),
+  DRAW_DATE_PATTERN,
+];
+
+/**
+ * อ่านแถวของหวยหุ้นหนึ่งรอบจากตารางหวยหุ้น คืน null ถ้าไม่มีแถวนั้น
+ * ค้นเฉพาะหลังหัวข้อ "หวยหุ้น" (ถ้ามี) กันชื่อประเทศในส่วนอื่นของหน้า
+ */
+export function parseStockLottery(bodyText, lottery) {
+  const text = bodyText || "";
+  const start = text.search(/หวยหุ้น/);
+  const table = start >= 0 ? text.slice(start) : text;
+  const match = table.match(lottery.results.rowPattern);
+  if (!match) return null;
+
+  const rawDate = STOCK_DATE_PATTERNS.map((p) => table.match(p)?.[1]).find(Boolean) || null;
+  return {
+    lottery_type: lottery.id,
+    lottery_name: lottery.name,
+    raw_date: rawDate,
+    draw_time: match[1] ? match[1].replace(".", ":").padStart(5, "0") : lottery.schedule?.time || null,
+    session: lottery.session,
+    top3: match[2],
+    bottom2: match[3],
+  };
+}
+
+const PARSERS = {
+  card: parseCardLottery,
+  hanoi: parseHanoiLottery,
+  stock: parseStockLottery,
+};
+
+/**
+ * อ่านผลของหวยหนึ่งตาม layout ในทะเบียน
+ */
+export function parseLottery(bodyText, lottery) {
+  const parser = PARSERS[lottery.results.layout];
+  if (!parser) throw new Error(`ไม่รู้จัก layout "${lottery.results.layout}" ของ ${lottery.id}`);
+  return parser(bodyText, lottery);
+}
+
+/**
+ * อ่านทุกหวยในทะเบียนจากข้อความหน้าเดียว (เช่นหน้าแรก) เรียงตามลำดับใน LOTTERIES
+ */
+export function parseResultsPage(bodyText, lotteries = LOTTERIES) {
+  return lotteries.map((lottery) => parseLottery(bodyText, lottery)).filter(Boolean);
+}
@@ -0,0 +1,87 @@
+// ===== รูปแบบผลหวยที่เขียนลง public/lottery_results.json และ public/history/ =====
+// ใช้ร่วมกันระหว่าง exphuay_all_results.mjs (งวดล่าสุด) กับ backfill-history.mjs (งวดย้อนหลัง)
+
+const THAI_MONTHS = {
+  'มกราคม': '01', 'กุมภาพันธ์': '02', 'มีนาคม': '03',
+  'เมษายน': '04', 'พฤษภาคม': '05', 'มิถุนายน': '06',
+  'กรกฎาคม': '07', 'สิงหาคม': '08', 'กันยายน': '09',
+  'ตุลาคม': '10', 'พฤศจิกายน': '11', 'ธันวาคม': '12'
+};
+
+// ชื่อย่อ เทียบโดยตัดจุดออก (ม.ค. / มค / ม.ค)
+const THAI_MONTH_ABBREVIATIONS = {
+  'มค': '01', 'กพ': '02', 'มีค': '03', 'เมย': '04', 'พค': '05', 'มิย': '06',
+  'กค': '07', 'สค': '08', 'กย': '09', 'ตค': '10', 'พย': '11', 'ธค': '12'
+};
+
+/**
+ * แปลงวันที่ไทยเป็น ISO format
+ * รองรับชื่อเดือนเต็ม/ย่อ (ม.ค., ก.พ.) และปี พ.ศ. 4 หลัก / 2 หลัก (69 = 2569) หรือ ค.ศ.
+ * เดือนที่อ่านไม่ออกหรือวันที่ไม่มีจริงคืน null (ไม่เดาเป็นมกราคม)
+ */
+export function parseThaiDateToISO(thaiDateStr) {
+  if (!thaiDateStr) return null;
+
+  const match = thaiDateStr.match(/(\d{1,2})\s*([^\s\d]+)\s*(\d{4}|\d{2})(?!\d)/);
+  if (!match) return null;
+
+  const monthName = match[2].trim();
+  const month = THAI_MONTHS[monthName] || THAI_MONTH_ABBREVIATIONS[monthName.replace(/\./g, '')];
+  if (!month) return null;
+
+  let year = parseInt(match[3]);
+  if (match[3].length === 2) {
+    year += 2500;
+  }
+  if (year > 2500) {
+    year = year - 543;
+  }
+
+  const day = match[1].padStart(2, '0');
+  const iso = `${year}-${month}-${day}`;
+  // ตัดวันที่ไม่มีจริง เช่น 31 ก.พ.
+  if (new Date(`${iso}T00:00:00Z`).toISOString().slice(0, 10) !== iso) return null;
+  return iso;
+}
+
+/**
+ * จัดรูปแบบผลลัพธ์ให้สวยงาม (input = raw lottery จาก lib/result-parsers.mjs)
+ */
+export function formatResults(rawData) {
+  const formattedLotteries = [];
+
+  for (const lottery of rawData.lotteries) {
+    const formatted = {
+      lottery_type: lottery.lottery_type,
+      lottery_name: lottery.lottery_name,
+      draw_date: parseThaiDateToISO(lottery.raw_date),
+      draw_date_thai: lottery.raw_date || null,
+      results: {}
+    };
+
+    // เพิ่มเวลาถ้ามี
+    if (lottery.draw_time) {
+      formatted.draw_time = lottery.draw_time;
+    }
+
+    // รอบของหวยหุ้น (morning / afternoon / close)
+    if (lottery.session) {
+      formatted.session = lottery.session;
+    }
+
+    // เพิ่มผลรางวัล
+    if (lottery.full_number) {
+      formatted.results.full_number = lottery.full_number;
+    }
+    if (lottery.top3) {
+      formatted.results.top3 = lottery.top3;
+    }
+    if (lottery.bottom2) {
+      formatted.results.bottom2 = lottery.bottom2;
+    }
+
+    formattedLotteries.push(formatted);
+  }
+
+  return formattedLotteries;
+}
@@ -0,0 +1,44 @@
+import { LOTTERIES } from "./lotteries.mjs";
+
+/**
+ * รวมผลรอบนี้กับ public/lottery_results.json รอบก่อน แบบทีละหวย
+ *
+ * - หวยที่อ่านได้รอบนี้: ใช้ค่าใหม่, stale = false, last_success_at = เวลารอบนี้
+ * - หวยที่อ่านไม่ได้แต่รอบก่อนมี: เก็บค่าเดิม, stale = true, last_success_at = ครั้งล่าสุดที่อ่านได้
+ * - หวยใน expected ที่อ่านไม่ได้ (รวมที่ไม่เคยมีข้อมูล) อยู่ใน failures พร้อมเหตุผล
+ *   expected = id ที่รอบนี้ตั้งใจดึง (หวยที่ถึงเวลาออก) ไม่ระบุ = ทุกหวยในทะเบียน
+ *
+ * ลำดับใน lotteries เรียงตามทะเบียน LOTTERIES — ค่าเดิมที่ id ไม่อยู่ในทะเบียนแล้ว (เช่น "hanoi" รุ่นเก่า) จะถูกทิ้ง
+ */
+export function mergeWithPrevious(
+  freshLotteries,
+  previous,
+  { fetchedAt, failureReason = "not found on page", expected = LOTTERIES.map((l) => l.id) } = {}
+) {
+  const wanted = new Set(expected);
+  const fresh = new Map(freshLotteries.map((l) => [l.lottery_type, l]));
+  const old = new Map((previous?.lotteries || []).map((l) => [l.lottery_type, l]));
+  const order = [...new Set([...LOTTERIES.map((l) => l.id), ...fresh.keys()])];
+
+  const lotteries = [];
+  const failures = [];
+  for (const id of order) {
+    if (fresh.has(id)) {
+      lotteries.push({ ...fresh.get(id), stale: false, last_success_at: fetchedAt });
+      continue;
+    }
+
+    if (wanted.has(id)) failures.push({ lottery: id, reason: failureReason });
+    const kept = old.get(id);
+    if (kept) {
+      lotteries.push({
+        ...kept,
+        stale: true,
+        // ไฟล์รุ่นก่อนไม่มี last_success_at ใช้ fetched_at ของไฟล์แทน
+        last_success_at: kept.last_success_at || previous.fetched_at || null,
+      });
+    }
+  }
+
+  return { lotteries, failures };
+}
@@ -0,0 +1,189 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+
+/**
+ * รายงานการรันของ scraper แบบอ่านด้วยเครื่องได้ (แทนการไล่ log emoji)
+ *
+ *   public/runs/latest.json   รายงานล่าสุดของแต่ละ script { updated_at, runs: { [script]: report } }
+ *   public/runs/log.jsonl     รายงานทุกรอบ บรรทัดละหนึ่ง JSON เก็บล่าสุด RUN_LOG_KEEP รอบ
+ *   RUN_METRICS_DIR/exp_lotto_{script}.prom   (ไม่บังคับ) Prometheus textfile สำหรับ node_exporter
+ *
+ * public/runs เปลี่ยนทุกรอบ workflow จึงไม่นับเป็นการเปลี่ยนแปลง: commit ตามไปเฉพาะรอบที่ข้อมูลจริงเปลี่ยน
+ * (รายงานของทุกรอบอยู่ใน artifact "run-report-{run_id}")
+ *
+ * report มี: status (ok / skipped / no_results / failed), duration_ms, ai (calls ต่อ provider, retries, 429),
+ * cache_hits, segment_sources + segments (ที่มาของแต่ละ segment), retries, failures และ changed_files
+ * (ไฟล์ที่เนื้อหาเปลี่ยนเทียบกับตอนเริ่มรอบ) — script เติม field ระหว่างรันเอง
+ */
+
+export const RUNS_DIR = path.join("public", "runs");
+export const RUN_LOG_KEEP = Number(process.env.RUN_LOG_KEEP || 200);
+export const RUN_METRICS_DIR = process.env.RUN_METRICS_DIR || "";
+
+// state ภายในที่ไม่ต้องลง JSON (path ที่เฝ้าดู + hash ตอนเริ่ม)
+const internals = new WeakMap();
+
+async function hashTree(target, hashes, skipDir) {
+  let stat;
+  try {
+    stat = await fs.stat(target);
+  } catch {
+    return;
+  }
+  if (stat.isDirectory()) {
+    if (path.resolve(target) === skipDir) return;
+    for (const name of await fs.readdir(target)) await hashTree(path.join(target, name), hashes, skipDir);
+    return;
+  }
+  const file = path.relative(process.cwd(), path.resolve(target));
+  hashes.set(file, crypto.createHash("sha1").update(await fs.readFile(target)).digest("hex"));
+}
+
+async function snapshotFiles(watch, runsDir) {
+  const hashes = new Map();
+  for (const target of watch) await hashTree(target, hashes, path.resolve(runsDir));
+  return hashes;
+}
+
+/**
+ * เริ่มจับเวลา + จำ hash ของไฟล์ใน watch (ไฟล์หรือโฟลเดอร์) ไว้เทียบตอนจบ
+ */
+export async function startRunReport(script, { watch = ["public"], dir = RUNS_DIR, now = new Date() } = {}) {
+  const report = {
+    script,
+    status: "ok",
+    error: null,
+    started_at: now.toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    ai: { calls: 0, retries: 0, rate_limited: 0, failed: 0, providers: {} },
+    cache_hits: 0,
+    segment_sources: {},
+    segments: {},
+    retries: 0,
+    failures: [],
+    changed_files: [],
+    details: {},
+  };
+  internals.set(report, { watch, before: await snapshotFiles(watch, dir) });
+  return report;
+}
+
+/**
+ * stats ของ vision client ({ [provider]: { calls, ok, failed, retries, rate_limited } }) -> report.ai
+ */
+export function setAiStats(report, providers) {
+  const ai = { calls: 0, retries: 0, rate_limited: 0, failed: 0, providers };
+  for (const stats of Object.values(providers)) {
+    for (const field of ["calls", "retries", "rate_limited", "failed"]) ai[field] += stats[field] || 0;
+  }
+  report.ai = ai;
+  return report;
+}
+
+/**
+ * บันทึกที่มาของ segment ของหวยหนึ่งตัว (segment_sources จาก processLottery)
+ */
+export function addSegmentSources(report, lottery, segmentSources = {}) {
+  report.segments[lottery] = segmentSources;
+  for (const source of Object.values(segmentSources)) {
+    if (!source) continue;
+    report.segment_sources[source] = (report.segment_sources[source] || 0) + 1;
+    if (source === "cache") report.cache_hits += 1;
+  }
+  return report;
+}
+
+const label = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+/**
+ * แปลง report เป็น Prometheus text exposition format (gauge ของรอบล่าสุด)
+ */
+export function reportToPrometheus(report) {
+  const script = `script="${label(report.script)}"`;
+  const metrics = [
+    ["run_success", "1 if the last run finished without error", [[script, report.status === "failed" ? 0 : 1]]],
+    ["run_timestamp_seconds", "Unix time the last run finished", [[script, Date.parse(report.finished_at) / 1000]]],
+    ["run_duration_seconds", "Duration of the last run", [[script, report.duration_ms / 1000]]],
+    ["run_failures", "Failures recorded in the last run", [[script, report.failures.length]]],
+    ["run_retries", "Retries in the last run", [[script, report.retries]]],
+    ["run_changed_files", "Output files changed by the last run", [[script, report.changed_files.length]]],
+    ["run_cache_hits", "Segments served from the vision cache", [[script, report.cache_hits]]],
+    [
+      "segments",
+      "Segments by source in the last run",
+      Object.entries(report.segment_sources).map(([source, n]) => [`${script},source="${label(source)}"`, n]),
+    ],
+  ];
+  for (const field of ["calls", "failed", "retries", "rate_limited"]) {
+    metrics.push([
+      `ai_${field}`,
+      `AI ${field.replace("_", " ")} per provider in the last run`,
+      Object.entries(report.ai.providers).map(([provider, stats]) => [
+        `${script},provider="${label(provider)}"`,
+        stats[field] || 0,
+      ]),
+    ]);
+  }
+
+  const lines = [];
+  for (const [name, help, samples] of metrics) {
+    if (samples.length === 0) continue;
+    lines.push(`# HELP exp_lotto_${name} ${help}`, `# TYPE exp_lotto_${name} gauge`);
+    for (const [labels, value] of samples) lines.push(`exp_lotto_${name}{${labels}} ${value}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * ปิดรายงาน: คำนวณเวลา + ไฟล์ที่เปลี่ยน แล้วเขียน latest.json / log.jsonl / .prom
+ * เขียนไม่สำเร็จจะแค่ log ไว้ (ไม่ทำให้ scraper fail) คืน report
+ */
+export async function finishRunReport(
+  report,
+  { dir = RUNS_DIR, keep = RUN_LOG_KEEP, metricsDir = RUN_METRICS_DIR, now = new Date() } = {}
+) {
+  try {
+    report.finished_at = now.toISOString();
+    report.duration_ms = now.getTime() - Date.parse(report.started_at);
+
+    const { watch, before } = internals.get(report) || { watch: [], before: new Map() };
+    const after = await snapshotFiles(watch, dir);
+    report.changed_files = [...new Set([...before.keys(), ...after.keys()])]
+      .filter((file) => before.get(file) !== after.get(file))
+      .sort();
+
+    await fs.mkdir(dir, { recursive: true });
+    const latestPath = path.join(dir, "latest.json");
+    let latest = { runs: {} };
+    try {
+      latest = JSON.parse(await fs.readFile(latestPath, "utf8"));
+    } catch {
+      // ยังไม่มีไฟล์
+    }
+    latest = { updated_at: report.finished_at, runs: { ...latest.runs, [report.script]: report } };
+    await fs.writeFile(latestPath, JSON.stringify(latest, null, 2), "utf8");
+
+    const logPath = path.join(dir, "log.jsonl");
+    let lines = [];
+    try {
+      lines = (await fs.readFile(logPath, "utf8")).split("\n").filter(Boolean);
+    } catch {
+      // ยังไม่มีไฟล์
+    }
+    lines.push(JSON.stringify(report));
+    await fs.writeFile(logPath, lines.slice(-keep).join("\n") + "\n", "utf8");
+
+    if (metricsDir) {
+      // node_exporter อ่านไฟล์ได้ทุกเมื่อ เขียนไฟล์ชั่วคราวแล้ว rename
+      await fs.mkdir(metricsDir, { recursive: true });
+      const file = path.join(metricsDir, `exp_lotto_${report.script}.prom`);
+      await fs.writeFile(`${file}.tmp`, reportToPrometheus(report), "utf8");
+      await fs.rename(`${file}.tmp`, file);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Run report skipped: ${err.message}`);
+  }
+  return report;
+}
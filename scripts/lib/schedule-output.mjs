@@ -0,0 +1,115 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { LOTTERIES } from "./lotteries.mjs";
+import { nextDraws } from "./draw-calendar.mjs";
+
+/**
+ * สร้าง public/schedule.json (N งวดถัดไปของทุกหวยที่มีตารางออกในทะเบียน) และ public/schedule.ics
+ * จาก lib/draw-calendar.mjs เพื่อให้แอปไม่ต้องเขียน logic "งวดหน้า" เอง
+ *
+ * ไฟล์ทั้งสองเป็นผลลัพธ์ของ workflow run-exphuay (exphuay_all_results.mjs เขียนทุกรอบที่ตารางเปลี่ยน)
+ * แก้ทะเบียน/วันหยุดแล้วไม่ต้องสร้างและ commit เอง รอบถัดไปของ workflow จะอัปเดตให้
+ */
+
+export const SCHEDULE_DRAWS = Number(process.env.SCHEDULE_DRAWS || 10);
+
+/**
+ * คืน { timezone, draws_per_lottery, lotteries: { [id]: { lottery_name, draws: [{ date, time, scheduled_at, moved_from? }] } } }
+ */
+export function buildSchedule(now = new Date(), count = SCHEDULE_DRAWS) {
+  const lotteries = {};
+  for (const lottery of LOTTERIES.filter((l) => l.schedule)) {
+    lotteries[lottery.id] = {
+      lottery_name: lottery.name,
+      ...(lottery.session ? { session: lottery.session } : {}),
+      draws: nextDraws(lottery.id, now, count),
+    };
+  }
+  return { timezone: "Asia/Bangkok", draws_per_lottery: count, lotteries };
+}
+
+function icsEscape(text) {
+  return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\n/g, "\\n");
+}
+
+function icsDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545: บรรทัดยาวไม่เกิน 75 octets (ภาษาไทยใน UTF-8 ตัวละ 3 bytes ห้ามตัดกลางตัวอักษร)
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    const limit = parts.length === 0 ? 75 : 74; // บรรทัดต่อมีช่องว่างนำหน้า 1 octet
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * แปลง schedule เป็น iCalendar (ทุกงวดเป็น event ยาว 30 นาที)
+ */
+export function scheduleToICS(schedule, generatedAt) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//exp-lotto//draw schedule//TH",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:ตารางออกรางวัลหวย",
+    "X-WR-TIMEZONE:Asia/Bangkok",
+  ];
+  for (const [id, lottery] of Object.entries(schedule.lotteries)) {
+    for (const draw of lottery.draws) {
+      const start = new Date(draw.scheduled_at);
+      const description = draw.moved_from
+        ? `เลื่อนจากวันที่ ${draw.moved_from}`
+        : `งวดวันที่ ${draw.date}`;
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${id}-${draw.date}@exp-lotto`,
+        `DTSTAMP:${icsDateTime(generatedAt)}`,
+        `DTSTART:${icsDateTime(start)}`,
+        `DTEND:${icsDateTime(start.getTime() + 30 * 60 * 1000)}`,
+        `SUMMARY:${icsEscape(`${lottery.lottery_name} ออกรางวัล`)}`,
+        `DESCRIPTION:${icsEscape(description)}`,
+        `CATEGORIES:${icsEscape(id)}`,
+        "END:VEVENT"
+      );
+    }
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * เขียน public/schedule.json + public/schedule.ics เฉพาะเมื่อรายการงวดเปลี่ยน
+ * (ไม่งั้น generated_at เปลี่ยนทุกรอบ workflow จะ commit ทุกครั้ง) คืน true ถ้าเขียนไฟล์
+ */
+export async function writeScheduleFiles({ now = new Date(), count = SCHEDULE_DRAWS, dir = "public" } = {}) {
+  const schedule = buildSchedule(now, count);
+  const jsonPath = path.join(dir, "schedule.json");
+
+  try {
+    const { generated_at, ...previous } = JSON.parse(await fs.readFile(jsonPath, "utf8"));
+    if (JSON.stringify(previous) === JSON.stringify(schedule)) return false;
+  } catch {
+    // ยังไม่มีไฟล์
+  }
+
+  const generatedAt = now.toISOString();
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(jsonPath, JSON.stringify({ generated_at: generatedAt, ...schedule }, null, 2), "utf8");
+  await fs.writeFile(path.join(dir, "schedule.ics"), scheduleToICS(schedule, generatedAt), "utf8");
+  return true;
+}
@@ -0,0 +1,267 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { bangkokDate } from "./draw-calendar.mjs";
+
+/**
+ * ที่เก็บข้อมูล SQLite (ไม่บังคับ) เขียนคู่กับไฟล์ JSON ใน public/ เพื่อให้ query ข้ามงวดได้ เช่น
+ *
+ *   SELECT COUNT(*) FROM draws
+ *   WHERE lottery_type = 'hanoi_vip' AND bottom2 = '47' AND draw_date >= '2026-01-01';
+ *
+ * เปิดใช้ด้วย SQLITE_PATH=data/lotto.sqlite และต้องติดตั้ง sql.js (SQLite แบบ WebAssembly ไม่ต้อง build native)
+ * ไม่ตั้ง SQLITE_PATH หรือไม่มี sql.js = ข้ามไป ไม่กระทบการเขียน JSON
+ *
+ * ตาราง:
+ *   draws              ผลแต่ละงวด (lottery_type, draw_date, draw_time) — draw_time ว่างสำหรับหวยที่ไม่มีรอบเวลา
+ *   prizes             ตารางรางวัลเต็ม (สลากรัฐบาล) หนึ่งแถวต่อหนึ่งเลข
+ *   calculations       output ของ scrape-calculation ทั้งก้อน (payload เป็น JSON) ต่อ fetched_at
+ *   digit_frequencies  สถิติเลขโดดจาก calculations ต่อ fetched_at
+ */
+
+export const SQLITE_PATH = process.env.SQLITE_PATH || "";
+
+const SCHEMA_VERSION = 1;
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS draws (
+  lottery_type TEXT NOT NULL,
+  draw_date TEXT NOT NULL,
+  draw_time TEXT NOT NULL DEFAULT '',
+  lottery_name TEXT,
+  full_number TEXT,
+  top3 TEXT,
+  bottom2 TEXT,
+  published_at TEXT,
+  source TEXT,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (lottery_type, draw_date, draw_time)
+);
+CREATE INDEX IF NOT EXISTS draws_bottom2 ON draws (lottery_type, bottom2);
+CREATE INDEX IF NOT EXISTS draws_top3 ON draws (lottery_type, top3);
+
+CREATE TABLE IF NOT EXISTS prizes (
+  lottery_type TEXT NOT NULL,
+  draw_date TEXT NOT NULL,
+  draw_time TEXT NOT NULL DEFAULT '',
+  tier TEXT NOT NULL,
+  number TEXT NOT NULL,
+  amount INTEGER,
+  PRIMARY KEY (lottery_type, draw_date, draw_time, tier, number)
+);
+
+CREATE TABLE IF NOT EXISTS calculations (
+  lottery_type TEXT NOT NULL,
+  fetched_at TEXT NOT NULL,
+  calc_date TEXT NOT NULL,
+  payload TEXT NOT NULL,
+  source TEXT,
+  PRIMARY KEY (lottery_type, fetched_at)
+);
+
+CREATE TABLE IF NOT EXISTS digit_frequencies (
+  lottery_type TEXT NOT NULL,
+  fetched_at TEXT NOT NULL,
+  digit TEXT NOT NULL,
+  top3_count INTEGER,
+  bottom2_count INTEGER,
+  total INTEGER,
+  PRIMARY KEY (lottery_type, fetched_at, digit)
+);
+`;
+
+let sqlPromise = null;
+
+async function loadSqlJs() {
+  if (!sqlPromise) {
+    sqlPromise = (async () => {
+      let initSqlJs;
+      try {
+        ({ default: initSqlJs } = await import("sql.js"));
+      } catch {
+        throw new Error("sql.js is not installed (npm install sql.js)");
+      }
+      return initSqlJs();
+    })();
+    sqlPromise.catch(() => {
+      sqlPromise = null;
+    });
+  }
+  return sqlPromise;
+}
+
+function queryOne(db, sql, params) {
+  const stmt = db.prepare(sql);
+  try {
+    stmt.bind(params);
+    return stmt.step() ? stmt.getAsObject() : null;
+  } finally {
+    stmt.free();
+  }
+}
+
+const RESULT_FIELDS = ["full_number", "top3", "bottom2"];
+
+/**
+ * เปิด (หรือสร้าง) ไฟล์ SQLite แล้วคืน store — ต้องเรียก save() เพื่อเขียนลงดิสก์
+ */
+export async function openStore(file) {
+  const SQL = await loadSqlJs();
+  let db;
+  try {
+    db = new SQL.Database(await fs.readFile(file));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    db = new SQL.Database();
+  }
+  db.run(SCHEMA);
+  db.run(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+
+  return {
+    db,
+
+    /**
+     * เพิ่ม/แก้ผลงวด (รูปแบบเดียวกับ formatResults) ช่องที่เป็น null จะไม่ลบค่าเดิม (เหมือน history.mjs)
+     * คืน "added" | "corrected" | "unchanged" | "skipped"
+     */
+    upsertDraw(record, { source = null, at = new Date().toISOString() } = {}) {
+      if (!record?.lottery_type || !record.draw_date) return "skipped";
+      const key = [record.lottery_type, record.draw_date, record.draw_time || ""];
+      const results = record.results || {};
+      let existing = queryOne(
+        db,
+        "SELECT * FROM draws WHERE lottery_type = ? AND draw_date = ? AND draw_time = ?",
+        key
+      );
+      // แถวที่นำเข้าก่อนหวยนี้มี draw_time ย้ายมาใช้ key ใหม่
+      if (!existing && key[2]) {
+        existing = queryOne(
+          db,
+          "SELECT * FROM draws WHERE lottery_type = ? AND draw_date = ? AND draw_time = ''",
+          key.slice(0, 2)
+        );
+        if (existing) {
+          for (const table of ["draws", "prizes"]) {
+            db.run(
+              `UPDATE ${table} SET draw_time = ? WHERE lottery_type = ? AND draw_date = ? AND draw_time = ''`,
+              [key[2], ...key.slice(0, 2)]
+            );
+          }
+        }
+      }
+
+      let status;
+      if (!existing) {
+        db.run(
+          `INSERT INTO draws (lottery_type, draw_date, draw_time, lottery_name, full_number, top3, bottom2,
+             published_at, source, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            ...key,
+            record.lottery_name || null,
+            ...RESULT_FIELDS.map((f) => results[f] || null),
+            record.published_at || null,
+            source,
+            at,
+          ]
+        );
+        status = "added";
+      } else {
+        const merged = Object.fromEntries(RESULT_FIELDS.map((f) => [f, results[f] || existing[f]]));
+        const changed = RESULT_FIELDS.some((f) => merged[f] !== existing[f]);
+        if (changed) {
+          db.run(
+            `UPDATE draws SET full_number = ?, top3 = ?, bottom2 = ?, source = ?, updated_at = ?
+             WHERE lottery_type = ? AND draw_date = ? AND draw_time = ?`,
+            [...RESULT_FIELDS.map((f) => merged[f]), source, at, ...key]
+          );
+        }
+        if (record.published_at && !existing.published_at) {
+          db.run(
+            "UPDATE draws SET published_at = ? WHERE lottery_type = ? AND draw_date = ? AND draw_time = ?",
+            [record.published_at, ...key]
+          );
+        }
+        status = changed ? "corrected" : "unchanged";
+      }
+
+      // ตารางรางวัลเต็มแทนที่ทั้งชุดเมื่อ record มี prizes
+      if (results.prizes) {
+        db.run("DELETE FROM prizes WHERE lottery_type = ? AND draw_date = ? AND draw_time = ?", key);
+        for (const [tier, prize] of Object.entries(results.prizes)) {
+          for (const number of prize.numbers || []) {
+            db.run("INSERT OR IGNORE INTO prizes VALUES (?, ?, ?, ?, ?, ?)", [...key, tier, number, prize.amount ?? null]);
+          }
+        }
+      }
+      return status;
+    },
+
+    /**
+     * upsertDraw ทีละตัว คืนสรุป { added, corrected, unchanged, skipped } (รูปเดียวกับ archiveDraws)
+     */
+    upsertDraws(records, options) {
+      const summary = { added: 0, corrected: 0, unchanged: 0, skipped: 0 };
+      for (const record of records) summary[this.upsertDraw(record, options)]++;
+      return summary;
+    },
+
+    /**
+     * เก็บ output ของ scrape-calculation หนึ่งหวย (ซ้ำ fetched_at เดิมจะไม่เพิ่ม) คืน true ถ้าเพิ่มใหม่
+     */
+    insertCalculation(output, { source = null } = {}) {
+      if (!output?.lottery || !output.fetched_at) return false;
+      db.run("INSERT OR IGNORE INTO calculations VALUES (?, ?, ?, ?, ?)", [
+        output.lottery,
+        output.fetched_at,
+        bangkokDate(new Date(output.fetched_at)),
+        JSON.stringify(output),
+        source,
+      ]);
+      if (db.getRowsModified() === 0) return false;
+
+      for (const row of output.digit_frequency?.data || []) {
+        db.run("INSERT OR IGNORE INTO digit_frequencies VALUES (?, ?, ?, ?, ?, ?)", [
+          output.lottery,
+          output.fetched_at,
+          String(row.digit),
+          row.top3_count ?? null,
+          row.bottom2_count ?? null,
+          row.total ?? null,
+        ]);
+      }
+      return true;
+    },
+
+    /**
+     * เขียนฐานข้อมูลลงไฟล์ (เขียนไฟล์ชั่วคราวแล้ว rename กันไฟล์เสียถ้าถูกหยุดกลางทาง)
+     */
+    async save() {
+      await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.writeFile(tmp, Buffer.from(db.export()));
+      await fs.rename(tmp, file);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * เปิด store ตาม SQLITE_PATH เรียก fn(store) แล้วเซฟ — ไม่ได้เปิดใช้หรือไม่มี sql.js คืน null
+ * error ระหว่างเขียน SQLite จะแค่ log ไว้ (JSON ยังเป็นข้อมูลหลัก)
+ */
+export async function withStore(fn, { file = SQLITE_PATH } = {}) {
+  if (!file) return null;
+  let store;
+  try {
+    store = await openStore(file);
+    const result = await fn(store);
+    await store.save();
+    return result;
+  } catch (err) {
+    console.warn(`⚠️ SQLite storage skipped (${file}): ${err.message}`);
+    return null;
+  } finally {
+    store?.close();
+  }
+}
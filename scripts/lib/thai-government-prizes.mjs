@@ -0,0 +1,105 @@
+/**
+ * ตารางรางวัลสลากกินแบ่งรัฐบาลครบทุกรางวัล (อ่านจากหน้ารายละเอียดผลงวด)
+ *
+ * results.prizes = { [tier]: { label, amount, numbers: [...] } }
+ * amount = เงินรางวัลต่อ 1 รางวัล (บาท) ตามประกาศสำนักงานสลากฯ
+ */
+
+export const THAI_GOVERNMENT_PRIZE_TIERS = [
+  { tier: "first", label: "รางวัลที่ 1", amount: 6000000, count: 1, digits: 6 },
+  { tier: "nearby_first", label: "รางวัลข้างเคียงรางวัลที่ 1", amount: 100000, count: 2, digits: 6 },
+  { tier: "front3", label: "เลขหน้า 3 ตัว", amount: 4000, count: 2, digits: 3 },
+  { tier: "back3", label: "เลขท้าย 3 ตัว", amount: 4000, count: 2, digits: 3 },
+  { tier: "back2", label: "เลขท้าย 2 ตัว", amount: 2000, count: 1, digits: 2 },
+  { tier: "second", label: "รางวัลที่ 2", amount: 200000, count: 5, digits: 6 },
+  { tier: "third", label: "รางวัลที่ 3", amount: 80000, count: 10, digits: 6 },
+  { tier: "fourth", label: "รางวัลที่ 4", amount: 40000, count: 50, digits: 6 },
+  { tier: "fifth", label: "รางวัลที่ 5", amount: 20000, count: 100, digits: 6 },
+];
+
+const NUMBERED_TIERS = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth" };
+
+// "รางวัลข้างเคียงรางวัลที่ 1" ต้องมาก่อน "รางวัลที่ N" ใน alternation ไม่งั้นจะถูกอ่านเป็นรางวัลที่ 1
+const HEADING_PATTERN =
+  /(รางวัลข้างเคียง(?:\s*รางวัลที่\s*1)?)|รางวัลที่\s*([1-5])(?!\d)|(เลขหน้า\s*3\s*ตัว)|(เลขท้าย\s*3\s*ตัว)|(เลขท้าย\s*2\s*ตัว)/g;
+
+// เงินรางวัล ("รางวัลละ 4,000 บาท") มีกลุ่มเลข 3 หลักที่จะปนกับเลขรางวัล ต้องลบออกก่อน
+function stripAmounts(text) {
+  return text.replace(/รางวัลละ\s*[\d,]+(?:\s*บาท)?/g, " ").replace(/[\d,]+\s*บาท/g, " ");
+}
+
+function headingTier(match) {
+  if (match[1]) return "nearby_first";
+  if (match[2]) return NUMBERED_TIERS[match[2]];
+  if (match[3]) return "front3";
+  if (match[4]) return "back3";
+  return "back2";
+}
+
+/**
+ * อ่านตารางรางวัลจากข้อความทั้งหน้า (document.body.innerText ของหน้าผลรายงวด)
+ * แต่ละ tier ใช้ section แรกที่มีเลขตามจำนวนหลัก คืน prizes หรือ null ถ้าไม่เจอหัวข้อรางวัลเลย
+ */
+export function parseThaiGovernmentPrizes(bodyText) {
+  const text = stripAmounts(bodyText || "");
+  const headings = [...text.matchAll(HEADING_PATTERN)].map((m) => ({
+    tier: headingTier(m),
+    start: m.index + m[0].length,
+    index: m.index,
+  }));
+  if (headings.length === 0) return null;
+
+  const prizes = {};
+  headings.forEach((heading, i) => {
+    const spec = THAI_GOVERNMENT_PRIZE_TIERS.find((t) => t.tier === heading.tier);
+    if (prizes[spec.tier]) return;
+
+    const section = text.slice(heading.start, headings[i + 1]?.index ?? text.length);
+    const numbers = [...section.matchAll(new RegExp(`(?<!\\d)(\\d{${spec.digits}})(?!\\d)`, "g"))].map(
+      (m) => m[1]
+    );
+    if (numbers.length === 0) return;
+
+    prizes[spec.tier] = { label: spec.label, amount: spec.amount, numbers };
+  });
+
+  return Object.keys(prizes).length > 0 ? prizes : null;
+}
+
+/**
+ * ตรวจว่าแต่ละ tier มีจำนวนเลขครบตามจริง และสอดคล้องกับ full_number / bottom2 ของหน้าแรก
+ * คืน array ของข้อความ error (ว่าง = ผ่าน)
+ */
+export function validateThaiGovernmentPrizes(prizes, results = {}) {
+  if (!prizes) return ["prizes: missing"];
+
+  const errors = [];
+  for (const spec of THAI_GOVERNMENT_PRIZE_TIERS) {
+    const numbers = prizes[spec.tier]?.numbers;
+    if (!Array.isArray(numbers)) {
+      errors.push(`${spec.tier}: missing`);
+      continue;
+    }
+    if (numbers.length !== spec.count) {
+      errors.push(`${spec.tier}: expected ${spec.count} numbers, got ${numbers.length}`);
+    }
+    const bad = numbers.filter((n) => !new RegExp(`^\\d{${spec.digits}}$`).test(n));
+    if (bad.length > 0) errors.push(`${spec.tier}: not ${spec.digits}-digit: ${bad.join(", ")}`);
+    if (new Set(numbers).size !== numbers.length) errors.push(`${spec.tier}: duplicate numbers`);
+  }
+  if (errors.length > 0) return errors;
+
+  const first = prizes.first.numbers[0];
+  if (results.full_number && results.full_number !== first) {
+    errors.push(`first: ${first} does not match full_number ${results.full_number}`);
+  }
+  if (results.bottom2 && results.bottom2 !== prizes.back2.numbers[0]) {
+    errors.push(`back2: ${prizes.back2.numbers[0]} does not match bottom2 ${results.bottom2}`);
+  }
+  const n = Number(first);
+  const expectedNearby = [(n + 999999) % 1000000, (n + 1) % 1000000].map((v) => String(v).padStart(6, "0"));
+  if ([...prizes.nearby_first.numbers].sort().join() !== [...expectedNearby].sort().join()) {
+    errors.push(`nearby_first: expected ${expectedNearby.join(", ")}`);
+  }
+  return errors;
+}
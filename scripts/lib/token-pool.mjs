@@ -0,0 +1,201 @@
+import fs from "node:fs/promises";
+import crypto from "node:crypto";
+import { bangkokDate } from "./draw-calendar.mjs";
+
+/**
+ * สถานะ token pool ของ vision provider ที่เก็บข้ามรอบ (scripts/.vision-token-state.json คู่กับ .vision-cache.json)
+ * รอบที่รันตาม schedule จะได้ไม่เริ่มจากยิง token ที่เพิ่งโดน 429 ไปเมื่อไม่กี่นาทีก่อน
+ *
+ * ไม่เก็บ token จริง — อ้างถึงด้วย fingerprint (sha256 12 ตัวแรก) เท่านั้น:
+ *
+ *   {
+ *     "version": 1,
+ *     "providers": {
+ *       "github": {
+ *         "3f9a1c0b7e22": {
+ *           "cooldown_until": "2026-10-19T01:20:00.000Z",
+ *           "consecutive_429": 2,
+ *           "rate_limited_total": 9,
+ *           "last_success_at": "2026-10-19T01:02:11.000Z",
+ *           "last_429_at": "2026-10-19T01:05:00.000Z",
+ *           "last_error_at": null,
+ *           "daily": { "2026-10-19": { "calls": 12, "ok": 10, "rate_limited": 2, "errors": 0 } }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * การเลือก token: ตัดตัวที่ติด cooldown ออก แล้วสุ่มแบบถ่วงน้ำหนัก
+ *   weight = 1 / (1 + consecutive_429 + rate_limited วันนี้) / (1 + calls วันนี้ / TOKEN_DAILY_LIMIT)
+ * token ที่โดน 429 บ่อยหรือใช้ไปเยอะแล้ววันนี้จึงถูกเลือกน้อยลง แต่ยังมีโอกาสถูกใช้ (โควตาจริงไม่รู้แน่)
+ */
+
+export const TOKEN_DAILY_LIMIT = Number(process.env.TOKEN_DAILY_LIMIT || 50);
+// เก็บยอดรายวันย้อนหลังกี่วัน (กันไฟล์โตเรื่อย ๆ)
+const DAILY_HISTORY_DAYS = 7;
+
+export function tokenFingerprint(token) {
+  return crypto.createHash("sha256").update(token).digest("hex").slice(0, 12);
+}
+
+export function emptyTokenState() {
+  return { version: 1, providers: {} };
+}
+
+export async function loadTokenState(file) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(file, "utf8"));
+    return parsed?.providers ? parsed : emptyTokenState();
+  } catch {
+    return emptyTokenState();
+  }
+}
+
+export async function saveTokenState(file, state) {
+  // ยังไม่เคยใช้ token เลย (เช่นรันด้วย OCR อย่างเดียว) ไม่ต้องสร้างไฟล์
+  if (Object.keys(state.providers).length === 0) return;
+  const cutoff = bangkokDate(new Date(Date.now() - DAILY_HISTORY_DAYS * 86400000));
+  for (const tokens of Object.values(state.providers)) {
+    for (const entry of Object.values(tokens)) {
+      for (const day of Object.keys(entry.daily || {})) {
+        if (day < cutoff) delete entry.daily[day];
+      }
+    }
+  }
+  await fs.writeFile(file, JSON.stringify(state, null, 2), "utf8");
+}
+
+function newEntry() {
+  return {
+    cooldown_until: null,
+    consecutive_429: 0,
+    rate_limited_total: 0,
+    last_success_at: null,
+    last_429_at: null,
+    last_error_at: null,
+    daily: {},
+  };
+}
+
+/**
+ * น้ำหนักของ token จากประวัติ (0 = ติด cooldown อยู่)
+ */
+export function tokenWeight(entry, { now = Date.now(), dailyLimit = TOKEN_DAILY_LIMIT } = {}) {
+  if (!entry) return 1;
+  if (entry.cooldown_until && Date.parse(entry.cooldown_until) > now) return 0;
+  const today = entry.daily?.[bangkokDate(new Date(now))] || {};
+  const health = 1 / (1 + (entry.consecutive_429 || 0) + (today.rate_limited || 0));
+  const load = 1 / (1 + (today.calls || 0) / dailyLimit);
+  return health * load;
+}
+
+/**
+ * pool ของ token หนึ่ง provider ที่อ่าน/เขียนสถานะลง state (แก้ object เดิม ต้อง saveTokenState เอง)
+ */
+export function createTokenPool(tokens, { state = emptyTokenState(), provider, random = Math.random, dailyLimit } = {}) {
+  const fingerprints = new Map(tokens.map((token) => [token, tokenFingerprint(token)]));
+  const stored = (token) => state.providers[provider]?.[fingerprints.get(token)];
+  const entryOf = (token) => ((state.providers[provider] ||= {})[fingerprints.get(token)] ||= newEntry());
+
+  const countCall = (entry, field) => {
+    const day = bangkokDate();
+    entry.daily[day] ||= { calls: 0, ok: 0, rate_limited: 0, errors: 0 };
+    entry.daily[day].calls += 1;
+    entry.daily[day][field] += 1;
+  };
+
+  return {
+    size: tokens.length,
+
+    /**
+     * คืน { token, waitMs } — token ที่พร้อมใช้ (สุ่มถ่วงน้ำหนัก) หรือตัวที่ cooldown จะหมดก่อนพร้อมเวลารอ
+     */
+    pick() {
+      if (tokens.length === 0) return { token: null, waitMs: 0 };
+      const now = Date.now();
+      const weighted = tokens.map((token) => ({
+        token,
+        weight: tokenWeight(stored(token), { now, dailyLimit }),
+      }));
+      const ready = weighted.filter((t) => t.weight > 0);
+
+      if (ready.length > 0) {
+        let roll = random() * ready.reduce((sum, t) => sum + t.weight, 0);
+        for (const t of ready) {
+          roll -= t.weight;
+          if (roll < 0) return { token: t.token, waitMs: 0 };
+        }
+        return { token: ready[ready.length - 1].token, waitMs: 0 };
+      }
+
+      let best = { token: tokens[0], waitMs: Number.POSITIVE_INFINITY };
+      for (const token of tokens) {
+        const waitMs = Date.parse(stored(token).cooldown_until) - now;
+        if (waitMs < best.waitMs) best = { token, waitMs };
+      }
+      return best;
+    },
+
+    markSuccess(token) {
+      const entry = entryOf(token);
+      entry.consecutive_429 = 0;
+      entry.last_success_at = new Date().toISOString();
+      countCall(entry, "ok");
+    },
+
+    markRateLimited(token, cooldownMs) {
+      const entry = entryOf(token);
+      const until = Date.now() + cooldownMs;
+      entry.cooldown_until = new Date(Math.max(Date.parse(entry.cooldown_until) || 0, until)).toISOString();
+      entry.consecutive_429 += 1;
+      entry.rate_limited_total += 1;
+      entry.last_429_at = new Date().toISOString();
+      countCall(entry, "rate_limited");
+    },
+
+    markError(token) {
+      const entry = entryOf(token);
+      entry.last_error_at = new Date().toISOString();
+      countCall(entry, "errors");
+    },
+  };
+}
+
+/**
+ * สรุปสุขภาพของทุก token สำหรับรายงาน (ไม่มีตัว token มีแค่ fingerprint)
+ * configured = { [provider]: [{ source, fingerprint }] } ของ token ที่ตั้งไว้ใน env ตอนนี้
+ * token ที่ตั้งไว้แต่ยังไม่เคยใช้ได้ status "unused"; ที่มีใน state แต่ไม่ได้ตั้งแล้ว source เป็น null
+ */
+export function summarizeTokenState(state, { configured = {}, now = Date.now(), dailyLimit = TOKEN_DAILY_LIMIT } = {}) {
+  const today = bangkokDate(new Date(now));
+  const rows = [];
+  const providers = new Set([...Object.keys(configured), ...Object.keys(state.providers)]);
+
+  for (const provider of providers) {
+    const entries = state.providers[provider] || {};
+    const sources = new Map((configured[provider] || []).map((t) => [t.fingerprint, t.source]));
+    for (const fingerprint of new Set([...sources.keys(), ...Object.keys(entries)])) {
+      const entry = entries[fingerprint];
+      const week = { calls: 0, ok: 0, rate_limited: 0, errors: 0 };
+      for (const day of Object.values(entry?.daily || {})) {
+        for (const field of Object.keys(week)) week[field] += day[field] || 0;
+      }
+      const weight = tokenWeight(entry, { now, dailyLimit });
+      rows.push({
+        provider,
+        fingerprint,
+        source: sources.get(fingerprint) || null,
+        status: !entry ? "unused" : weight === 0 ? "cooling_down" : "ready",
+        weight: Math.round(weight * 1000) / 1000,
+        cooldown_until: weight === 0 ? entry.cooldown_until : null,
+        consecutive_429: entry?.consecutive_429 || 0,
+        rate_limited_total: entry?.rate_limited_total || 0,
+        today: { calls: 0, ok: 0, rate_limited: 0, errors: 0, ...entry?.daily?.[today] },
+        last_7_days: week,
+        last_success_at: entry?.last_success_at || null,
+        last_429_at: entry?.last_429_at || null,
+      });
+    }
+  }
+  return rows;
+}
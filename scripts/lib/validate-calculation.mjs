@@ -0,0 +1,132 @@
+/**
+ * ตรวจความถูกต้องของข้อมูลแต่ละ segment ก่อนเซฟลง public/*.json
+ *
+ * segmentName ตรงกับที่ scrape-calculation.mjs ใช้: calc / digit_frequency / statistics_30_draws
+ * ทุกฟังก์ชันคืน array ของข้อความ error (array ว่าง = ผ่าน)
+ */
+
+const STAT_30_EXPECTED_DRAWS = 30;
+// AI อ่านตาราง 30 งวดแล้วผลรวมคลาดได้นิดหน่อย (แถวซ้ำ/ตกหล่น) แต่ไม่ควรห่างเกินนี้
+const STAT_30_DRAW_TOLERANCE = Number(process.env.STAT_30_DRAW_TOLERANCE || 5);
+
+const isDigitString = (value, length) =>
+  typeof value === "string" && new RegExp(`^\\d{${length}}$`).test(value);
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+function checkNumberList(errors, field, list, length) {
+  if (!Array.isArray(list)) {
+    errors.push(`${field}: must be an array`);
+    return [];
+  }
+  const bad = list.filter((v) => !isDigitString(v, length));
+  if (bad.length > 0) {
+    errors.push(`${field}: expected ${length}-digit strings, got ${JSON.stringify(bad)}`);
+  }
+  return list;
+}
+
+function validateCalc(data) {
+  const errors = [];
+  const top3 = checkNumberList(errors, "top3", data.top3, 3);
+  const bottom2 = checkNumberList(errors, "bottom2", data.bottom2, 2);
+  const top3Rec = checkNumberList(errors, "top3_recommended", data.top3_recommended, 3);
+  const bottom2Rec = checkNumberList(errors, "bottom2_recommended", data.bottom2_recommended, 2);
+
+  if (top3.length === 0) errors.push("top3: empty");
+  if (bottom2.length === 0) errors.push("bottom2: empty");
+
+  const notInTop3 = top3Rec.filter((v) => !top3.includes(v));
+  if (notInTop3.length > 0) {
+    errors.push(`top3_recommended: ${JSON.stringify(notInTop3)} not in top3`);
+  }
+  const notInBottom2 = bottom2Rec.filter((v) => !bottom2.includes(v));
+  if (notInBottom2.length > 0) {
+    errors.push(`bottom2_recommended: ${JSON.stringify(notInBottom2)} not in bottom2`);
+  }
+
+  if (!isDigitString(data.running_number, 1)) {
+    errors.push(`running_number: expected single digit, got ${JSON.stringify(data.running_number)}`);
+  }
+  if (!isDigitString(data.full_set_number, 1)) {
+    errors.push(`full_set_number: expected single digit, got ${JSON.stringify(data.full_set_number)}`);
+  }
+  return errors;
+}
+
+function validateDigitFrequency(data) {
+  const errors = [];
+  const rows = data.data;
+  if (!Array.isArray(rows)) return ["data: must be an array"];
+  if (rows.length !== 10) errors.push(`data: expected exactly 10 rows, got ${rows.length}`);
+
+  const seen = new Set();
+  for (const row of rows) {
+    const label = `digit ${JSON.stringify(row?.digit)}`;
+    if (!isDigitString(row?.digit, 1)) {
+      errors.push(`${label}: digit must be "0"-"9"`);
+      continue;
+    }
+    if (seen.has(row.digit)) errors.push(`${label}: duplicated`);
+    seen.add(row.digit);
+
+    if (![row.top3_count, row.bottom2_count, row.total].every(isCount)) {
+      errors.push(`${label}: counts must be non-negative integers`);
+      continue;
+    }
+    if (row.total !== row.top3_count + row.bottom2_count) {
+      errors.push(
+        `${label}: total ${row.total} != top3_count ${row.top3_count} + bottom2_count ${row.bottom2_count}`
+      );
+    }
+  }
+  return errors;
+}
+
+function checkStatTable(errors, field, list, length) {
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${field}: must be a non-empty array`);
+    return;
+  }
+  const seen = new Set();
+  let sum = 0;
+  for (const entry of list) {
+    if (!isDigitString(entry?.number, length)) {
+      errors.push(`${field}: expected ${length}-digit number, got ${JSON.stringify(entry?.number)}`);
+      continue;
+    }
+    if (!Number.isInteger(entry.count) || entry.count < 1) {
+      errors.push(`${field}: ${entry.number} has invalid count ${JSON.stringify(entry.count)}`);
+      continue;
+    }
+    if (seen.has(entry.number)) errors.push(`${field}: ${entry.number} duplicated`);
+    seen.add(entry.number);
+    sum += entry.count;
+  }
+
+  const min = STAT_30_EXPECTED_DRAWS - STAT_30_DRAW_TOLERANCE;
+  const max = STAT_30_EXPECTED_DRAWS + STAT_30_DRAW_TOLERANCE;
+  if (sum < min || sum > max) {
+    errors.push(`${field}: counts sum to ${sum} draws, expected ${min}-${max}`);
+  }
+}
+
+function validateStat30(data) {
+  const errors = [];
+  checkStatTable(errors, "bottom2", data.bottom2, 2);
+  checkStatTable(errors, "top3", data.top3, 3);
+  return errors;
+}
+
+const VALIDATORS = {
+  calc: validateCalc,
+  digit_frequency: validateDigitFrequency,
+  statistics_30_draws: validateStat30,
+};
+
+export function validateSegment(segmentName, data) {
+  const validator = VALIDATORS[segmentName];
+  if (!validator) throw new Error(`Unknown segment: ${segmentName}`);
+  if (!data || typeof data !== "object") return ["data: must be an object"];
+  return validator(data);
+}
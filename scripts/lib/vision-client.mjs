@@ -0,0 +1,606 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { mergeReadings } from "./consensus.mjs";
+import { OCR_INSTALLED, readImageOCR } from "./ocr.mjs";
+import { createTokenPool, emptyTokenState } from "./token-pool.mjs";
+
+/**
+ * Vision client สำหรับอ่านรูปคำนวณหวย — provider ทุกตัวใช้ interface เดียวกัน:
+ *   read(segmentName, prompt, imageBuffer) -> JSON ตาม prompt
+ *
+ * ชนิดของ provider (kind):
+ *   openai  API แบบ OpenAI chat completions (GitHub Models, OpenAI, Azure, OpenRouter,
+ *           llama.cpp server, Ollama /v1 ฯลฯ) — ตั้ง baseUrl / model / auth ได้
+ *   gemini  Google Generative Language API
+ *   ocr     tesseract.js ในเครื่อง ไม่ต้องมี key
+ *   mock    คืนคำตอบที่บันทึกไว้ (ไฟล์ JSON) สำหรับ test แบบ offline
+ *
+ * provider ตั้งจาก env ได้เลย (ดู envProviderConfigs) หรือจากไฟล์ VISION_CONFIG=vision.json:
+ *
+ *   {
+ *     "providers": {
+ *       "github": { "model": "openai/gpt-4.1" },
+ *       "ollama": {
+ *         "kind": "openai",
+ *         "baseUrl": "http://127.0.0.1:11434/v1",
+ *         "model": "qwen2.5vl:7b",
+ *         "auth": { "scheme": "none" },
+ *         "priority": 5,
+ *         "rateLimit": { "minIntervalMs": 0, "maxCalls": 50 }
+ *       }
+ *     }
+ *   }
+ *
+ * ค่าในไฟล์ทับค่าจาก env ตามชื่อ provider; key/token อ้างถึงด้วยชื่อ env (auth.env) ห้ามใส่ในไฟล์
+ * auth.scheme: bearer (Authorization: Bearer) / header (auth.header เช่น api-key) / query (auth.param) / none
+ *
+ * ลำดับที่ลอง: VISION_PROVIDERS=ocr,github (เลือกและเรียงเอง) หรือถ้าไม่ตั้ง ใช้ทุกตัวที่พร้อมใช้เรียงตาม priority (น้อยก่อน)
+ * provider ที่ remote (ยิง API ภายนอก) นับ budget/throttle รวมของรอบ ส่วน rateLimit จำกัดแยกราย provider
+ */
+
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "::1", "[::1]", "0.0.0.0"]);
+
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * token ที่ provider ใช้ พร้อมที่มา เช่น [{ source: "GITHUB_TOKENS#2", token }]
+ * auth.env เป็น "A,B" หรือ ["A","B"]; ค่าใน env หนึ่งตัวแยกหลาย token ด้วย , หรือช่องว่างได้ (ไม่นับซ้ำ)
+ */
+export function tokenSources(config, env = process.env) {
+  if (!config?.auth || config.auth.scheme === "none") return [];
+  const names = Array.isArray(config.auth.env) ? config.auth.env : String(config.auth.env || "").split(/[,\s]+/);
+  const seen = new Set();
+  const result = [];
+  for (const name of names.filter(Boolean)) {
+    const values = String(env[name] || "").split(/[,\s]+/).map((v) => v.trim()).filter(Boolean);
+    for (const [i, token] of values.entries()) {
+      if (seen.has(token)) continue;
+      seen.add(token);
+      result.push({ source: values.length > 1 ? `${name}#${i + 1}` : name, token });
+    }
+  }
+  return result;
+}
+
+function isLocalUrl(url) {
+  try {
+    return LOCAL_HOSTS.has(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+export function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    const m = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (m) return JSON.parse(m[1].trim());
+    const obj = text.match(/\{[\s\S]*\}/);
+    if (obj) return JSON.parse(obj[0]);
+    throw new Error(`Cannot parse JSON: ${text.slice(0, 300)}`);
+  }
+}
+
+function recordingName(segmentName, image) {
+  const hash = crypto.createHash("sha256").update(image).digest("hex").slice(0, 16);
+  return `${segmentName}-${hash}.json`;
+}
+
+/**
+ * provider ตั้งต้นจาก env (ไม่มีไฟล์ config ก็ทำงานเหมือนเดิม: github -> gemini -> ocr)
+ *   github  GITHUB_TOKEN / GITHUB_TOKENS, GITHUB_MODELS_BASE_URL, GITHUB_MODELS_MODEL
+ *   gemini  GEMINI_API_KEY, GEMINI_MODEL
+ *   openai  OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL
+ *   local   LOCAL_VISION_URL (llama.cpp / Ollama /v1), LOCAL_VISION_MODEL, LOCAL_VISION_API_KEY
+ *   ocr     tesseract.js
+ *   mock    VISION_MOCK_DIR (ไฟล์ที่บันทึกด้วย VISION_RECORD_DIR)
+ */
+export function envProviderConfigs(env = process.env) {
+  return {
+    github: {
+      kind: "openai",
+      label: "GitHub Models",
+      baseUrl: env.GITHUB_MODELS_BASE_URL || "https://models.github.ai/inference",
+      model: env.GITHUB_MODELS_MODEL || "openai/gpt-4o",
+      auth: { scheme: "bearer", env: ["GITHUB_TOKEN", "GITHUB_TOKENS"] },
+      priority: 10,
+      maxRetries: 6,
+    },
+    gemini: {
+      kind: "gemini",
+      label: "Gemini",
+      model: env.GEMINI_MODEL || "gemini-2.0-flash",
+      auth: { scheme: "query", param: "key", env: ["GEMINI_API_KEY"] },
+      priority: 20,
+      maxRetries: 3,
+    },
+    openai: {
+      kind: "openai",
+      label: "OpenAI",
+      baseUrl: env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      model: env.OPENAI_MODEL || "gpt-4o",
+      auth: { scheme: "bearer", env: ["OPENAI_API_KEY"] },
+      priority: 30,
+    },
+    local: {
+      kind: "openai",
+      label: "Local vision server",
+      baseUrl: env.LOCAL_VISION_URL || "",
+      model: env.LOCAL_VISION_MODEL || "",
+      auth: env.LOCAL_VISION_API_KEY
+        ? { scheme: "bearer", env: ["LOCAL_VISION_API_KEY"] }
+        : { scheme: "none" },
+      priority: 5,
+      timeoutMs: 300000,
+    },
+    ocr: { kind: "ocr", label: "Local OCR (tesseract.js)", priority: 100 },
+    mock: { kind: "mock", label: "Recorded responses", dir: env.VISION_MOCK_DIR || "", priority: 0 },
+  };
+}
+
+/**
+ * รวม provider จาก env กับไฟล์ VISION_CONFIG (ถ้ามี) คืน { [name]: config }
+ */
+export async function loadVisionConfig({ env = process.env, file = env.VISION_CONFIG } = {}) {
+  const configs = envProviderConfigs(env);
+  if (!file) return configs;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    throw new Error(`อ่านไฟล์ VISION_CONFIG ไม่ได้ (${file}): ${err.message}`);
+  }
+  for (const [name, override] of Object.entries(parsed?.providers || {})) {
+    configs[name] = { ...configs[name], ...override };
+  }
+  return configs;
+}
+
+// ===== Provider kinds =====
+// create(name, config, ctx) -> { isAvailable, read, describe } โดย ctx เป็น state ของ client
+// (env / tokenState / random / stat / checkEnabled / canKeepWaiting / retryDelaySeconds / onRetryableStatus / onResponse / delay)
+
+function createOpenAiProvider(name, config, ctx) {
+  const auth = config.auth || { scheme: "bearer" };
+  const tokens = tokenSources(config, ctx.env).map((t) => t.token);
+  const url = `${String(config.baseUrl || "").replace(/\/+$/, "")}/chat/completions`;
+  const maxRetries = config.maxRetries ?? 3;
+  // สถานะ token (cooldown / 429 / ยอดใช้รายวัน) เก็บข้ามรอบใน ctx.tokenState — ดู lib/token-pool.mjs
+  const pool = createTokenPool(tokens, { state: ctx.tokenState, provider: name, random: ctx.random });
+
+  const request = (token, body) => {
+    const headers = { "Content-Type": "application/json" };
+    let target = url;
+    if (token && auth.scheme === "bearer") headers.Authorization = `Bearer ${token}`;
+    if (token && auth.scheme === "header") headers[auth.header || "api-key"] = token;
+    if (token && auth.scheme === "query") {
+      target = `${url}${url.includes("?") ? "&" : "?"}${auth.param || "key"}=${encodeURIComponent(token)}`;
+    }
+    return fetch(target, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      ...(config.timeoutMs && { signal: AbortSignal.timeout(config.timeoutMs) }),
+    });
+  };
+
+  return {
+    isAvailable: () => Boolean(config.baseUrl && config.model) && (auth.scheme === "none" || tokens.length > 0),
+    describe: () =>
+      `${config.model} @ ${config.baseUrl}` +
+      (tokens.length > 1 ? ` (${tokens.length} tokens)` : ""),
+
+    async read(segmentName, prompt, image) {
+      ctx.checkEnabled();
+      const body = {
+        model: config.model,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              { type: "image_url", image_url: { url: `data:image/png;base64,${image.toString("base64")}` } },
+            ],
+          },
+        ],
+        temperature: 0,
+        max_tokens: config.maxTokens || 4000,
+      };
+
+      for (let attempt = 1; ; attempt++) {
+        if (!ctx.fullRefresh && attempt > maxRetries) break;
+        ctx.canKeepWaiting();
+
+        const pick = pool.pick();
+        if (auth.scheme !== "none" && !pick.token) throw new Error(`No available ${config.label} token`);
+        if (pick.waitMs > 0) {
+          console.log(`    ⏳ ${config.label} token pool cooling down ${Math.ceil(pick.waitMs / 1000)}s...`);
+          await ctx.delay(pick.waitMs);
+        }
+        // รอ cooldown แล้วเลือกใหม่ (ระหว่างรอ token อื่นอาจพร้อมก่อน)
+        const token = pick.waitMs > 0 ? pool.pick().token : pick.token;
+        const res = await request(token, body);
+
+        if (res.status === 429 || res.status >= 500) {
+          ctx.stat(name, res.status === 429 ? "rate_limited" : "server_errors");
+          ctx.stat(name, "retries");
+          const wait = ctx.retryDelaySeconds(res, attempt);
+          if (token && res.status === 429) {
+            // cooldown ที่เก็บข้ามรอบใช้ retry-after ของ server (FAST_RUN_MODE retry เร็วกว่านั้นได้ด้วย token อื่น)
+            const retryAfter = Number(res.headers.get("retry-after"));
+            pool.markRateLimited(token, Math.max(wait, Number.isFinite(retryAfter) ? retryAfter : 0) * 1000);
+          } else if (token) {
+            pool.markError(token);
+          }
+          ctx.onRetryableStatus(name, res.status);
+          console.log(`    ⏳ ${config.label} retry in ${wait}s (status ${res.status})...`);
+          // ถ้ามี token อื่นที่พร้อม ใช้ทันทีไม่ต้องรอ
+          const next = pool.pick();
+          if (!next.token || next.waitMs > 0) await ctx.delay(wait * 1000);
+          continue;
+        }
+        ctx.onResponse(name);
+        if (!res.ok) {
+          if (token) pool.markError(token);
+          const errText = await res.text();
+          throw new Error(`${config.label} ${res.status}: ${errText.slice(0, 300)}`);
+        }
+
+        if (token) pool.markSuccess(token);
+        const data = await res.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (!text) throw new Error(`Empty response from ${config.label}`);
+        return parseJSON(text);
+      }
+      throw new Error(`${config.label}: max retries exceeded`);
+    },
+  };
+}
+
+function createGeminiProvider(name, config, ctx) {
+  const [apiKey] = tokenSources(config, ctx.env).map((t) => t.token);
+  const baseUrl = String(config.baseUrl || "https://generativelanguage.googleapis.com/v1beta").replace(/\/+$/, "");
+  const maxRetries = config.maxRetries ?? 3;
+
+  return {
+    isAvailable: () => Boolean(apiKey),
+    describe: () => config.model,
+
+    async read(segmentName, prompt, image) {
+      ctx.checkEnabled();
+      const url = `${baseUrl}/models/${config.model}:generateContent?key=${apiKey}`;
+      const body = {
+        contents: [
+          {
+            parts: [
+              { text: prompt },
+              { inline_data: { mime_type: "image/png", data: image.toString("base64") } },
+            ],
+          },
+        ],
+        generationConfig: { temperature: 0, responseMimeType: "application/json" },
+      };
+
+      for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          ...(config.timeoutMs && { signal: AbortSignal.timeout(config.timeoutMs) }),
+        });
+
+        if (res.status === 429) {
+          ctx.stat(name, "rate_limited");
+          ctx.stat(name, "retries");
+          const wait = attempt * 15;
+          console.log(`    ⏳ ${config.label} rate limited, retrying in ${wait}s...`);
+          await ctx.delay(wait * 1000);
+          continue;
+        }
+        if (!res.ok) {
+          const errText = await res.text();
+          throw new Error(`${config.label} ${res.status}: ${errText.slice(0, 300)}`);
+        }
+
+        const data = await res.json();
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) throw new Error(`Empty response from ${config.label}`);
+        return parseJSON(text);
+      }
+      throw new Error(`${config.label}: max retries exceeded`);
+    },
+  };
+}
+
+function createOcrProvider() {
+  return {
+    isAvailable: () => OCR_INSTALLED,
+    describe: () => "tesseract.js",
+    read: (segmentName, prompt, image) => readImageOCR(segmentName, image),
+  };
+}
+
+// หาไฟล์ที่ตรงกับรูปนี้ก่อน ({segment}-{hash}.json จาก VISION_RECORD_DIR) แล้วค่อยใช้ {segment}.json
+function createMockProvider(name, config) {
+  return {
+    isAvailable: () => Boolean(config.dir),
+    describe: () => config.dir,
+
+    async read(segmentName, prompt, image) {
+      for (const file of [recordingName(segmentName, image), `${segmentName}.json`]) {
+        try {
+          return JSON.parse(await fs.readFile(path.join(config.dir, file), "utf8"));
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+      throw new Error(`no recorded response for ${segmentName} in ${config.dir}`);
+    },
+  };
+}
+
+export const PROVIDER_KINDS = {
+  openai: { create: createOpenAiProvider, remote: (config) => !isLocalUrl(config.baseUrl) },
+  gemini: { create: createGeminiProvider, remote: () => true },
+  ocr: { create: createOcrProvider, remote: () => false },
+  mock: { create: createMockProvider, remote: () => false },
+};
+
+/**
+ * สร้าง client จาก config ของ provider ทั้งหมด (loadVisionConfig)
+ *
+ * options (ค่าเดิมของ scrape-calculation):
+ *   chain                 ชื่อ provider ตามลำดับ (VISION_PROVIDERS) — ว่าง = ทุกตัวที่พร้อมใช้เรียงตาม priority
+ *   maxCalls              budget AI ของทั้งรอบ (MAX_AI_CALLS_PER_RUN) นับครั้งละ 1 ต่อรูป
+ *   minIntervalMs         ระยะห่างขั้นต่ำระหว่าง AI call (MIN_AI_INTERVAL_MS)
+ *   maxConsecutive429     429 ติดกันกี่ครั้งจึงปิด AI ทั้งรอบ
+ *   fullRefresh / fastRun / fullRefreshMaxWaitMinutes / fastRunMaxMinutes
+ *   recordDir             บันทึกคำตอบที่อ่านสำเร็จไว้ให้ provider mock ใช้ซ้ำ (VISION_RECORD_DIR)
+ *   tokenState            สถานะ token pool จาก loadTokenState (แก้ในที่ ต้อง saveTokenState หลังจบรอบ)
+ */
+export function createVisionClient(configs, options = {}) {
+  const {
+    env = process.env,
+    chain = [],
+    maxCalls = Number.POSITIVE_INFINITY,
+    minIntervalMs = 0,
+    maxConsecutive429 = 5,
+    fullRefresh = false,
+    fastRun = false,
+    fullRefreshMaxWaitMinutes = 720,
+    fastRunMaxMinutes = 5,
+    recordDir = "",
+    tokenState = emptyTokenState(),
+    random = Math.random,
+    sleep = delay,
+  } = options;
+
+  const unknown = chain.filter((name) => !configs[name]);
+  if (unknown.length > 0) {
+    throw new Error(`ไม่รู้จัก vision provider: ${unknown.join(", ")}`);
+  }
+  const badKinds = Object.entries(configs).filter(([, c]) => !PROVIDER_KINDS[c.kind]);
+  if (badKinds.length > 0) {
+    throw new Error(`ไม่รู้จักชนิด vision provider: ${badKinds.map(([n, c]) => `${n} (${c.kind})`).join(", ")}`);
+  }
+
+  let startedAtMs = Date.now();
+  let aiCallCount = 0;
+  let nextAllowedAiAt = 0;
+  let consecutive429Count = 0;
+  let disabledReason = "";
+  const usage = new Map(); // name -> { calls, nextAllowedAt }
+  const stats = {}; // name -> { calls, ok, failed, retries, rate_limited, server_errors } สำหรับ run report
+
+  const ctx = {
+    env,
+    tokenState,
+    random,
+    stat(name, field) {
+      stats[name] ||= { calls: 0, ok: 0, failed: 0, retries: 0, rate_limited: 0, server_errors: 0 };
+      stats[name][field] += 1;
+    },
+    fullRefresh,
+    delay: sleep,
+    checkEnabled() {
+      if (disabledReason) throw new Error(disabledReason);
+    },
+    canKeepWaiting() {
+      if (!fullRefresh) return;
+      const limit = fastRun ? Math.min(fullRefreshMaxWaitMinutes, fastRunMaxMinutes) : fullRefreshMaxWaitMinutes;
+      if ((Date.now() - startedAtMs) / 60000 >= limit) {
+        throw new Error(`Full refresh wait exceeded ${fullRefreshMaxWaitMinutes} minutes`);
+      }
+    },
+    retryDelaySeconds(res, attempt) {
+      // โหมดสปีดสูง: retry สั้นเพื่อให้สลับ token ต่อเนื่องและจบรันไว
+      if (fastRun) return Math.min(20, 2 * attempt);
+      const asNumber = Number(res.headers.get("retry-after"));
+      if (Number.isFinite(asNumber) && asNumber > 0) return Math.max(5, Math.ceil(asNumber));
+      return Math.min(900, 15 * 2 ** (attempt - 1));
+    },
+    onRetryableStatus(name, status) {
+      if (status !== 429) {
+        consecutive429Count = 0;
+        return;
+      }
+      if (fullRefresh) return;
+      consecutive429Count += 1;
+      if (consecutive429Count >= maxConsecutive429) {
+        disabledReason = `AI disabled for this run after ${consecutive429Count} consecutive 429 responses`;
+        console.log(`    🛑 ${disabledReason}`);
+        throw new Error(disabledReason);
+      }
+    },
+    onResponse() {
+      consecutive429Count = 0;
+    },
+  };
+
+  const providers = Object.entries(configs).map(([name, config], index) => {
+    const kind = PROVIDER_KINDS[config.kind];
+    const full = { label: name, ...config };
+    return {
+      name,
+      label: full.label,
+      kind: config.kind,
+      remote: config.remote ?? kind.remote(full),
+      priority: config.priority ?? Number.POSITIVE_INFINITY,
+      rateLimit: config.rateLimit || {},
+      order: index,
+      ...kind.create(name, full, ctx),
+    };
+  });
+  const byName = Object.fromEntries(providers.map((p) => [p.name, p]));
+
+  // budget + throttle รวมของรอบ (เฉพาะ provider ที่ยิง API ภายนอก)
+  async function reserveAiCall() {
+    ctx.checkEnabled();
+    if (!fullRefresh && aiCallCount >= maxCalls) {
+      disabledReason = `AI disabled for this run after reaching MAX_AI_CALLS_PER_RUN=${maxCalls}`;
+      throw new Error(disabledReason);
+    }
+    const now = Date.now();
+    if (nextAllowedAiAt > now) {
+      const waitMs = nextAllowedAiAt - now;
+      console.log(`    ⏱️ Throttle: waiting ${Math.ceil(waitMs / 1000)}s before next AI call...`);
+      await sleep(waitMs);
+    }
+    nextAllowedAiAt = Date.now() + minIntervalMs;
+    aiCallCount += 1;
+  }
+
+  // rateLimit ราย provider: { maxCalls, minIntervalMs } ต่อรอบ
+  async function reserveProviderCall(provider) {
+    const { maxCalls: limit, minIntervalMs: interval = 0 } = provider.rateLimit;
+    const state = usage.get(provider.name) || { calls: 0, nextAllowedAt: 0 };
+    usage.set(provider.name, state);
+    if (limit !== undefined && state.calls >= limit) {
+      throw new Error(`rate limit reached (${limit} calls per run)`);
+    }
+    const waitMs = state.nextAllowedAt - Date.now();
+    if (waitMs > 0) {
+      console.log(`    ⏱️ ${provider.label} rate limit: waiting ${Math.ceil(waitMs / 1000)}s...`);
+      await sleep(waitMs);
+    }
+    state.nextAllowedAt = Date.now() + interval;
+    state.calls += 1;
+  }
+
+  async function record(segmentName, image, data) {
+    if (!recordDir) return;
+    await fs.mkdir(recordDir, { recursive: true });
+    await fs.writeFile(path.join(recordDir, recordingName(segmentName, image)), JSON.stringify(data, null, 2), "utf8");
+  }
+
+  async function readWith(provider, segmentName, prompt, image) {
+    await reserveProviderCall(provider);
+    ctx.stat(provider.name, "calls");
+    let data;
+    try {
+      data = await provider.read(segmentName, prompt, image);
+    } catch (err) {
+      ctx.stat(provider.name, "failed");
+      throw err;
+    }
+    ctx.stat(provider.name, "ok");
+    if (provider.remote) await record(segmentName, image, data);
+    return data;
+  }
+
+  function active() {
+    const selected = chain.length > 0
+      ? chain.map((name) => byName[name])
+      : [...providers].sort((a, b) => a.priority - b.priority || a.order - b.order);
+    return selected.filter((p) => p.isAvailable());
+  }
+
+  return {
+    providers,
+    active,
+
+    // จำนวนครั้งที่อ่าน/สำเร็จ/ล้มเหลว/retry/429 ของแต่ละ provider ในรอบนี้
+    stats() {
+      return structuredClone(stats);
+    },
+
+    // เริ่มนับเวลารอของ FULL_REFRESH ใหม่ (หลังเตรียมงานเสร็จ)
+    start() {
+      startedAtMs = Date.now();
+    },
+
+    /**
+     * อ่านรูปด้วย provider ตัวแรกที่สำเร็จตามลำดับ คืน { data, provider }
+     */
+    async read(segmentName, prompt, image) {
+      const errors = [];
+      let reserved = false;
+
+      for (const provider of active()) {
+        try {
+          // budget นับครั้งละ 1 ต่อรูป แม้จะ fallback จาก provider หนึ่งไปอีกตัว
+          if (provider.remote && !reserved) {
+            await reserveAiCall();
+            reserved = true;
+          }
+          const data = await readWith(provider, segmentName, prompt, image);
+          return { data, provider: provider.name };
+        } catch (e) {
+          const msg = e?.message || String(e);
+          errors.push(`${provider.label}: ${msg}`);
+          console.log(`    ⚠️ ${provider.label} failed: ${msg.slice(0, 120)}`);
+        }
+      }
+
+      throw new Error(`ไม่มี AI service ใช้งานได้ (${errors.join(" | ") || "unknown"})`);
+    },
+
+    /**
+     * CONSENSUS_MODE: อ่านรูปเดียวกัน 2 ครั้งด้วย 2 provider แรกที่ใช้ได้ (ไม่นับ ocr)
+     * (ถ้ามีตัวเดียวจะอ่านซ้ำด้วยตัวนั้น) แล้วรวมผลทีละ field พร้อมบล็อก consensus
+     * เหลือแต่ ocr = อ่านครั้งเดียว (อ่านซ้ำก็ได้ผลเดิม) consensus จึงเป็น needs_review
+     */
+    async readConsensus(segmentName, prompt, image) {
+      const list = active();
+      if (list.length === 0) throw new Error("ไม่มี AI service ใช้งานได้ (no provider)");
+
+      // ocr แม่นน้อยกว่า model มาก ถ้าจับคู่เทียบกันแทบทุก field จะกลายเป็น conflict
+      const models = list.filter((p) => p.kind !== "ocr");
+      const plan = models.length >= 2 ? models.slice(0, 2) : models.length === 1 ? [models[0], models[0]] : [list[0]];
+      const rereads = plan.length === 2 && plan[0] === plan[1];
+      const readings = [];
+      const errors = [];
+
+      for (const [i, provider] of plan.entries()) {
+        const label = rereads ? `${provider.name}#${i + 1}` : provider.name;
+        try {
+          if (provider.remote) await reserveAiCall();
+          readings.push({ label, data: await readWith(provider, segmentName, prompt, image) });
+        } catch (e) {
+          const msg = e?.message || String(e);
+          errors.push(`${label}: ${msg}`);
+          console.log(`    ⚠️ Consensus read ${label} failed: ${msg.slice(0, 120)}`);
+        }
+      }
+
+      if (readings.length === 0) {
+        throw new Error(`ไม่มี AI service ใช้งานได้ (${errors.join(" | ") || "unknown"})`);
+      }
+
+      const merged = mergeReadings(segmentName, readings);
+      const { agreement, conflicts } = merged.consensus;
+      console.log(
+        `    🤝 Consensus ${merged.consensus.providers.join(" + ")}: agreement=${agreement ?? "n/a"}, conflicts=${conflicts.length}`
+      );
+      if (merged.consensus.needs_review) {
+        console.log(`    🔍 ${segmentName} needs review`);
+      }
+      return { ...merged, provider: rereads || plan.length === 1 ? plan[0].name : null };
+    },
+  };
+}
@@ -0,0 +1,155 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { LOTTERY_SOURCES } from "./lib/lotteries.mjs";
+import { bangkokDate } from "./lib/draw-calendar.mjs";
+import { findDraw } from "./lib/prize-checker.mjs";
+import { loadSnapshots } from "./lib/calc-snapshots.mjs";
+import {
+  ACCURACY_WINDOWS,
+  calculationProvenance,
+  isFreshPrediction,
+  pickPrediction,
+  scorePrediction,
+  summarizeAccuracy,
+  targetDraw,
+} from "./lib/accuracy.mjs";
+
+/**
+ * วัดว่าเลขแนะนำใน daily_calculation ถูกจริงแค่ไหน
+ *
+ * ใช้งาน: node scripts/score-predictions.mjs (รันหลัง scrape-calculation และหลัง exphuay_all_results)
+ *   1. จด daily_calculation จาก snapshot รายวัน (public/calculations/) และ public/{outputFile}
+ *      เป็นคำทายของงวดถัดไป (pending) — วันที่รอบก่อนพลาดไปจึงยังถูกจดจาก snapshot
+ *      เฉพาะค่าที่อ่านใหม่ (lib/accuracy.mjs isFreshPrediction) ไม่นับเลขเดิมที่คัดลอกมาซ้ำ
+ *   2. คำทายที่งวดออกแล้ว (จากคลัง/ผลล่าสุด) -> ให้คะแนนทีละ field (lib/accuracy.mjs)
+ *   3. เขียน log ต่อหวยที่ public/accuracy/{lottery}.json และสรุปอัตราถูกเทียบ baseline สุ่มที่ public/accuracy.json
+ *
+ * คำทายที่งวดเลยมาเกิน ACCURACY_RESULT_GRACE_DAYS วันแต่ไม่มีผล (เช่นงดออก) จะถูกปิดเป็น no_result
+ */
+
+const PUBLIC_DIR = "public";
+const ACCURACY_DIR = path.join(PUBLIC_DIR, "accuracy");
+const SUMMARY_FILE = path.join(PUBLIC_DIR, "accuracy.json");
+const ACCURACY_RESULT_GRACE_DAYS = Number(process.env.ACCURACY_RESULT_GRACE_DAYS || 3);
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * เพิ่มคำทายจากไฟล์คำนวณรอบนี้ (วันเดียวกันรันซ้ำ = แทนคำทายเดิมที่ยังไม่ได้ให้คะแนน)
+ */
+function recordPrediction(records, source, calculation) {
+  if (!calculation?.daily_calculation || !calculation.fetched_at || calculation.blocked_by_cloudflare) return false;
+  if (records.some((r) => r.fetched_at === calculation.fetched_at)) return false; // fallback ที่ใช้ค่าเดิม
+  // เลขของเมื่อวานที่คัดลอกมา (previous / previous_scheduled) หรือรูปเดิม ไม่นับเป็นคำทายของงวดถัดไป
+  if (!isFreshPrediction(calculation, records)) return false;
+
+  const draw = targetDraw(source.id, calculation.fetched_at);
+  if (!draw) return false;
+
+  const record = {
+    calc_date: bangkokDate(new Date(calculation.fetched_at)),
+    fetched_at: calculation.fetched_at,
+    target_draw_date: draw.date,
+    status: "pending",
+    ...calculationProvenance(calculation),
+    prediction: pickPrediction(calculation.daily_calculation),
+  };
+  const sameDay = records.findIndex((r) => r.calc_date === record.calc_date && r.status === "pending");
+  if (sameDay >= 0) records[sameDay] = record;
+  else if (records.some((r) => r.calc_date === record.calc_date)) return false;
+  else records.push(record);
+  return true;
+}
+
+async function scorePending(records, lotteryId, now) {
+  let changed = false;
+  for (const record of records.filter((r) => r.status === "pending")) {
+    let draw = null;
+    try {
+      draw = await findDraw(lotteryId, record.target_draw_date);
+    } catch {
+      // งวดนี้ยังไม่มีผล
+    }
+
+    if (draw?.results) {
+      record.status = "scored";
+      record.actual = { top3: draw.results.top3 || null, bottom2: draw.results.bottom2 || null };
+      record.scores = scorePrediction(record.prediction, draw.results);
+      changed = true;
+    } else {
+      const deadline = new Date(`${record.target_draw_date}T00:00:00+07:00`);
+      deadline.setUTCDate(deadline.getUTCDate() + 1 + ACCURACY_RESULT_GRACE_DAYS);
+      if (now > deadline) {
+        record.status = "no_result";
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+async function main() {
+  const now = new Date();
+  await fs.mkdir(ACCURACY_DIR, { recursive: true });
+
+  const summary = {
+    updated_at: now.toISOString(),
+    windows: ACCURACY_WINDOWS,
+    notes: "hit_rate เทียบกับ baseline_rate (โอกาสถูกถ้าผลออกแบบสุ่ม) lift > 1 = ดีกว่าสุ่ม",
+    lotteries: {},
+  };
+  let anyChanged = false;
+
+  for (const source of LOTTERY_SOURCES) {
+    const logPath = path.join(ACCURACY_DIR, `${source.id}.json`);
+    const log = (await readJson(logPath)) || { lottery_type: source.id, records: [] };
+    const records = log.records;
+
+    const calculations = [
+      ...(await loadSnapshots(source.id)),
+      await readJson(path.join(PUBLIC_DIR, source.outputFile)),
+    ];
+    const added = calculations.filter((c) => recordPrediction(records, source, c)).length;
+    const scored = await scorePending(records, source.id, now);
+    records.sort((a, b) => a.fetched_at.localeCompare(b.fetched_at));
+
+    if (added || scored) {
+      anyChanged = true;
+      await fs.writeFile(
+        logPath,
+        JSON.stringify({ lottery_type: source.id, updated_at: now.toISOString(), records }, null, 2),
+        "utf8"
+      );
+    }
+
+    const scoredRecords = records.filter((r) => r.status === "scored");
+    summary.lotteries[source.id] = {
+      lottery_name: source.name,
+      scored: scoredRecords.length,
+      pending: records.filter((r) => r.status === "pending").length,
+      latest_scored: scoredRecords[scoredRecords.length - 1] || null,
+      accuracy: summarizeAccuracy(scoredRecords),
+    };
+    console.log(
+      `🎯 ${source.name}: ${added ? `+${added} prediction(s), ` : ""}${scoredRecords.length} scored, ` +
+        `${summary.lotteries[source.id].pending} pending`
+    );
+  }
+
+  // ไม่มีอะไรเปลี่ยน ไม่ต้องเขียนไฟล์สรุปใหม่ (กัน commit ที่เปลี่ยนแค่ updated_at)
+  if (anyChanged || !(await readJson(SUMMARY_FILE))) {
+    await fs.writeFile(SUMMARY_FILE, JSON.stringify(summary, null, 2), "utf8");
+    console.log(`💾 Saved: ${SUMMARY_FILE}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
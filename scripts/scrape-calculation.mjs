@@ -1,37 +1,34 @@
 import fs from "node:fs/promises";
 import path from "node:path";
-import crypto from "node:crypto";
+import { LOTTERY_SOURCES } from "./lib/lotteries.mjs";
+import { terminateOcr } from "./lib/ocr.mjs";
+import { withStore } from "./lib/sqlite-store.mjs";
+import { buildSnapshot, writeSnapshot, writeSnapshotIndex } from "./lib/calc-snapshots.mjs";
+import { createVisionClient, loadVisionConfig } from "./lib/vision-client.mjs";
+import { hasCalculationInputs, processLottery, readPreviousOutput } from "./lib/calc-reader.mjs";
+import { loadTokenState, saveTokenState } from "./lib/token-pool.mjs";
+import { addSegmentSources, finishRunReport, setAiStats, startRunReport } from "./lib/run-report.mjs";
 
 /**
- * Script สำหรับอ่านข้อมูลหวยจากรูปภาพด้วย AI Vision (GitHub Models)
+ * Script สำหรับอ่านข้อมูลหวยจากรูปภาพด้วย AI Vision (GitHub Models / Gemini / OpenAI-compatible / llama.cpp, Ollama)
+ * หรือ OCR ในเครื่อง (tesseract.js) เมื่อไม่มี API key — ตั้ง provider ได้ที่ lib/vision-client.mjs
  *
  * รูปภาพอยู่ใน scripts/exp-images/:
  *   {id}_1.png = คำนวณหวยประจำวัน (3 ตัวบน, 2 ตัวล่าง, วิ่ง, รูด)
  *   {id}_2.png = สถิติจำนวนครั้งที่ออก (เลข 0-9)
  *   {id}_3.png = สถิติ 30 งวดล่าสุด (ตาราง 2 ตัวล่าง + 3 ตัวบน)
+ *   {id}_dom.json = ตัวเลขที่ capture-exp-images.mjs อ่านจาก DOM โดยตรง
+ *
+ * ถ้า {id}_dom.json มี segment ไหนครบ จะใช้ค่านั้นก่อน แล้วค่อยใช้ AI อ่านรูปเป็น fallback
  */
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const GITHUB_TOKENS = process.env.GITHUB_TOKENS;
-const GITHUB_TOKEN_POOL = Array.from(
-  new Set(
-    [GITHUB_TOKEN, ...(GITHUB_TOKENS || "").split(/[,\s]+/)]
-      .map((v) => (v || "").trim())
-      .filter(Boolean)
-  )
-);
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GITHUB_MODELS_URL =
-  "https://models.github.ai/inference/chat/completions";
-
 const SCRIPT_DIR = path.dirname(new URL(import.meta.url).pathname);
 const IMAGES_DIR = path.join(SCRIPT_DIR, "exp-images");
 const CACHE_FILE = path.join(SCRIPT_DIR, ".vision-cache.json");
+// สถานะ token pool ข้ามรอบ (ไม่มีตัว token ดูด้วย npm run report:tokens)
+const TOKEN_STATE_FILE = path.join(SCRIPT_DIR, ".vision-token-state.json");
 const PUBLIC_DIR = path.resolve(process.cwd(), "public");
 const MAX_CONSECUTIVE_429_BEFORE_DISABLE = 5;
-let consecutive429Count = 0;
-let aiDisabledForRun = false;
-let aiDisabledReason = "";
 const CALC_AI_PER_RUN = Number(process.env.CALC_AI_PER_RUN || 5);
 const HEAVY_AI_PER_RUN = Number(process.env.HEAVY_AI_PER_RUN || 1);
 const MAX_AI_CALLS_PER_RUN = Number(process.env.MAX_AI_CALLS_PER_RUN || 6);
@@ -42,559 +39,24 @@ const FULL_REFRESH_MAX_WAIT_MINUTES = Number(
 );
 const FAST_RUN_MODE = process.env.FAST_RUN_MODE === "1";
 const FAST_RUN_MAX_MINUTES = Number(process.env.FAST_RUN_MAX_MINUTES || 5);
-let aiCallCount = 0;
-let nextAllowedAiAt = 0;
-let runStartedAtMs = Date.now();
-let githubTokenCursor = 0;
-const githubTokenCooldownUntil = new Map();
-
-// ===== รายชื่อหวย =====
-// id = ค่าที่ใส่ใน JSON field "lottery" (ต้องตรงกับสคริปต์เก่า)
-// imagePrefix = prefix ของชื่อรูปใน exp-images/ (เช่น gov_thai_1.png)
-const LOTTERY_SOURCES = [
-  {
-    id: "thai_government",
-    imagePrefix: "gov_thai",
-    name: "หวยรัฐบาลไทย",
-    sourceUrl: "https://exphuay.com/calculate/goverment",
-    outputFile: "gov_thai.json",
-  },
-  {
-    id: "lao_pattana",
-    imagePrefix: "lao_pattana",
-    name: "หวยลาวพัฒนา",
-    sourceUrl: "https://exphuay.com/calculate/laosdevelops",
-    outputFile: "lao_pattana.json",
-  },
-  {
-    id: "malaysia",
-    imagePrefix: "malaysia",
-    name: "หวยมาเลย์",
-    sourceUrl: "https://exphuay.com/calculate/magnum4d",
-    outputFile: "malaysia.json",
-  },
-  {
-    id: "baac",
-    imagePrefix: "baac",
-    name: "หวยธ.ก.ส.",
-    sourceUrl: "https://exphuay.com/calculate/baac",
-    outputFile: "baac.json",
-  },
-  {
-    id: "gsb",
-    imagePrefix: "gsb",
-    name: "หวยออมสิน",
-    sourceUrl: "https://exphuay.com/calculate/gsb",
-    outputFile: "gsb.json",
-  },
-  {
-    id: "hanoi_normal",
-    imagePrefix: "hanoi_nor",
-    name: "หวยฮานอยปกติ",
-    sourceUrl: "https://exphuay.com/calculate/minhngoc",
-    outputFile: "hanoi_normal.json",
-  },
-  {
-    id: "hanoi_special",
-    imagePrefix: "hanoi_spa",
-    name: "หวยฮานอยพิเศษ",
-    sourceUrl: "https://exphuay.com/calculate/xsthm",
-    outputFile: "hanoi_special.json",
-  },
-  {
-    id: "hanoi_vip",
-    imagePrefix: "hanoi_vip",
-    name: "หวยฮานอย VIP",
-    sourceUrl: "https://exphuay.com/calculate/mlnhngo",
-    outputFile: "hanoi_vip.json",
-  },
-];
+// จำนวนครั้งที่ให้ AI อ่านรูปใหม่ เมื่อผลที่ได้ไม่ผ่าน validation
+const AI_VALIDATION_RETRIES = Number(process.env.AI_VALIDATION_RETRIES || 1);
+// อ่านรูปละ 2 ครั้งแล้วเทียบกันทีละ field (ใช้ AI call เป็น 2 เท่า)
+const CONSENSUS_MODE = process.env.CONSENSUS_MODE === "1";
+// ลำดับ fallback ของ vision provider เช่น VISION_PROVIDERS=ocr เพื่อใช้ OCR อย่างเดียว
+// ไม่ตั้ง = ทุก provider ที่พร้อมใช้เรียงตาม priority (ค่าเริ่มต้น github, gemini, ocr)
+const VISION_PROVIDER_CHAIN = (process.env.VISION_PROVIDERS || "")
+  .split(/[,\s]+/)
+  .filter(Boolean);
 
 function nowISO() {
   return new Date().toISOString();
 }
 
-// ===== Prompts =====
-
-const CALC_PROMPT = `Read this Thai lottery calculation image. Return JSON ONLY:
-{
-  "top3": ["043", "682", "430", "830", "482"],
-  "top3_recommended": ["043", "430", "830"],
-  "bottom2": ["76", "44", "39", "08", "46", "03"],
-  "bottom2_recommended": ["44", "46"],
-  "running_number": "4",
-  "full_set_number": "3"
-}
-Rules:
-- "top3": ALL 3-digit numbers under "3 ตัวบน" (left to right)
-- "top3_recommended": ONLY those with GREEN background
-- "bottom2": ALL 2-digit numbers under "2 ตัวล่าง" (left to right)
-- "bottom2_recommended": ONLY those with GREEN background
-- "running_number": the single digit under "วิ่ง"
-- "full_set_number": the single digit under "รูด"
-- All values MUST be strings. Read EVERY number.`;
-
-const DIGIT_FREQ_PROMPT = `Read this digit frequency table image. Return JSON ONLY:
-{
-  "data": [
-    {"digit": "0", "top3_count": 12, "bottom2_count": 6, "total": 18},
-    {"digit": "1", "top3_count": 9, "bottom2_count": 6, "total": 15}
-  ]
-}
-Rules:
-- Read the table with columns: เลข (digit 0-9), 3 ตัวบน (top3_count), 2 ตัวล่าง (bottom2_count), รวม (total)
-- digit is string, all counts are integers
-- Must have exactly 10 rows (digits 0-9)
-- Read EVERY row carefully`;
-
-const STAT_30_PROMPT = `Read this lottery statistics table image showing 30 recent draws. Return JSON ONLY:
-{
-  "bottom2": [
-    {"number": "45", "count": 2},
-    {"number": "64", "count": 2}
-  ],
-  "top3": [
-    {"number": "440", "count": 1},
-    {"number": "145", "count": 1}
-  ]
-}
-Rules:
-- LEFT table = "2 ตัวล่าง": Read ALL rows (number as string, count as integer)
-- RIGHT table = "3 ตัวบน": Read ALL rows (number as string, count as integer)
-- Read EVERY single row in both tables, do not skip any`;
-
-// ===== AI Vision Call =====
-
-function getRetryDelaySeconds(res, attempt) {
-  if (FAST_RUN_MODE) {
-    // โหมดสปีดสูง: retry สั้นเพื่อให้สลับ token ต่อเนื่องและจบรันไว
-    return Math.min(20, 2 * attempt);
-  }
-  const retryAfter = res.headers.get("retry-after");
-  const asNumber = Number(retryAfter);
-  if (Number.isFinite(asNumber) && asNumber > 0) {
-    return Math.max(5, Math.ceil(asNumber));
-  }
-  return Math.min(900, 15 * 2 ** (attempt - 1));
-}
-
-function pickGithubToken() {
-  if (GITHUB_TOKEN_POOL.length === 0) {
-    return { token: null, waitMs: 0 };
-  }
-
-  const now = Date.now();
-  let bestToken = GITHUB_TOKEN_POOL[0];
-  let bestWaitMs = Number.POSITIVE_INFINITY;
-
-  for (let i = 0; i < GITHUB_TOKEN_POOL.length; i++) {
-    const idx = (githubTokenCursor + i) % GITHUB_TOKEN_POOL.length;
-    const token = GITHUB_TOKEN_POOL[idx];
-    const cooldownUntil = githubTokenCooldownUntil.get(token) || 0;
-    const waitMs = Math.max(0, cooldownUntil - now);
-
-    if (waitMs === 0) {
-      githubTokenCursor = (idx + 1) % GITHUB_TOKEN_POOL.length;
-      return { token, waitMs: 0 };
-    }
-
-    if (waitMs < bestWaitMs) {
-      bestWaitMs = waitMs;
-      bestToken = token;
-    }
-  }
-
-  return { token: bestToken, waitMs: bestWaitMs };
-}
-
-function canContinueFullRefreshWait() {
-  const elapsedMin = (Date.now() - runStartedAtMs) / 60000;
-  const limit = FAST_RUN_MODE
-    ? Math.min(FULL_REFRESH_MAX_WAIT_MINUTES, FAST_RUN_MAX_MINUTES)
-    : FULL_REFRESH_MAX_WAIT_MINUTES;
-  return elapsedMin < limit;
-}
-
-async function callGitHubModels(prompt, imageBase64, maxRetries = 6) {
-  if (GITHUB_TOKEN_POOL.length === 0) throw new Error("No GITHUB_TOKEN");
-  if (aiDisabledForRun) {
-    throw new Error(aiDisabledReason || "AI disabled for this run");
-  }
-
-  for (let attempt = 1; ; attempt++) {
-    if (!FULL_REFRESH_MODE && attempt > maxRetries) {
-      break;
-    }
-    if (FULL_REFRESH_MODE && !canContinueFullRefreshWait()) {
-      throw new Error(
-        `Full refresh wait exceeded ${FULL_REFRESH_MAX_WAIT_MINUTES} minutes`
-      );
-    }
-
-    const tokenPick = pickGithubToken();
-    if (!tokenPick.token) throw new Error("No available GitHub token");
-    if (tokenPick.waitMs > 0) {
-      const waitMs = tokenPick.waitMs;
-      const waitSec = Math.ceil(waitMs / 1000);
-      console.log(`    ⏳ GitHub token pool cooling down ${waitSec}s...`);
-      await delay(waitMs);
-    }
-    const selectedToken = pickGithubToken().token;
-
-    const res = await fetch(GITHUB_MODELS_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${selectedToken}`,
-      },
-      body: JSON.stringify({
-        model: "openai/gpt-4o",
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              {
-                type: "image_url",
-                image_url: { url: `data:image/png;base64,${imageBase64}` },
-              },
-            ],
-          },
-        ],
-        temperature: 0,
-        max_tokens: 4000,
-      }),
-    });
-
-    if (res.status === 429 || res.status >= 500) {
-      if (res.status === 429) {
-        if (!FULL_REFRESH_MODE) {
-          consecutive429Count += 1;
-        }
-        if (
-          !FULL_REFRESH_MODE &&
-          consecutive429Count >= MAX_CONSECUTIVE_429_BEFORE_DISABLE
-        ) {
-          aiDisabledForRun = true;
-          aiDisabledReason =
-            `AI disabled for this run after ${consecutive429Count} consecutive 429 responses`;
-          console.log(`    🛑 ${aiDisabledReason}`);
-          throw new Error(aiDisabledReason);
-        }
-      } else {
-        consecutive429Count = 0;
-      }
-
-      const wait = getRetryDelaySeconds(res, attempt);
-      if (res.status === 429) {
-        githubTokenCooldownUntil.set(
-          selectedToken,
-          Math.max(githubTokenCooldownUntil.get(selectedToken) || 0, Date.now() + wait * 1000)
-        );
-      }
-      console.log(`    ⏳ GitHub Models retry in ${wait}s (status ${res.status})...`);
-      // ถ้ามี token อื่นที่พร้อม ใช้ทันทีไม่ต้องรอ
-      const nextPick = pickGithubToken();
-      if (!nextPick.token || nextPick.waitMs > 0) {
-        await delay(wait * 1000);
-      }
-      continue;
-    }
-    if (!res.ok) {
-      consecutive429Count = 0;
-      const errText = await res.text();
-      throw new Error(`GitHub Models ${res.status}: ${errText.slice(0, 300)}`);
-    }
-
-    consecutive429Count = 0;
-    const data = await res.json();
-    const text = data.choices?.[0]?.message?.content;
-    if (!text) throw new Error("Empty response from GitHub Models");
-
-    return parseJSON(text);
-  }
-
-  throw new Error("GitHub Models: max retries exceeded");
-}
-
-async function callGemini(prompt, imageBase64, maxRetries = 3) {
-  if (!GEMINI_API_KEY) throw new Error("No GEMINI_API_KEY");
-  if (aiDisabledForRun) {
-    throw new Error(aiDisabledReason || "AI disabled for this run");
-  }
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
-  const body = {
-    contents: [
-      {
-        parts: [
-          { text: prompt },
-          { inline_data: { mime_type: "image/png", data: imageBase64 } },
-        ],
-      },
-    ],
-    generationConfig: { temperature: 0, responseMimeType: "application/json" },
-  };
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    const res = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(body),
-    });
-
-    if (res.status === 429) {
-      const wait = attempt * 15;
-      console.log(`    ⏳ Rate limited, retrying in ${wait}s...`);
-      await new Promise((r) => setTimeout(r, wait * 1000));
-      continue;
-    }
-    if (!res.ok) {
-      const errText = await res.text();
-      throw new Error(`Gemini ${res.status}: ${errText.slice(0, 300)}`);
-    }
-
-    const data = await res.json();
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!text) throw new Error("Empty response from Gemini");
-    return parseJSON(text);
-  }
-  throw new Error("Gemini: max retries exceeded");
-}
-
-function parseJSON(text) {
-  try {
-    return JSON.parse(text);
-  } catch {
-    const m = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (m) return JSON.parse(m[1].trim());
-    const obj = text.match(/\{[\s\S]*\}/);
-    if (obj) return JSON.parse(obj[0]);
-    throw new Error(`Cannot parse JSON: ${text.slice(0, 300)}`);
-  }
-}
-
-async function readImageAI(prompt, imagePath) {
-  if (aiDisabledForRun) {
-    throw new Error(aiDisabledReason || "AI disabled for this run");
-  }
-  if (!FULL_REFRESH_MODE && aiCallCount >= MAX_AI_CALLS_PER_RUN) {
-    aiDisabledForRun = true;
-    aiDisabledReason = `AI disabled for this run after reaching MAX_AI_CALLS_PER_RUN=${MAX_AI_CALLS_PER_RUN}`;
-    throw new Error(aiDisabledReason);
-  }
-
-  const now = Date.now();
-  if (nextAllowedAiAt > now) {
-    const waitMs = nextAllowedAiAt - now;
-    const waitSec = Math.ceil(waitMs / 1000);
-    console.log(`    ⏱️ Throttle: waiting ${waitSec}s before next AI call...`);
-    await delay(waitMs);
-  }
-  nextAllowedAiAt = Date.now() + MIN_AI_INTERVAL_MS;
-  aiCallCount += 1;
-
-  const base64 = (await fs.readFile(imagePath)).toString("base64");
-  const errors = [];
-
-  if (GITHUB_TOKEN_POOL.length > 0) {
-    try {
-      return await callGitHubModels(prompt, base64);
-    } catch (e) {
-      const msg = e?.message || String(e);
-      errors.push(`GitHub: ${msg}`);
-      console.log(`    ⚠️ GitHub Models failed: ${msg.slice(0, 120)}`);
-    }
-  }
-
-  if (GEMINI_API_KEY) {
-    try {
-      return await callGemini(prompt, base64);
-    } catch (e) {
-      const msg = e?.message || String(e);
-      errors.push(`Gemini: ${msg}`);
-      console.log(`    ⚠️ Gemini failed: ${msg.slice(0, 120)}`);
-    }
-  }
-
-  throw new Error(`ไม่มี AI service ใช้งานได้ (${errors.join(" | ") || "unknown"})`);
-}
-
-function getDayOfYear(date = new Date()) {
-  const start = new Date(Date.UTC(date.getUTCFullYear(), 0, 0));
-  const now = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
-  const diff = now - start;
-  return Math.floor(diff / 86400000);
-}
-
-function isSelectedForToday(sourceIndex, limitPerRun, totalSources) {
-  if (limitPerRun >= totalSources) return true;
-  const day = getDayOfYear();
-  const start = day % totalSources;
-  const distance = (sourceIndex - start + totalSources) % totalSources;
-  return distance < limitPerRun;
-}
-
-function shouldTryAIForSegment({
-  sourceIndex,
-  segmentName,
-  hasPreviousData,
-  totalSources,
-}) {
-  if (FULL_REFRESH_MODE) return true;
-
-  // ถ้าไม่มีข้อมูลเก่า ต้องยิง AI เพื่อ seed ครั้งแรก
-  if (!hasPreviousData) return true;
-
-  if (segmentName === "calc") {
-    return isSelectedForToday(sourceIndex, CALC_AI_PER_RUN, totalSources);
-  }
-
-  return isSelectedForToday(sourceIndex, HEAVY_AI_PER_RUN, totalSources);
-}
-
-// ===== Process single lottery =====
-
-async function processLottery(source, sourceIndex, totalSources, cacheStore) {
-  const prefix = source.imagePrefix || source.id;
-  const img1 = path.join(IMAGES_DIR, `${prefix}_1.png`);
-  const img2 = path.join(IMAGES_DIR, `${prefix}_2.png`);
-  const img3 = path.join(IMAGES_DIR, `${prefix}_3.png`);
-  const previousOutput = await readPreviousOutput(source.outputFile);
-
-  // ตรวจไฟล์
-  for (const f of [img1, img2, img3]) {
-    try {
-      await fs.access(f);
-    } catch {
-      console.log(`  ⚠️ Missing: ${path.basename(f)} - skipping`);
-      return null;
-    }
-  }
-
-  const readSegment = async ({ segmentName, prompt, imagePath, previousData }) => {
-    const imageHash = await hashFile(imagePath);
-    const cacheKey = `${source.id}:${segmentName}`;
-    const cached = cacheStore[cacheKey];
-    const shouldTryAI = shouldTryAIForSegment({
-      sourceIndex,
-      segmentName,
-      hasPreviousData: Boolean(previousData),
-      totalSources,
-    });
-
-    if (!FULL_REFRESH_MODE && cached?.hash === imageHash && cached?.data) {
-      console.log(`    ♻️ Using cache for ${path.basename(imagePath)} (${segmentName})`);
-      return { data: cached.data, source: "cache" };
-    }
-
-    if (!shouldTryAI && previousData) {
-      console.log(`    ⏭️ Skip AI for ${segmentName} (daily budget), using previous data`);
-      cacheStore[cacheKey] = { hash: imageHash, data: previousData, updated_at: nowISO() };
-      return { data: previousData, source: "previous_scheduled" };
-    }
-
-    try {
-      const data = await readImageAI(prompt, imagePath);
-      cacheStore[cacheKey] = { hash: imageHash, data, updated_at: nowISO() };
-      return { data, source: "ai" };
-    } catch (e) {
-      if (previousData) {
-        console.log(
-          `    ♻️ AI unavailable, using previous ${segmentName} from public/${source.outputFile}`
-        );
-        cacheStore[cacheKey] = { hash: imageHash, data: previousData, updated_at: nowISO() };
-        return { data: previousData, source: "previous" };
-      }
-      throw e;
-    }
-  };
-
-  // 1. อ่าน calc (คำนวณประจำวัน)
-  console.log(`  📊 Reading ${prefix}_1.png (calc)...`);
-  const calcSegment = await readSegment({
-    segmentName: "calc",
-    prompt: CALC_PROMPT,
-    imagePath: img1,
-    previousData: previousOutput?.daily_calculation || null,
-  });
-  const calcData = calcSegment.data;
-  console.log(
-    `    ✅ top3: ${calcData.top3?.length || 0}, bottom2: ${calcData.bottom2?.length || 0}, วิ่ง: ${calcData.running_number}, รูด: ${calcData.full_set_number}`
-  );
-
-  if (calcSegment.source === "ai" && !FAST_RUN_MODE) await delay(5000);
-
-  // 2. อ่าน digit frequency (สถิติเลข 0-9)
-  console.log(`  📊 Reading ${prefix}_2.png (digit freq)...`);
-  const digitFreqSegment = await readSegment({
-    segmentName: "digit_frequency",
-    prompt: DIGIT_FREQ_PROMPT,
-    imagePath: img2,
-    previousData: previousOutput?.digit_frequency || null,
-  });
-  const digitFreq = digitFreqSegment.data;
-  console.log(`    ✅ digit_frequency: ${digitFreq.data?.length || 0} entries`);
-
-  if (digitFreqSegment.source === "ai" && !FAST_RUN_MODE) await delay(5000);
-
-  // 3. อ่าน stat 30 draws
-  console.log(`  📊 Reading ${prefix}_3.png (stat 30)...`);
-  const stat30Segment = await readSegment({
-    segmentName: "statistics_30_draws",
-    prompt: STAT_30_PROMPT,
-    imagePath: img3,
-    previousData: previousOutput?.statistics_30_draws || null,
-  });
-  const stat30 = stat30Segment.data;
-  console.log(
-    `    ✅ bottom2: ${stat30.bottom2?.length || 0}, top3: ${stat30.top3?.length || 0}`
-  );
-
-  return {
-    lottery: source.id,
-    lottery_name: source.name,
-    source_url: source.sourceUrl,
-    fetched_at: nowISO(),
-    window: { latest_n_draws: 30 },
-    daily_calculation: {
-      top3: calcData.top3 || [],
-      top3_recommended: calcData.top3_recommended || [],
-      bottom2: calcData.bottom2 || [],
-      bottom2_recommended: calcData.bottom2_recommended || [],
-      running_number: calcData.running_number ?? null,
-      full_set_number: calcData.full_set_number ?? null,
-    },
-    digit_frequency: {
-      data: digitFreq.data || [],
-    },
-    statistics_30_draws: {
-      bottom2: stat30.bottom2 || [],
-      top3: stat30.top3 || [],
-    },
-    blocked_by_cloudflare: false,
-    notes: `ดึงข้อมูลจาก exphuay.com - รันเวลา 08:00 น.`,
-  };
-}
-
 function delay(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-async function hashFile(filePath) {
-  const fileBuffer = await fs.readFile(filePath);
-  return crypto.createHash("sha256").update(fileBuffer).digest("hex");
-}
-
-async function readPreviousOutput(outputFile) {
-  try {
-    const raw = await fs.readFile(path.join(PUBLIC_DIR, outputFile), "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
-}
-
 async function readPreviousCombinedOutput() {
   try {
     const raw = await fs.readFile(path.join(PUBLIC_DIR, "all_calculations.json"), "utf8");
@@ -605,7 +67,7 @@ async function readPreviousCombinedOutput() {
 }
 
 async function getFallbackLotteryResult(source, reason) {
-  const byFile = await readPreviousOutput(source.outputFile);
+  const byFile = await readPreviousOutput(source.outputFile, { publicDir: PUBLIC_DIR });
   if (byFile) {
     console.log(`  ♻️ Fallback to previous cache: ${source.outputFile} (${reason})`);
     return byFile;
@@ -636,21 +98,42 @@ async function saveCacheStore(cacheStore) {
 
 // ===== Main =====
 
-async function main() {
+async function main(report) {
   console.log("🎰 Starting lottery image reader...");
   console.log(`📅 ${nowISO()}\n`);
 
-  // ตรวจ AI services
-  console.log("🔑 AI Services:");
-  if (GITHUB_TOKEN_POOL.length > 0) {
-    console.log(`  ✅ GitHub Models (${GITHUB_TOKEN_POOL.length} token${GITHUB_TOKEN_POOL.length > 1 ? "s" : ""})`);
+  const tokenState = await loadTokenState(TOKEN_STATE_FILE);
+  const vision = createVisionClient(await loadVisionConfig(), {
+    chain: VISION_PROVIDER_CHAIN,
+    maxCalls: MAX_AI_CALLS_PER_RUN,
+    minIntervalMs: MIN_AI_INTERVAL_MS,
+    maxConsecutive429: MAX_CONSECUTIVE_429_BEFORE_DISABLE,
+    fullRefresh: FULL_REFRESH_MODE,
+    fastRun: FAST_RUN_MODE,
+    fullRefreshMaxWaitMinutes: FULL_REFRESH_MAX_WAIT_MINUTES,
+    fastRunMaxMinutes: FAST_RUN_MAX_MINUTES,
+    recordDir: process.env.VISION_RECORD_DIR || "",
+    tokenState,
+  });
+
+  // ตรวจ AI services (ไม่พิมพ์ token/key)
+  const activeProviders = vision.active();
+  console.log(
+    `🔑 AI Services (VISION_PROVIDERS=${VISION_PROVIDER_CHAIN.join(",") || "auto"}): ${
+      activeProviders.map((p) => p.name).join(" -> ") || "none"
+    }`
+  );
+  for (const provider of vision.providers) {
+    if (VISION_PROVIDER_CHAIN.length > 0 && !VISION_PROVIDER_CHAIN.includes(provider.name)) continue;
+    const available = provider.isAvailable();
+    console.log(`  ${available ? "✅" : "❌"} ${provider.label}${available ? ` (${provider.describe()})` : ""}`);
   }
-  else console.log("  ❌ GitHub Models");
-  if (GEMINI_API_KEY) console.log("  ✅ Gemini (GEMINI_API_KEY)");
-  else console.log("  ❌ Gemini");
   console.log(
     `  🚦 Mode: ${FULL_REFRESH_MODE ? "FULL_REFRESH (read all images)" : "SMART_CACHE"}`
   );
+  if (CONSENSUS_MODE) {
+    console.log("  🤝 Consensus mode: ON (2 reads per image)");
+  }
   if (FAST_RUN_MODE) {
     console.log(`  ⚡ Fast run mode: ON (target <= ${FAST_RUN_MAX_MINUTES} minutes)`);
   }
@@ -666,11 +149,13 @@ async function main() {
     `  🛡️ Run protection: max_calls=${MAX_AI_CALLS_PER_RUN}, min_interval_ms=${MIN_AI_INTERVAL_MS}\n`
   );
 
-  if (GITHUB_TOKEN_POOL.length === 0 && !GEMINI_API_KEY) {
-    throw new Error("ต้องมี GITHUB_TOKEN หรือ GEMINI_API_KEY");
+  if (activeProviders.length === 0) {
+    throw new Error(
+      "ต้องมี GITHUB_TOKEN หรือ GEMINI_API_KEY (หรือตั้ง provider อื่น / npm install เพื่อใช้ ocr ด้วย tesseract.js)"
+    );
   }
 
-  runStartedAtMs = Date.now();
+  vision.start();
 
   // ตรวจ images folder
   try {
@@ -681,26 +166,45 @@ async function main() {
 
   const files = await fs.readdir(IMAGES_DIR);
   console.log(`\n📁 Images folder: ${files.length} files`);
-  console.log(`📋 Lotteries: ${LOTTERY_SOURCES.length}\n`);
+  // หวยที่ยังไม่เคยจับรูปได้ไม่เข้ารอบ (ไม่เปลี่ยนการแบ่ง AI budget ของหวยที่มีรูปแล้ว)
+  const sources = [];
+  const notCaptured = [];
+  for (const source of LOTTERY_SOURCES) {
+    if (await hasCalculationInputs(source, IMAGES_DIR)) sources.push(source);
+    else notCaptured.push(source);
+  }
+  console.log(`📋 Lotteries: ${sources.length}`);
+  if (notCaptured.length > 0) {
+    console.log(`⏸️ Not captured yet (skipped): ${notCaptured.map((s) => s.id).join(", ")}`);
+  }
+  console.log();
 
   await fs.mkdir("public", { recursive: true });
   const cacheStore = await loadCacheStore();
 
   const allResults = [];
+  let snapshotsWritten = 0;
   const failedLotteries = [];
 
-  for (const [sourceIndex, source] of LOTTERY_SOURCES.entries()) {
+  for (const [sourceIndex, source] of sources.entries()) {
     console.log(`\n${"=".repeat(50)}`);
     console.log(`📌 ${source.name} (${source.id})`);
     console.log("=".repeat(50));
 
     try {
-      const result = await processLottery(
-        source,
+      const result = await processLottery(source, cacheStore, failedLotteries, {
+        vision,
+        imagesDir: IMAGES_DIR,
+        publicDir: PUBLIC_DIR,
         sourceIndex,
-        LOTTERY_SOURCES.length,
-        cacheStore
-      );
+        totalSources: sources.length,
+        calcAiPerRun: CALC_AI_PER_RUN,
+        heavyAiPerRun: HEAVY_AI_PER_RUN,
+        validationRetries: AI_VALIDATION_RETRIES,
+        fullRefresh: FULL_REFRESH_MODE,
+        fastRun: FAST_RUN_MODE,
+        consensus: CONSENSUS_MODE,
+      });
 
       if (result) {
         // เซฟไฟล์แยก
@@ -708,6 +212,12 @@ async function main() {
         await fs.writeFile(outPath, JSON.stringify(result, null, 2), "utf8");
         console.log(`  💾 Saved: ${outPath}`);
         allResults.push(result);
+        addSegmentSources(report, source.id, result.segment_sources);
+
+        // สำเนารายวัน (เฉพาะผลที่อ่านรอบนี้ ไม่รวม fallback)
+        const snapshotPath = await writeSnapshot(buildSnapshot(result, cacheStore));
+        console.log(`  🗂️ Snapshot: ${snapshotPath}`);
+        snapshotsWritten++;
       } else {
         const fallback = await getFallbackLotteryResult(source, "missing image files");
         if (fallback) {
@@ -747,7 +257,7 @@ async function main() {
     }
 
     // delay ระหว่างหวย
-    if (source !== LOTTERY_SOURCES[LOTTERY_SOURCES.length - 1]) {
+    if (source !== sources[sources.length - 1]) {
       if (!FAST_RUN_MODE) {
         console.log("\n  ⏳ Waiting 10s before next lottery...");
         await delay(10000);
@@ -756,6 +266,18 @@ async function main() {
   }
 
   await saveCacheStore(cacheStore);
+  await saveTokenState(TOKEN_STATE_FILE, tokenState);
+  if (snapshotsWritten > 0) await writeSnapshotIndex();
+
+  setAiStats(report, vision.stats());
+  report.retries = report.ai.retries;
+  report.failures = failedLotteries;
+  report.details = {
+    processed: allResults.length,
+    lotteries: sources.length,
+    not_captured: notCaptured.map((s) => s.id),
+    snapshots: snapshotsWritten,
+  };
 
   if (allResults.length === 0) {
     console.log("\n❌ No lotteries were processed successfully.");
@@ -782,6 +304,7 @@ async function main() {
         "utf8"
       );
       console.log("\n💾 Saved fallback: public/all_calculations.json");
+      report.status = "no_results";
       return;
     }
     throw new Error("no successful lottery results and no previous cache available");
@@ -804,6 +327,12 @@ async function main() {
   );
   console.log("\n💾 Saved: public/all_calculations.json");
 
+  // SQLite (ถ้าตั้ง SQLITE_PATH) — fallback ที่ fetched_at ซ้ำของเดิมจะไม่ถูกเพิ่มซ้ำ
+  const storedCalculations = await withStore((store) =>
+    allResults.filter((r) => store.insertCalculation(r, { source: "scrape" })).length
+  );
+  if (storedCalculations !== null) console.log(`🗃️ SQLite: +${storedCalculations} calculations`);
+
   // สรุป
   console.log("\n" + "=".repeat(50));
   console.log("📊 SUMMARY");
@@ -834,10 +363,22 @@ async function main() {
     }
   }
 
-  console.log(`\n✅ All done! Processed ${allResults.length}/${LOTTERY_SOURCES.length} lotteries`);
+  console.log(`\n✅ All done! Processed ${allResults.length}/${sources.length} lotteries`);
 }
 
-main().catch((err) => {
-  console.error("❌ Error:", err.message);
-  process.exit(1);
+const report = await startRunReport("scrape-calculation", {
+  watch: [PUBLIC_DIR, CACHE_FILE, TOKEN_STATE_FILE],
 });
+
+main(report)
+  .catch((err) => {
+    console.error("❌ Error:", err.message);
+    report.status = "failed";
+    report.error = err.message;
+  })
+  // worker ของ tesseract ค้าง event loop ไว้ ต้องปิดเองเมื่อจบรอบ
+  .finally(terminateOcr)
+  .finally(async () => {
+    await finishRunReport(report);
+    if (report.status === "failed") process.exit(1);
+  });
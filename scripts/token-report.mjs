@@ -0,0 +1,68 @@
+import path from "node:path";
+import { loadVisionConfig, tokenSources } from "./lib/vision-client.mjs";
+import { loadTokenState, summarizeTokenState, tokenFingerprint } from "./lib/token-pool.mjs";
+
+/**
+ * รายงานสุขภาพของ token pool จาก scripts/.vision-token-state.json (ไม่พิมพ์ token มีแค่ fingerprint)
+ *
+ * ใช้งาน: node scripts/token-report.mjs [--json]
+ *   token ที่ตั้งไว้ใน env ตอนรัน (GITHUB_TOKENS ฯลฯ) จะแสดงชื่อ env ที่มา เช่น GITHUB_TOKENS#2
+ *   TOKEN_STATE_FILE=... ใช้ไฟล์สถานะอื่น
+ */
+
+const SCRIPT_DIR = path.dirname(new URL(import.meta.url).pathname);
+const TOKEN_STATE_FILE = process.env.TOKEN_STATE_FILE || path.join(SCRIPT_DIR, ".vision-token-state.json");
+
+const STATUS_LABELS = {
+  ready: "✅ ready",
+  cooling_down: "🧊 cooling down",
+  unused: "⚪ unused",
+};
+
+async function main() {
+  const state = await loadTokenState(TOKEN_STATE_FILE);
+  const configs = await loadVisionConfig();
+  const configured = {};
+  for (const [name, config] of Object.entries(configs)) {
+    const tokens = tokenSources(config);
+    if (config.kind === "openai" && tokens.length > 0) {
+      configured[name] = tokens.map(({ source, token }) => ({ source, fingerprint: tokenFingerprint(token) }));
+    }
+  }
+
+  const rows = summarizeTokenState(state, { configured });
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  console.log(`🔑 Token pool health (${TOKEN_STATE_FILE})`);
+  if (rows.length === 0) {
+    console.log("   ยังไม่มีข้อมูล token");
+    return;
+  }
+
+  let currentProvider = null;
+  for (const row of rows) {
+    if (row.provider !== currentProvider) {
+      currentProvider = row.provider;
+      console.log(`\n📡 ${row.provider}`);
+    }
+    const status = row.status === "cooling_down"
+      ? `${STATUS_LABELS.cooling_down} until ${row.cooldown_until}`
+      : STATUS_LABELS[row.status];
+    console.log(`   ${row.source || "(not configured)"} [${row.fingerprint}] ${status} weight=${row.weight}`);
+    const { today, last_7_days: week } = row;
+    console.log(
+      `      today: ${today.calls} calls (${today.ok} ok, ${today.rate_limited}×429, ${today.errors} errors)` +
+        ` | 7 days: ${week.calls} calls, ${week.rate_limited}×429` +
+        ` | 429 streak: ${row.consecutive_429}, total 429: ${row.rate_limited_total}`
+    );
+    console.log(`      last success: ${row.last_success_at || "-"} | last 429: ${row.last_429_at || "-"}`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
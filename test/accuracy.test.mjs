@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isFreshPrediction,
+  pickPrediction,
+  scorePrediction,
+  summarizeAccuracy,
+  targetDraw,
+} from "../scripts/lib/accuracy.mjs";
+
+const prediction = pickPrediction({
+  top3: ["390", "978", "427"],
+  top3_recommended: ["978", "127", "478"],
+  bottom2_recommended: ["88", "89", "88"],
+  running_number: "8",
+  full_set_number: "7",
+});
+
+test("prediction keeps only the scored fields", () => {
+  assert.deepEqual(Object.keys(prediction), [
+    "top3_recommended",
+    "bottom2_recommended",
+    "running_number",
+    "full_set_number",
+  ]);
+});
+
+test("each field is scored with its hit rule and uniform-random baseline", () => {
+  assert.deepEqual(scorePrediction(prediction, { top3: "478", bottom2: "12" }), {
+    top3_recommended: { hit: true, baseline: 0.003 },
+    bottom2_recommended: { hit: false, baseline: 0.02 },
+    running_number: { hit: true, baseline: 0.4095 },
+    full_set_number: { hit: false, baseline: 0.19 },
+  });
+  const scores = scorePrediction(prediction, { top3: "123", bottom2: "70" });
+  assert.equal(scores.running_number.hit, false);
+  assert.equal(scores.full_set_number.hit, true);
+});
+
+test("fields without a prediction or a result are not scored", () => {
+  assert.deepEqual(Object.keys(scorePrediction(prediction, { top3: "478" })), ["top3_recommended"]);
+  assert.deepEqual(scorePrediction(pickPrediction({}), { top3: "478", bottom2: "12" }), {});
+});
+
+test("the target is the first draw after the calculation was fetched", () => {
+  // 08:00 เวลาไทย -> ฮานอยออกเย็นวันเดียวกัน, หวยรัฐบาลงวดถัดไป
+  assert.equal(targetDraw("hanoi_vip", "2026-10-19T01:00:00Z").date, "2026-10-19");
+  assert.equal(targetDraw("thai_government", "2026-10-19T01:00:00Z").date, "2026-11-01");
+});
+
+test("rolling hit rates are compared with the baseline", () => {
+  const records = [true, false, false, true].map((hit) => ({
+    scores: { bottom2_recommended: { hit, baseline: 0.02 } },
+  }));
+  const summary = summarizeAccuracy(records, [2, "all"]);
+  assert.deepEqual(summary.bottom2_recommended.all, {
+    scored: 4,
+    hits: 2,
+    hit_rate: 0.5,
+    baseline_rate: 0.02,
+    lift: 25,
+  });
+  assert.equal(summary.bottom2_recommended[2].hit_rate, 0.5);
+  assert.deepEqual(summary.top3_recommended.all, {
+    scored: 0,
+    hits: 0,
+    hit_rate: null,
+    baseline_rate: null,
+    lift: null,
+  });
+});
+
+test("copied or re-read calculations are not recorded as new predictions", () => {
+  const snapshot = (fetched_at, source, image_hash) => ({
+    fetched_at,
+    segments: { daily_calculation: { source, image_hash } },
+  });
+  const records = [{ fetched_at: "2026-10-18T01:00:00Z", image_hash: "h1" }];
+
+  assert.equal(isFreshPrediction(snapshot("2026-10-19T01:00:00Z", "previous", "h1"), records), false);
+  assert.equal(isFreshPrediction(snapshot("2026-10-19T01:00:00Z", "previous_scheduled", "h1"), records), false);
+  // อ่านรูปเดิมซ้ำ (FULL_REFRESH) ได้เลขชุดเดิม
+  assert.equal(isFreshPrediction(snapshot("2026-10-19T01:00:00Z", "ai", "h1"), records), false);
+  assert.equal(isFreshPrediction(snapshot("2026-10-19T01:00:00Z", "ai", "h2"), records), true);
+  assert.equal(isFreshPrediction(snapshot("2026-10-19T01:00:00Z", "cache", "h2"), records), true);
+  assert.equal(isFreshPrediction(snapshot("2026-10-19T01:00:00Z", "dom", null), records), true);
+
+  // ไฟล์ output ไม่มี hash: cache ไม่รู้ว่ารูปใหม่ไหม, ไม่มีที่มาเลยก็ไม่นับ
+  const output = (source) => ({ fetched_at: "2026-10-19T01:00:00Z", segment_sources: { daily_calculation: source } });
+  assert.equal(isFreshPrediction(output("ai"), records), true);
+  assert.equal(isFreshPrediction(output("cache"), records), false);
+  assert.equal(isFreshPrediction({ fetched_at: "2026-10-19T01:00:00Z" }, records), false);
+});
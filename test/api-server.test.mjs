@@ -0,0 +1,126 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createApiServer } from "../scripts/lib/api-server.mjs";
+
+const draw = (draw_date, full_number) => ({
+  lottery_type: "thai_government",
+  lottery_name: "หวยรัฐบาลไทย",
+  draw_date,
+  results: { full_number, top3: full_number.slice(3), bottom2: "35" },
+});
+
+let dir;
+let server;
+let baseUrl;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "api-"));
+  await fs.mkdir(path.join(dir, "history", "thai_government"), { recursive: true });
+  await fs.writeFile(
+    path.join(dir, "history", "thai_government", "2026.json"),
+    JSON.stringify({ draws: [draw("2026-09-16", "111111"), draw("2026-10-01", "222222")] })
+  );
+  await fs.writeFile(
+    path.join(dir, "lottery_results.json"),
+    JSON.stringify({ lotteries: [{ ...draw("2026-10-16", "847291"), stale: false }] })
+  );
+  await fs.writeFile(path.join(dir, "gov_thai.json"), JSON.stringify({ lottery_type: "thai_government", ok: true }));
+  await fs.mkdir(path.join(dir, "calculations", "thai_government"), { recursive: true });
+  await fs.writeFile(
+    path.join(dir, "calculations", "thai_government", "2026-10-15.json"),
+    JSON.stringify({ calc_date: "2026-10-15" })
+  );
+
+  server = createApiServer({ publicDir: dir, now: () => new Date("2026-10-20T00:00:00Z") });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const get = (route, headers = {}) => fetch(`${baseUrl}${route}`, { headers });
+
+test("/lotteries lists the registry with latest and next draw", async () => {
+  const res = await get("/lotteries");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("access-control-allow-origin"), "*");
+  const body = await res.json();
+  const thai = body.lotteries.find((l) => l.id === "thai_government");
+  assert.equal(thai.latest_draw_date, "2026-10-16");
+  assert.equal(thai.next_draw.date, "2026-11-01");
+});
+
+test("/results returns the latest entry or a dated draw from history", async () => {
+  assert.equal((await (await get("/results/thai_government")).json()).results.full_number, "847291");
+  assert.equal((await (await get("/results/thai_government?date=2026-09-16")).json()).results.full_number, "111111");
+
+  const missing = await get("/results/thai_government?date=2020-01-01");
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error.code, "draw_not_found");
+});
+
+test("/history filters by date range", async () => {
+  const body = await (await get("/history/thai_government?from=2026-09-20")).json();
+  assert.deepEqual(body.draws.map((d) => d.draw_date), ["2026-10-01"]);
+
+  const bad = await get("/history/thai_government?from=2026-10-01&to=2026-09-01");
+  assert.equal(bad.status, 400);
+  assert.equal((await bad.json()).error.code, "invalid_range");
+});
+
+test("/calculations serves the lottery's calculation file or a dated snapshot", async () => {
+  assert.deepEqual(await (await get("/calculations/thai_government")).json(), { lottery_type: "thai_government", ok: true });
+  assert.equal((await (await get("/calculations/hanoi_normal")).json()).error.code, "no_calculation");
+  assert.deepEqual(await (await get("/calculations/thai_government?date=2026-10-15")).json(), { calc_date: "2026-10-15" });
+  assert.equal((await get("/calculations/thai_government?date=2026-10-14")).status, 404);
+});
+
+test("/check matches a number against the latest or a dated draw", async () => {
+  const latest = await (await get("/check/thai_government/847291")).json();
+  assert.equal(latest.won, true);
+  assert.equal(latest.matches[0].category, "full_number");
+
+  const dated = await (await get("/check/thai_government/847291?date=2026-10-01")).json();
+  assert.equal(dated.won, false);
+
+  assert.equal((await get("/check/thai_government/12ab")).status, 400);
+});
+
+test("errors use the JSON envelope", async () => {
+  for (const [route, status, code] of [
+    ["/nope", 404, "not_found"],
+    ["/results/unknown", 404, "unknown_lottery"],
+    ["/results/thai_government?date=16-10-2026", 400, "invalid_date"],
+    ["/check/thai_government/1234", 400, "invalid_number"],
+    ["/results/%E0%A4%A", 400, "bad_request"],
+  ]) {
+    const res = await get(route);
+    assert.equal(res.status, status, route);
+    assert.equal((await res.json()).error.code, code, route);
+  }
+  const post = await fetch(`${baseUrl}/lotteries`, { method: "POST" });
+  assert.equal(post.status, 405);
+});
+
+test("ETag and Last-Modified answer conditional requests with 304", async () => {
+  const res = await get("/results/thai_government");
+  const etag = res.headers.get("etag");
+  const modified = res.headers.get("last-modified");
+  assert.ok(etag && modified);
+
+  assert.equal((await get("/results/thai_government", { "If-None-Match": etag })).status, 304);
+  assert.equal((await get("/results/thai_government", { "If-Modified-Since": modified })).status, 304);
+  assert.equal((await get("/results/thai_government", { "If-None-Match": '"other"' })).status, 200);
+});
+
+test("OPTIONS preflight returns CORS headers", async () => {
+  const res = await fetch(`${baseUrl}/lotteries`, { method: "OPTIONS" });
+  assert.equal(res.status, 204);
+  assert.match(res.headers.get("access-control-allow-methods"), /GET/);
+});
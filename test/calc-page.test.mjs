@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { JSDOM } from "jsdom";
+import {
+  PANEL_SEGMENTS,
+  extractCalculationData,
+  isCloudflareChallenge,
+  markCalculationPanels,
+} from "../scripts/lib/calc-page.mjs";
+
+const FIXTURES = path.join(import.meta.dirname, "fixtures");
+const MOCK_DIR = path.join(FIXTURES, "vision-mock");
+const load = async (segment) => JSON.parse(await fs.readFile(path.join(MOCK_DIR, `${segment}.json`), "utf8"));
+
+// ฟังก์ชันใน calc-page.mjs รันใน page.evaluate() จึงใช้ document / getComputedStyle แบบ global
+async function inPage(html, fn) {
+  const { window } = new JSDOM(html);
+  // jsdom ไม่มี innerText (ไม่ได้จัด layout) ใช้ textContent แทน
+  Object.defineProperty(window.HTMLElement.prototype, "innerText", {
+    get() {
+      return this.textContent;
+    },
+  });
+  globalThis.document = window.document;
+  globalThis.getComputedStyle = window.getComputedStyle.bind(window);
+  try {
+    return fn();
+  } finally {
+    delete globalThis.document;
+    delete globalThis.getComputedStyle;
+    window.close();
+  }
+}
+
+// fixture = โครงหน้า exphuay.com/calculate/* แบบย่อ (ไม่มี script/โฆษณา) ตัวเลขชุดเดียวกับ fixtures/vision-mock/
+test("saved calculation page: panels are found and all three segments are read from the DOM", async () => {
+  const html = await fs.readFile(path.join(FIXTURES, "exphuay-calculate.html"), "utf8");
+  const { found, dom, challenge } = await inPage(html, () => ({
+    challenge: isCloudflareChallenge(),
+    found: markCalculationPanels(),
+    dom: extractCalculationData(),
+  }));
+
+  assert.equal(challenge, false);
+  assert.deepEqual(found, PANEL_SEGMENTS);
+  assert.deepEqual(dom.errors, {});
+  // ช่องพื้นเขียว = เลขแนะนำ
+  assert.deepEqual(dom.daily_calculation, await load("calc"));
+  assert.deepEqual(dom.digit_frequency, await load("digit_frequency"));
+  assert.deepEqual(dom.statistics_30_draws, await load("statistics_30_draws"));
+});
+
+test("a segment that cannot be read is null with its reason, the others are still read", async () => {
+  const html = (await fs.readFile(path.join(FIXTURES, "exphuay-calculate.html"), "utf8")).replace(
+    /<tr><td>3<\/td>.*?<\/tr>/,
+    ""
+  );
+  const dom = await inPage(html, () => {
+    markCalculationPanels();
+    return extractCalculationData();
+  });
+  assert.equal(dom.digit_frequency, null);
+  assert.deepEqual(dom.errors, { digit_frequency: "digit_frequency: expected 10 rows, got 9" });
+  assert.deepEqual(dom.daily_calculation, await load("calc"));
+
+  const blocked = "<html><head><title>Just a moment...</title></head><body>Checking your browser</body></html>";
+  assert.equal(await inPage(blocked, isCloudflareChallenge), true);
+});
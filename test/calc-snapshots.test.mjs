@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buildSnapshot, loadSnapshots, writeSnapshot, writeSnapshotIndex } from "../scripts/lib/calc-snapshots.mjs";
+
+const output = (fetched_at, bottom2_recommended, segment_sources) => ({
+  lottery: "gsb",
+  lottery_name: "หวยออมสิน",
+  fetched_at,
+  daily_calculation: {
+    top3: ["390"],
+    top3_recommended: ["978"],
+    bottom2: ["49"],
+    bottom2_recommended,
+    running_number: "8",
+    full_set_number: "7",
+  },
+  digit_frequency: { data: [] },
+  statistics_30_draws: { bottom2: [], top3: [] },
+  segment_sources,
+});
+
+const cacheStore = {
+  "gsb:calc": { hash: "aaa", provider: "github", data: {} },
+  "gsb:digit_frequency": { hash: "bbb", data: {} },
+  "gsb:statistics_30_draws": { hash: "old", provider: "gemini", data: {} },
+};
+
+test("snapshot records source, provider and image hash per segment", () => {
+  const snapshot = buildSnapshot(
+    output("2026-10-19T01:00:00.000Z", ["88"], {
+      daily_calculation: "ai",
+      digit_frequency: "previous",
+      statistics_30_draws: "dom",
+    }),
+    cacheStore
+  );
+  assert.equal(snapshot.calc_date, "2026-10-19");
+  assert.deepEqual(snapshot.segments, {
+    daily_calculation: { source: "ai", provider: "github", image_hash: "aaa" },
+    digit_frequency: { source: "previous", provider: null, image_hash: "bbb" },
+    statistics_30_draws: { source: "dom", provider: "dom", image_hash: null },
+  });
+});
+
+test("snapshots are written per Bangkok date and summarised in the index", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "snapshots-"));
+  try {
+    const sources = { daily_calculation: "cache" };
+    // 23:30 UTC = วันถัดไปตามเวลาไทย
+    await writeSnapshot(buildSnapshot(output("2026-10-18T23:30:00.000Z", ["11"], sources), cacheStore), { dir });
+    await writeSnapshot(buildSnapshot(output("2026-10-18T01:00:00.000Z", ["22"], sources), cacheStore), { dir });
+    // รันซ้ำวันเดียวกัน เขียนทับ
+    await writeSnapshot(buildSnapshot(output("2026-10-19T02:00:00.000Z", ["33"], sources), cacheStore), { dir });
+
+    assert.deepEqual(
+      (await loadSnapshots("gsb", { dir })).map((s) => s.calc_date),
+      ["2026-10-18", "2026-10-19"]
+    );
+
+    const index = await writeSnapshotIndex({ dir });
+    assert.deepEqual(index.lotteries.gsb.snapshots, [
+      {
+        date: "2026-10-18",
+        top3_recommended: ["978"],
+        bottom2_recommended: ["22"],
+        running_number: "8",
+        full_set_number: "7",
+        source: "cache",
+      },
+      {
+        date: "2026-10-19",
+        top3_recommended: ["978"],
+        bottom2_recommended: ["33"],
+        running_number: "8",
+        full_set_number: "7",
+        source: "cache",
+      },
+    ]);
+    assert.equal(index.lotteries.gsb.latest_date, "2026-10-19");
+    assert.ok(JSON.parse(await fs.readFile(path.join(dir, "index.json"), "utf8")).lotteries.gsb);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { mergeReadings } from "../scripts/lib/consensus.mjs";
+
+const MOCK_DIR = path.join(import.meta.dirname, "fixtures", "vision-mock");
+const load = async (segment) => JSON.parse(await fs.readFile(path.join(MOCK_DIR, `${segment}.json`), "utf8"));
+
+test("readings that agree field by field need no review", async () => {
+  const calc = await load("calc");
+  const { data, consensus } = mergeReadings("calc", [
+    { label: "github", data: calc },
+    { label: "gemini", data: structuredClone(calc) },
+  ]);
+  assert.deepEqual(data, calc);
+  assert.deepEqual(consensus.providers, ["github", "gemini"]);
+  assert.equal(consensus.agreement, 1);
+  assert.deepEqual(consensus.conflicts, []);
+  assert.equal(consensus.needs_review, false);
+});
+
+test("a conflicting field keeps the first reading and is flagged for review", async () => {
+  const calc = await load("calc");
+  const { data, consensus } = mergeReadings("calc", [
+    { label: "github", data: calc },
+    { label: "gemini", data: { ...calc, running_number: "3" } },
+  ]);
+  assert.equal(data.running_number, calc.running_number);
+  assert.deepEqual(consensus.conflicts, [
+    { field: "running_number", values: { github: calc.running_number, gemini: "3" } },
+  ]);
+  assert.equal(consensus.needs_review, true);
+  assert.equal(consensus.agreement, Number(((consensus.compared_fields - 1) / consensus.compared_fields).toFixed(4)));
+
+  // ตัวเลขนับของ digit frequency เทียบทีละหลัก
+  const freq = await load("digit_frequency");
+  const misread = structuredClone(freq);
+  misread.data[3].total += 1;
+  const merged = mergeReadings("digit_frequency", [
+    { label: "a", data: freq },
+    { label: "b", data: misread },
+  ]);
+  assert.deepEqual(merged.data, freq);
+  assert.deepEqual(merged.consensus.conflicts.map((c) => c.field), [`data.${freq.data[3].digit}.total`]);
+});
+
+test("calc lists of different lengths are compared by member, not by position", async () => {
+  const calc = await load("calc");
+  const { data, consensus } = mergeReadings("calc", [
+    { label: "github", data: { ...calc, top3_recommended: ["978", "127"] } },
+    { label: "gemini", data: { ...calc, top3_recommended: ["978", "478", "127"] } },
+  ]);
+  assert.deepEqual(data.top3_recommended, ["978", "127"]);
+  assert.deepEqual(consensus.conflicts, [
+    { field: "top3_recommended{478}", values: { github: null, gemini: "478" } },
+  ]);
+
+  // เลขที่ซ้ำในรายการ (bottom2 มี 16 สองครั้ง) นับแยกกัน ลำดับเดิมไม่เปลี่ยน
+  const dropped = mergeReadings("calc", [
+    { label: "a", data: calc },
+    { label: "b", data: { ...calc, bottom2: calc.bottom2.slice(0, -1) } },
+  ]);
+  assert.deepEqual(dropped.data.bottom2, calc.bottom2);
+  assert.deepEqual(dropped.consensus.conflicts.map((c) => c.field), ["bottom2{16}#2"]);
+});
+
+test("30-draw tables are compared by number, so a dropped row is a single conflict", async () => {
+  const stat = await load("statistics_30_draws");
+  const [dropped, ...rest] = stat.bottom2;
+  const { data, consensus } = mergeReadings("statistics_30_draws", [
+    { label: "a", data: stat },
+    { label: "b", data: { ...stat, bottom2: rest } },
+  ]);
+  assert.deepEqual(consensus.conflicts, [
+    { field: `bottom2.${dropped.number}`, values: { a: dropped.count, b: null } },
+  ]);
+  assert.deepEqual(data.bottom2, stat.bottom2);
+  assert.equal(consensus.needs_review, true);
+});
+
+test("a single reading is passed through but still needs review", async () => {
+  const calc = await load("calc");
+  const { data, consensus } = mergeReadings("calc", [{ label: "ocr", data: calc }]);
+  assert.equal(data, calc);
+  assert.deepEqual(consensus, {
+    providers: ["ocr"],
+    agreement: null,
+    compared_fields: 0,
+    conflicts: [],
+    needs_review: true,
+    note: "only one reading succeeded, nothing to compare",
+  });
+  assert.throws(() => mergeReadings("calc", []), /no readings/);
+  assert.throws(() => mergeReadings("stat", [{ label: "ocr", data: calc }]), /Unknown segment/);
+});
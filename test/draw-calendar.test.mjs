@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bangkokDate,
+  dueLotteries,
+  latestScheduledDraw,
+  nextDraws,
+  scheduledDrawsBetween,
+} from "../scripts/lib/draw-calendar.mjs";
+
+test("Thai government: 1st/16th with the yearly shifted dates", () => {
+  const draws = scheduledDrawsBetween("thai_government", "2025-12-01", "2026-05-20");
+  assert.deepEqual(
+    draws.map((d) => d.date),
+    [
+      "2025-12-01",
+      "2025-12-16",
+      "2025-12-30",
+      "2026-01-17",
+      "2026-02-01",
+      "2026-02-16",
+      "2026-03-01",
+      "2026-03-16",
+      "2026-04-01",
+      "2026-04-16",
+      "2026-05-02",
+      "2026-05-16",
+    ]
+  );
+  assert.equal(draws.find((d) => d.date === "2025-12-30").moved_from, "2026-01-01");
+});
+
+test("weekly schedule and Bangkok time", () => {
+  // 2026-10-19 19:00 (ไทย) = วันจันทร์ มาเลย์ออก พ/ส/อา
+  const now = new Date("2026-10-19T12:00:00Z");
+  assert.deepEqual(
+    nextDraws("malaysia", now, 3).map((d) => d.scheduled_at),
+    ["2026-10-21T18:00:00+07:00", "2026-10-24T18:00:00+07:00", "2026-10-25T18:00:00+07:00"]
+  );
+  assert.equal(bangkokDate(new Date("2026-10-18T18:00:00Z")), "2026-10-19");
+});
+
+test("holiday skips", () => {
+  const dates = scheduledDrawsBetween("hanoi_normal", "2026-02-14", "2026-02-21").map((d) => d.date);
+  assert.deepEqual(dates, ["2026-02-14", "2026-02-15", "2026-02-20", "2026-02-21"]);
+});
+
+test("latest draw only counts once its time has passed", () => {
+  assert.equal(latestScheduledDraw("hanoi_vip", new Date("2026-10-18T12:00:00Z")).date, "2026-10-17");
+  assert.equal(latestScheduledDraw("hanoi_vip", new Date("2026-10-18T12:31:00Z")).date, "2026-10-18");
+});
+
+test("due lotteries skip draws already fetched and draws missed long ago", () => {
+  // 16 ต.ค. 2569 19:00 ไทย
+  const now = new Date("2026-10-16T12:00:00Z");
+  const due = dueLotteries(now, { thai_government: "2026-10-16", hanoi_vip: "2026-10-15" }).map((d) => d.lottery);
+  assert.ok(!due.includes("thai_government"));
+  assert.ok(!due.includes("hanoi_vip"));
+  assert.ok(due.includes("gsb"));
+  assert.ok(due.includes("hanoi_special"));
+  // หวยมาเลย์งวดล่าสุดคือวันพุธ เลย 36 ชั่วโมงแล้ว
+  assert.ok(!due.includes("malaysia"));
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { archiveDraws, loadHistory } from "../scripts/lib/history.mjs";
+
+const laoHd = (results, extra = {}) => ({
+  lottery_type: "lao_hd",
+  lottery_name: "หวยลาว HD",
+  draw_date: "2026-10-18",
+  results,
+  ...extra,
+});
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "history-"));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("new draws are added and changed results are recorded as corrections", () =>
+  withTempDir(async (historyDir) => {
+    assert.equal((await archiveDraws([laoHd({ top3: "945", bottom2: "45" })], { historyDir })).added, 1);
+    assert.equal((await archiveDraws([laoHd({ top3: "945", bottom2: null })], { historyDir })).unchanged, 1);
+    assert.equal((await archiveDraws([laoHd({ top3: "946" })], { historyDir })).corrected, 1);
+
+    const [draw] = await loadHistory("lao_hd", { historyDir });
+    assert.deepEqual(draw.results, { top3: "946", bottom2: "45" });
+    assert.deepEqual(draw.corrections[0].fields, ["top3"]);
+  })
+);
+
+test("a draw archived before it had a draw time is re-keyed instead of duplicated", () =>
+  withTempDir(async (historyDir) => {
+    await archiveDraws([laoHd({ top3: "945", bottom2: "45" })], { historyDir });
+    const summary = await archiveDraws([laoHd({ top3: "945", bottom2: "45" }, { draw_time: "13:45" })], {
+      historyDir,
+    });
+    assert.equal(summary.added, 0);
+
+    const draws = await loadHistory("lao_hd", { historyDir });
+    assert.equal(draws.length, 1);
+    assert.equal(draws[0].draw_time, "13:45");
+  })
+);
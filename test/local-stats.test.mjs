@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeLocalStats, diffLocalStats } from "../scripts/lib/local-stats.mjs";
+
+const draw = (draw_date, results) => ({ draw_date, results });
+const DRAWS = [
+  draw("2026-09-01", { full_number: "123456", top3: "456", bottom2: "12" }),
+  // ไม่มี top3: ใช้ 3 ตัวท้ายของ full_number
+  draw("2026-09-16", { full_number: "987654", bottom2: "65" }),
+  // ไม่มี bottom2 / ตัวเลขไม่ครบ: ไม่นับงวดนี้
+  draw("2026-10-01", { full_number: "111222", top3: "222" }),
+  draw("2026-10-02", { top3: "4x6", bottom2: "00" }),
+  draw("2026-10-16", { full_number: "000456", top3: "456", bottom2: "90" }),
+];
+
+test("draws without top3 fall back to the last three digits and incomplete draws are skipped", () => {
+  const stats = computeLocalStats(DRAWS, 30);
+  assert.deepEqual(stats.window, {
+    latest_n_draws: 30,
+    draws_used: 3,
+    from_draw_date: "2026-09-01",
+    to_draw_date: "2026-10-16",
+  });
+  assert.deepEqual(stats.statistics_30_draws.top3, [
+    { number: "456", count: 2 },
+    { number: "654", count: 1 },
+  ]);
+  assert.deepEqual(stats.statistics_30_draws.bottom2.map((e) => e.number), ["12", "65", "90"]);
+  assert.deepEqual(stats.digit_frequency.data[6], { digit: "6", top3_count: 3, bottom2_count: 1, total: 4 });
+  assert.equal(stats.digit_frequency.data.length, 10);
+});
+
+test("a numeric window keeps the latest usable draws and \"all\" keeps every one", () => {
+  const latest = computeLocalStats(DRAWS, 2);
+  assert.deepEqual(latest.window, {
+    latest_n_draws: 2,
+    draws_used: 2,
+    from_draw_date: "2026-09-16",
+    to_draw_date: "2026-10-16",
+  });
+
+  const all = computeLocalStats(DRAWS, "all");
+  assert.equal(all.window.latest_n_draws, 3);
+  assert.equal(all.window.draws_used, 3);
+
+  assert.deepEqual(computeLocalStats([], "all").window, {
+    latest_n_draws: 0,
+    draws_used: 0,
+    from_draw_date: null,
+    to_draw_date: null,
+  });
+});
+
+test("the diff lists every cell that differs, including numbers only exphuay has", () => {
+  const local = computeLocalStats(DRAWS, 30);
+  const same = {
+    digit_frequency: { data: local.digit_frequency.data.map((row) => ({ ...row, digit: Number(row.digit) })) },
+    statistics_30_draws: structuredClone(local.statistics_30_draws),
+  };
+  assert.deepEqual(diffLocalStats(local, same), {
+    digit_frequency: { matches: true, differences: [] },
+    statistics_30_draws: { matches: true, differences: [] },
+  });
+
+  const exphuay = structuredClone(same);
+  exphuay.digit_frequency.data[6].total = 5;
+  exphuay.statistics_30_draws.bottom2 = [...exphuay.statistics_30_draws.bottom2.slice(1), { number: "77", count: 1 }];
+  const diff = diffLocalStats(local, exphuay);
+  assert.deepEqual(diff.digit_frequency.differences, [{ digit: "6", field: "total", local: 4, exphuay: 5 }]);
+  assert.deepEqual(diff.statistics_30_draws.differences, [
+    { table: "bottom2", number: "12", local: 1, exphuay: 0 },
+    { table: "bottom2", number: "77", local: 0, exphuay: 1 },
+  ]);
+  assert.equal(diff.statistics_30_draws.matches, false);
+
+  // ไม่มีไฟล์ของ exphuay: ทุกช่องต่าง
+  assert.equal(diffLocalStats(local, null).digit_frequency.differences.length, 30);
+});
@@ -0,0 +1,148 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { diffResults } from "../scripts/lib/result-changes.mjs";
+import {
+  SIGNATURE_HEADER,
+  formatEventText,
+  getActiveSinks,
+  sendNotifications,
+  signPayload,
+} from "../scripts/lib/notify.mjs";
+
+const thai = (draw_date, results) => ({
+  lottery_type: "thai_government",
+  lottery_name: "หวยรัฐบาลไทย",
+  draw_date,
+  results,
+  stale: false,
+});
+const hanoi = (draw_date, draw_time, results, extra = {}) => ({
+  lottery_type: "hanoi_normal",
+  lottery_name: "ฮานอยปกติ",
+  draw_date,
+  draw_time,
+  results,
+  stale: false,
+  ...extra,
+});
+
+const previous = {
+  lotteries: [
+    thai("2026-10-01", { full_number: "123456", top3: "456", bottom2: "78" }),
+    hanoi("2026-10-15", "18:30", { top3: "111", bottom2: "22" }),
+  ],
+};
+
+test("new draws and corrections become events, unchanged and stale entries do not", () => {
+  const current = {
+    lotteries: [
+      thai("2026-10-16", { full_number: "847291", top3: "291", bottom2: "35" }),
+      hanoi("2026-10-15", "18:30", { top3: "111", bottom2: "23" }),
+    ],
+  };
+  const events = diffResults(previous, current, { detectedAt: "t" });
+  assert.deepEqual(
+    events.map((e) => [e.event, e.lottery_type, e.draw_date]),
+    [
+      ["new_draw", "thai_government", "2026-10-16"],
+      ["correction", "hanoi_normal", "2026-10-15"],
+    ]
+  );
+  assert.deepEqual(events[1].previous_results, { top3: "111", bottom2: "22" });
+
+  const stale = { lotteries: [hanoi("2026-10-16", "18:30", { top3: "999" }, { stale: true })] };
+  assert.deepEqual(diffResults(previous, stale), []);
+  assert.deepEqual(diffResults(previous, previous), []);
+  assert.deepEqual(diffResults(null, current), []);
+
+  // ไฟล์รอบก่อนยังไม่มี draw_time = งวดเดียวกัน
+  const untimed = { lotteries: [{ ...previous.lotteries[1], draw_time: undefined }] };
+  assert.deepEqual(diffResults(untimed, { lotteries: [previous.lotteries[1]] }), []);
+});
+
+test("the Thai government prize table appearing or disappearing is not a correction", () => {
+  const prizes = { first: { amount: 6000000, numbers: ["123456"] } };
+  const withPrizes = { lotteries: [thai("2026-10-01", { full_number: "123456", top3: "456", bottom2: "78", prizes })] };
+  assert.deepEqual(diffResults(previous, withPrizes), []);
+  assert.deepEqual(diffResults(withPrizes, { lotteries: [previous.lotteries[0]] }), []);
+});
+
+test("event text lists results and the old value of corrected fields", () => {
+  const [event] = diffResults(previous, {
+    lotteries: [hanoi("2026-10-15", "18:30", { top3: "111", bottom2: "23" })],
+  });
+  assert.equal(formatEventText(event), "✏️ แก้ไขผล ฮานอยปกติ งวด 2026-10-15 18:30\n3 ตัวบน: 111\n2 ตัวล่าง: 23 (เดิม 22)");
+});
+
+test("only configured sinks are active and unknown names are rejected", () => {
+  assert.deepEqual(getActiveSinks({}), ["stdout"]);
+  assert.deepEqual(getActiveSinks({ NOTIFY_SINKS: "slack,webhook", NOTIFY_WEBHOOK_URL: "http://x" }), ["webhook"]);
+  assert.throws(() => getActiveSinks({ NOTIFY_SINKS: "email" }), /email/);
+});
+
+let server;
+let baseUrl;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(req.url === "/fail" ? 500 : 200).end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("HTTP sinks deliver their payloads to a local stub", async () => {
+  received.length = 0;
+  const events = diffResults(previous, {
+    lotteries: [thai("2026-10-16", { full_number: "847291", top3: "291", bottom2: "35" })],
+  });
+  const env = {
+    NOTIFY_SINKS: "webhook,line,discord,slack",
+    NOTIFY_WEBHOOK_URL: `${baseUrl}/webhook`,
+    NOTIFY_WEBHOOK_SECRET: "s3cret",
+    LINE_CHANNEL_ACCESS_TOKEN: "line-token",
+    LINE_TO: "U123",
+    LINE_API_URL: `${baseUrl}/line`,
+    DISCORD_WEBHOOK_URL: `${baseUrl}/discord`,
+    SLACK_WEBHOOK_URL: `${baseUrl}/fail`,
+  };
+
+  const deliveries = await sendNotifications(events, { env });
+  assert.deepEqual(
+    deliveries.map((d) => [d.sink, d.ok]),
+    [
+      ["webhook", true],
+      ["line", true],
+      ["discord", true],
+      ["slack", false],
+    ]
+  );
+  assert.match(deliveries[3].error, /HTTP 500/);
+
+  const byPath = Object.fromEntries(received.map((r) => [r.url, r]));
+  const webhook = byPath["/webhook"];
+  assert.equal(webhook.headers[SIGNATURE_HEADER.toLowerCase()], signPayload(webhook.body, "s3cret"));
+  assert.deepEqual(JSON.parse(webhook.body).events, events);
+
+  const line = byPath["/line"];
+  assert.equal(line.headers.authorization, "Bearer line-token");
+  const linePayload = JSON.parse(line.body);
+  assert.equal(linePayload.to, "U123");
+  assert.match(linePayload.messages[0].text, /รางวัลที่ 1: 847291/);
+
+  assert.match(JSON.parse(byPath["/discord"].body).content, /หวยรัฐบาลไทย งวด 2026-10-16/);
+  assert.match(JSON.parse(byPath["/fail"].body).text, /2 ตัวล่าง: 35/);
+});
+
+test("no events means no deliveries", async () => {
+  assert.deepEqual(await sendNotifications([], { env: { NOTIFY_WEBHOOK_URL: `${baseUrl}/webhook` } }), []);
+});
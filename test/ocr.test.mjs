@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import zlib from "node:zlib";
+import { decodePng, encodePgm } from "../scripts/lib/png.mjs";
+import { readImageOCR } from "../scripts/lib/ocr.mjs";
+
+const FIXTURES = path.join(import.meta.dirname, "fixtures", "ocr");
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// PNG 8-bit แบบง่าย ใช้ filter เดียวทั้งรูป (0 none, 1 sub, 2 up, 3 average, 4 paeth)
+function encodePng(width, height, channels, pixels, filter = 0) {
+  const colorType = { 1: 0, 2: 4, 3: 2, 4: 6 }[channels];
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = filter;
+    for (let x = 0; x < stride; x++) {
+      const value = pixels[y * stride + x];
+      const a = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const b = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const c = x >= channels && y > 0 ? pixels[(y - 1) * stride + x - channels] : 0;
+      const p = a + b - c;
+      const [pa, pb, pc] = [Math.abs(p - a), Math.abs(p - b), Math.abs(p - c)];
+      const predictor = [0, a, b, (a + b) >> 1, pa <= pb && pa <= pc ? a : pb <= pc ? b : c][filter];
+      raw[y * (stride + 1) + 1 + x] = (value - predictor) & 0xff;
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, colorType, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+test("PNG rows decode the same with every filter type", () => {
+  const [width, height] = [5, 4];
+  const rgba = Uint8Array.from({ length: width * height * 4 }, (_, i) => (i * 37 + (i >> 3) * 11) % 256);
+  const expected = Uint8Array.from({ length: width * height * 3 }, (_, i) => rgba[Math.floor(i / 3) * 4 + (i % 3)]);
+  for (const filter of [0, 1, 2, 3, 4]) {
+    const image = decodePng(encodePng(width, height, 4, rgba, filter));
+    assert.equal(image.width, width);
+    assert.equal(image.height, height);
+    assert.deepEqual(image.rgb, expected, `filter ${filter}`);
+  }
+
+  // grayscale ขยายเป็น RGB
+  const gray = decodePng(encodePng(2, 1, 1, Uint8Array.from([10, 200]), 1));
+  assert.deepEqual([...gray.rgb], [10, 10, 10, 200, 200, 200]);
+});
+
+test("unsupported or non-PNG input is rejected", () => {
+  assert.throws(() => decodePng(Buffer.from("GIF89a....")), /Not a PNG/);
+  const png = encodePng(1, 1, 3, Uint8Array.from([1, 2, 3]));
+  png[8 + 8 + 8] = 16; // bit depth ใน IHDR
+  assert.throws(() => decodePng(png), /bitDepth=16/);
+  assert.deepEqual([...encodePgm(2, 1, Uint8Array.from([0, 255]))], [...Buffer.from("P5\n2 1\n255\n"), 0, 255]);
+});
+
+// รูปขาวล้วนที่มีพื้นเขียวรอบช่องแนะนำ + คำที่ tesseract เจอ (บันทึกไว้ใน fixtures/ocr/)
+async function loadLayout(name) {
+  const { width, height, green, words } = JSON.parse(await fs.readFile(path.join(FIXTURES, name), "utf8"));
+  const rgb = new Uint8Array(width * height * 3).fill(255);
+  for (const [x0, y0, x1, y1] of green) {
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) rgb.set([40, 160, 60], (y * width + x) * 3);
+    }
+  }
+  const png = encodePng(width, height, 3, rgb);
+  const layoutResult = {
+    blocks: [{ paragraphs: [{ lines: [{ words: words.map(({ text, ...bbox }) => ({ text, bbox })) }] }] }],
+  };
+  return { png, layoutResult };
+}
+
+function fakeWorkers(layoutResult, digitText) {
+  const reads = [];
+  return {
+    reads,
+    layout: { recognize: async () => ({ data: layoutResult }) },
+    digits: {
+      recognize: async (pgm) => {
+        reads.push(pgm);
+        return { data: { text: digitText } };
+      },
+    },
+  };
+}
+
+test("calculation layout: rows by position, recommended cells by green background", async () => {
+  const { png, layoutResult } = await loadLayout("calc-words.json");
+  const workers = fakeWorkers(layoutResult, "56\n");
+  assert.deepEqual(await readImageOCR("calc", png, { workers }), {
+    top3: ["390", "978", "427", "127", "478"],
+    top3_recommended: ["978", "478"],
+    bottom2: ["88", "89", "12", "34", "56", "78"],
+    bottom2_recommended: ["88", "89"],
+    running_number: "8",
+    full_set_number: "7",
+  });
+  // เฉพาะคำที่มีอักษรไทยปน ("5ฮ6") ถูกอ่านซ้ำด้วยโมเดลตัวเลข (3 ขนาด)
+  assert.equal(workers.reads.length, 3);
+});
+
+test("digit frequency rows are re-read until top3 + bottom2 = total", async () => {
+  const { png, layoutResult } = await loadLayout("digit-frequency-words.json");
+  const { data } = await readImageOCR("digit_frequency", png, { workers: fakeWorkers(layoutResult, "9") });
+  assert.equal(data.length, 10);
+  assert.deepEqual(data[0], { digit: "0", top3_count: 3, bottom2_count: 2, total: 5 });
+  // แถว 3 อ่านรวมเป็น 8 (ควรเป็น 9) อ่านซ้ำแล้วได้ชุดที่ลงตัว
+  assert.deepEqual(data[3], { digit: "3", top3_count: 5, bottom2_count: 4, total: 9 });
+  assert.ok(data.every((row) => row.top3_count + row.bottom2_count === row.total));
+});
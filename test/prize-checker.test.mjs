@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkNumber } from "../scripts/lib/prize-checker.mjs";
+
+const record = (lottery_type, results) => ({ lottery_type, draw_date: "2026-10-16", results });
+const categories = (matches) => matches.map((m) => m.category);
+
+test("a 3-digit ticket for BAAC/GSB matches both the full number and top3", () => {
+  const baac = record("baac", { full_number: "853", top3: "853", bottom2: "07" });
+  assert.deepEqual(categories(checkNumber(baac, "853")), ["full_number", "top3"]);
+  assert.deepEqual(categories(checkNumber(baac, "358", { tod: true })), ["top3_tod"]);
+  assert.deepEqual(checkNumber(baac, "358"), []);
+  assert.deepEqual(categories(checkNumber(baac, "07")), ["bottom2"]);
+});
+
+test("a full-length Lao ticket also gets top3/bottom2 at their position in the full number", () => {
+  const pattana = record("lao_pattana", { full_number: "502618", top3: "618", bottom2: "18" });
+  assert.deepEqual(categories(checkNumber(pattana, "502618")), ["full_number", "top3", "bottom2"]);
+  assert.deepEqual(categories(checkNumber(pattana, "999618")), ["top3", "bottom2"]);
+  assert.deepEqual(categories(checkNumber(pattana, "999816", { tod: true })), ["top3_tod"]);
+  assert.deepEqual(categories(checkNumber(pattana, "999918")), ["bottom2"]);
+
+  // สามัคคี 2 ตัวล่างอยู่ต้นเลข
+  const samakki = record("lao_samakki", { full_number: "29574", top3: "574", bottom2: "29" });
+  assert.deepEqual(categories(checkNumber(samakki, "29000")), ["bottom2"]);
+  assert.deepEqual(categories(checkNumber(samakki, "00574")), ["top3"]);
+});
+
+test("Thai government tickets keep their own prize rules", () => {
+  const thai = record("thai_government", { full_number: "847291", top3: "291", bottom2: "35" });
+  assert.deepEqual(categories(checkNumber(thai, "847291")), ["full_number"]);
+  assert.deepEqual(categories(checkNumber(thai, "847292")), ["nearby"]);
+  assert.deepEqual(categories(checkNumber(thai, "123435")), ["bottom2"]);
+  assert.deepEqual(categories(checkNumber(thai, "291")), ["top3"]);
+  assert.throws(() => checkNumber(thai, "1234"), /6\/3\/2/);
+  assert.throws(() => checkNumber(thai, "12a"), /ตัวเลข/);
+});
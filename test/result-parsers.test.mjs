@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { getLottery } from "../scripts/lib/lotteries.mjs";
+import { parseLottery, parseResultsPage } from "../scripts/lib/result-parsers.mjs";
+import { formatResults } from "../scripts/lib/results-format.mjs";
+
+// fixture = document.body.innerText ที่บันทึกจาก exphuay.com (ไม่ต้องใช้ network/browser)
+function readFixture(name) {
+  return fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+}
+
+async function formatFixture(name) {
+  return formatResults({ lotteries: parseResultsPage(await readFixture(name)) });
+}
+
+function byType(lotteries) {
+  return Object.fromEntries(lotteries.map((l) => [l.lottery_type, l]));
+}
+
+test("homepage: reads every lottery on the page", async () => {
+  const lotteries = await formatFixture("exphuay-home.txt");
+  assert.deepEqual(
+    lotteries.map((l) => l.lottery_type).sort(),
+    [
+      "baac",
+      "gsb",
+      "hanoi_normal",
+      "hanoi_special",
+      "hanoi_vip",
+      "lao_hd",
+      "lao_pattana",
+      "lao_star",
+      "malaysia",
+      "thai_government",
+    ]
+  );
+});
+
+test("homepage: card lotteries keep full_number, top3, bottom2 and the draw date", async () => {
+  const { thai_government, malaysia, baac } = byType(await formatFixture("exphuay-home.txt"));
+  assert.deepEqual(thai_government, {
+    lottery_type: "thai_government",
+    lottery_name: "หวยรัฐบาลไทย",
+    draw_date: "2026-10-16",
+    draw_date_thai: "16 ตุลาคม 2569",
+    results: { full_number: "847291", top3: "291", bottom2: "35" },
+  });
+  assert.deepEqual(malaysia.results, { full_number: "4072", top3: "072", bottom2: "40" });
+  // เลข 2 ตัวที่ขึ้นต้นด้วย 0 ต้องเป็น string ไม่หาย 0 นำหน้า
+  assert.equal(baac.results.bottom2, "07");
+});
+
+test("homepage: each Hanoi variant gets its own lottery_type and draw_time", async () => {
+  const { hanoi_special, hanoi_normal, hanoi_vip } = byType(await formatFixture("exphuay-home.txt"));
+  assert.deepEqual(
+    [hanoi_special, hanoi_normal, hanoi_vip].map((l) => [l.draw_date, l.draw_time, l.results.top3, l.results.bottom2]),
+    [
+      ["2026-10-18", "17:30", "582", "49"],
+      ["2026-10-18", "18:30", "107", "63"],
+      ["2026-10-18", "19:30", "914", "20"],
+    ]
+  );
+});
+
+test("abbreviated month names and 2-digit Buddhist-era years", async () => {
+  const { hanoi_vip, thai_government, gsb } = byType(await formatFixture("exphuay-home-abbreviated-dates.txt"));
+  assert.equal(hanoi_vip.draw_date, "2026-02-02");
+  assert.equal(thai_government.draw_date, "2026-01-01");
+  assert.equal(thai_government.results.full_number, "003917");
+  assert.equal(gsb.draw_date, "2025-12-16");
+});
+
+test("missing sections: partial cards are kept, empty cards are dropped", async () => {
+  const lotteries = byType(await formatFixture("exphuay-home-missing-sections.txt"));
+  assert.deepEqual(Object.keys(lotteries).sort(), ["malaysia", "thai_government"]);
+  // 2 ตัวล่างยังไม่ออก
+  assert.deepEqual(lotteries.thai_government.results, { full_number: "847291", top3: "291" });
+  // การ์ดไม่มีวันที่ -> draw_date null (ไม่เดาวันที่)
+  assert.equal(lotteries.malaysia.draw_date, null);
+});
+
+test("layout change: everything on one line still parses", async () => {
+  const { hanoi_normal, thai_government, baac } = byType(await formatFixture("exphuay-home-inline-layout.txt"));
+  assert.equal(hanoi_normal.draw_date, "2026-10-18");
+  assert.equal(hanoi_normal.results.top3, "107");
+  assert.deepEqual(thai_government.results, { full_number: "847291", top3: "291", bottom2: "35" });
+  assert.deepEqual(baac.results, { full_number: "853", top3: "853", bottom2: "07" });
+});
+
+test("Lao variants: VIP cards are not mistaken for the regular ones and carry draw times", async () => {
+  const lotteries = byType(await formatFixture("exphuay-home-lao.txt"));
+  assert.deepEqual(Object.keys(lotteries).sort(), ["lao_samakki", "lao_star", "lao_star_vip", "lao_vip"]);
+  assert.deepEqual(
+    [lotteries.lao_star_vip.results, lotteries.lao_star_vip.draw_time, lotteries.lao_star_vip.draw_date],
+    [{ full_number: "40817", top3: "817", bottom2: "40" }, "21:05", "2026-10-18"]
+  );
+  assert.equal(lotteries.lao_star.results.full_number, "116380");
+  // การ์ดไม่มีเวลา ใช้เวลาในตาราง
+  assert.equal(lotteries.lao_star.draw_time, "15:45");
+  assert.equal(lotteries.lao_vip.draw_time, "21:30");
+  assert.equal(lotteries.lao_samakki.results.full_number, "29574");
+});
+
+test("stock lotteries: each session is its own lottery with a session field", async () => {
+  const lotteries = byType(await formatFixture("exphuay-home-stock.txt"));
+  assert.deepEqual(
+    Object.keys(lotteries).filter((id) => id.startsWith("stock_")).sort(),
+    [
+      "stock_china_morning",
+      "stock_hangseng_morning",
+      "stock_korea_close",
+      "stock_nikkei_afternoon",
+      "stock_nikkei_morning",
+      "stock_taiwan_close",
+    ]
+  );
+  assert.deepEqual(lotteries.stock_nikkei_morning, {
+    lottery_type: "stock_nikkei_morning",
+    lottery_name: "หวยหุ้นนิเคอิ รอบเช้า",
+    draw_date: "2026-10-19",
+    draw_date_thai: "19 ต.ค. 69",
+    results: { top3: "418", bottom2: "62" },
+    draw_time: "09:30",
+    session: "morning",
+  });
+  assert.equal(lotteries.stock_nikkei_afternoon.draw_time, "13:00");
+  assert.deepEqual(lotteries.stock_taiwan_close.results, { top3: "664", bottom2: "17" });
+  assert.equal(lotteries.stock_taiwan_close.session, "close");
+  // ตารางหุ้นไม่ทำให้หวยอื่นหาย
+  assert.equal(lotteries.thai_government.results.full_number, "847291");
+});
+
+test("Cloudflare challenge page yields zero lotteries", async () => {
+  assert.deepEqual(parseResultsPage(await readFixture("exphuay-cloudflare.txt")), []);
+});
+
+test("parseLottery reads a single lottery from a per-draw page", async () => {
+  const raw = parseLottery(await readFixture("exphuay-home.txt"), getLottery("lao_star"));
+  assert.deepEqual(raw, {
+    lottery_type: "lao_star",
+    lottery_name: "หวยลาวสตาร์",
+    raw_date: "18 ตุลาคม 2569",
+    draw_time: "15:45",
+    full_number: "116380",
+    top3: "380",
+    bottom2: "80",
+  });
+});
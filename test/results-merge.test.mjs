@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeWithPrevious } from "../scripts/lib/results-merge.mjs";
+import { LOTTERIES } from "../scripts/lib/lotteries.mjs";
+
+const previous = {
+  fetched_at: "2026-10-17T09:00:00.000Z",
+  lotteries: [
+    { lottery_type: "thai_government", draw_date: "2026-10-01", results: { full_number: "111111" } },
+    {
+      lottery_type: "gsb",
+      draw_date: "2026-09-16",
+      results: { top3: "123" },
+      stale: true,
+      last_success_at: "2026-09-16T04:00:00.000Z",
+    },
+    { lottery_type: "hanoi", draw_date: "2026-10-16", results: { top3: "999" } },
+  ],
+};
+
+test("fresh lotteries replace previous ones, missing ones are kept as stale", () => {
+  const fresh = [{ lottery_type: "thai_government", draw_date: "2026-10-16", results: { full_number: "847291" } }];
+  const { lotteries, failures } = mergeWithPrevious(fresh, previous, {
+    fetchedAt: "2026-10-18T09:00:00.000Z",
+  });
+
+  assert.deepEqual(
+    lotteries.map((l) => [l.lottery_type, l.draw_date, l.stale, l.last_success_at]),
+    [
+      ["thai_government", "2026-10-16", false, "2026-10-18T09:00:00.000Z"],
+      // stale ต่อเนื่อง -> คง last_success_at เดิม ไม่ใช่เวลารอบนี้
+      ["gsb", "2026-09-16", true, "2026-09-16T04:00:00.000Z"],
+    ]
+  );
+  assert.ok(failures.some((f) => f.lottery === "gsb" && f.reason === "not found on page"));
+  assert.ok(!failures.some((f) => f.lottery === "thai_government"));
+});
+
+test("previous entries without last_success_at fall back to the file's fetched_at", () => {
+  const { lotteries } = mergeWithPrevious([], previous, { fetchedAt: "2026-10-18T09:00:00.000Z" });
+  const thai = lotteries.find((l) => l.lottery_type === "thai_government");
+  assert.equal(thai.stale, true);
+  assert.equal(thai.last_success_at, "2026-10-17T09:00:00.000Z");
+});
+
+test("ids no longer in the registry are dropped and every registry miss is a failure", () => {
+  const { lotteries, failures } = mergeWithPrevious([], previous, {
+    fetchedAt: "2026-10-18T09:00:00.000Z",
+    failureReason: "blocked by Cloudflare",
+  });
+  assert.ok(!lotteries.some((l) => l.lottery_type === "hanoi"));
+  assert.equal(failures.length, LOTTERIES.length);
+  assert.ok(failures.every((f) => f.reason === "blocked by Cloudflare"));
+});
+
+test("no previous file", () => {
+  const fresh = [{ lottery_type: "baac", draw_date: "2026-10-16", results: { top3: "853" } }];
+  const { lotteries, failures } = mergeWithPrevious(fresh, null, { fetchedAt: "2026-10-18T09:00:00.000Z" });
+  assert.deepEqual(lotteries.map((l) => l.lottery_type), ["baac"]);
+  assert.equal(failures.length, LOTTERIES.length - 1);
+});
+
+test("only expected lotteries count as failures, others are still kept as stale", () => {
+  const { lotteries, failures } = mergeWithPrevious([], previous, {
+    fetchedAt: "2026-10-18T09:00:00.000Z",
+    expected: ["gsb"],
+  });
+  assert.deepEqual(failures, [{ lottery: "gsb", reason: "not found on page" }]);
+  assert.deepEqual(lotteries.map((l) => [l.lottery_type, l.stale]), [
+    ["thai_government", true],
+    ["gsb", true],
+  ]);
+});
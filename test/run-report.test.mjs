@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  addSegmentSources,
+  finishRunReport,
+  reportToPrometheus,
+  setAiStats,
+  startRunReport,
+} from "../scripts/lib/run-report.mjs";
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "runs-"));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const rel = (file) => path.relative(process.cwd(), file);
+
+test("a finished run lists changed outputs and is kept per script in latest.json", () =>
+  withTempDir(async (dir) => {
+    const publicDir = path.join(dir, "public");
+    const runsDir = path.join(publicDir, "runs");
+    await fs.mkdir(publicDir);
+    await fs.writeFile(path.join(publicDir, "same.json"), "{}");
+    await fs.writeFile(path.join(publicDir, "changed.json"), "{}");
+
+    const report = await startRunReport("scrape-calculation", {
+      watch: [publicDir],
+      dir: runsDir,
+      now: new Date("2026-10-19T01:00:00Z"),
+    });
+    await fs.writeFile(path.join(publicDir, "changed.json"), '{"a":1}');
+    await fs.writeFile(path.join(publicDir, "new.json"), "{}");
+    addSegmentSources(report, "gsb", { daily_calculation: "cache", digit_frequency: "ai", statistics_30_draws: "cache" });
+    addSegmentSources(report, "baac", { daily_calculation: "previous_scheduled", digit_frequency: null });
+    await finishRunReport(report, { dir: runsDir, now: new Date("2026-10-19T01:02:30Z") });
+
+    assert.equal(report.duration_ms, 150000);
+    assert.deepEqual(report.changed_files, [rel(path.join(publicDir, "changed.json")), rel(path.join(publicDir, "new.json"))]);
+    assert.equal(report.cache_hits, 2);
+    assert.deepEqual(report.segment_sources, { cache: 2, ai: 1, previous_scheduled: 1 });
+
+    // อีก script เขียนทีหลัง ไม่ทับรายงานของ scrape-calculation
+    const other = await startRunReport("exphuay_all_results", { watch: [], dir: runsDir });
+    other.status = "skipped";
+    await finishRunReport(other, { dir: runsDir });
+
+    const latest = JSON.parse(await fs.readFile(path.join(runsDir, "latest.json"), "utf8"));
+    assert.deepEqual(Object.keys(latest.runs).sort(), ["exphuay_all_results", "scrape-calculation"]);
+    assert.equal(latest.runs["scrape-calculation"].segments.gsb.digit_frequency, "ai");
+    assert.equal(latest.runs.exphuay_all_results.status, "skipped");
+  }));
+
+test("the rolling log keeps only the newest runs", () =>
+  withTempDir(async (dir) => {
+    for (let i = 0; i < 4; i++) {
+      const report = await startRunReport("exphuay_all_results", { watch: [], dir });
+      report.retries = i;
+      await finishRunReport(report, { dir, keep: 3 });
+    }
+    const lines = (await fs.readFile(path.join(dir, "log.jsonl"), "utf8")).trim().split("\n");
+    assert.deepEqual(lines.map((l) => JSON.parse(l).retries), [1, 2, 3]);
+  }));
+
+test("AI stats per provider are summed and exported as Prometheus gauges", () =>
+  withTempDir(async (dir) => {
+    const report = await startRunReport("scrape-calculation", { watch: [], dir, now: new Date("2026-10-19T01:00:00Z") });
+    setAiStats(report, {
+      github: { calls: 5, ok: 3, failed: 2, retries: 4, rate_limited: 3, server_errors: 1 },
+      ocr: { calls: 2, ok: 2, failed: 0, retries: 0, rate_limited: 0, server_errors: 0 },
+    });
+    assert.deepEqual(
+      { calls: report.ai.calls, retries: report.ai.retries, rate_limited: report.ai.rate_limited, failed: report.ai.failed },
+      { calls: 7, retries: 4, rate_limited: 3, failed: 2 }
+    );
+    addSegmentSources(report, "gsb", { daily_calculation: "ai" });
+    report.status = "failed";
+
+    const metricsDir = path.join(dir, "metrics");
+    await finishRunReport(report, { dir, metricsDir, now: new Date("2026-10-19T01:00:10Z") });
+    const prom = await fs.readFile(path.join(metricsDir, "exp_lotto_scrape-calculation.prom"), "utf8");
+    assert.equal(prom, reportToPrometheus(report));
+    assert.match(prom, /^# TYPE exp_lotto_run_success gauge$/m);
+    assert.match(prom, /^exp_lotto_run_success\{script="scrape-calculation"\} 0$/m);
+    assert.match(prom, /^exp_lotto_run_duration_seconds\{script="scrape-calculation"\} 10$/m);
+    assert.match(prom, /^exp_lotto_segments\{script="scrape-calculation",source="ai"\} 1$/m);
+    assert.match(prom, /^exp_lotto_ai_rate_limited\{script="scrape-calculation",provider="github"\} 3$/m);
+    assert.deepEqual(await fs.readdir(metricsDir), ["exp_lotto_scrape-calculation.prom"]);
+  }));
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { buildSchedule, scheduleToICS, writeScheduleFiles } from "../scripts/lib/schedule-output.mjs";
+import { LOTTERIES } from "../scripts/lib/lotteries.mjs";
+
+// 20 ธ.ค. 2026 12:00 เวลาไทย
+const now = new Date("2026-12-20T05:00:00Z");
+
+test("every scheduled lottery gets the next N draws", () => {
+  const schedule = buildSchedule(now, 3);
+  assert.deepEqual(Object.keys(schedule.lotteries), LOTTERIES.filter((l) => l.schedule).map((l) => l.id));
+  for (const lottery of Object.values(schedule.lotteries)) {
+    assert.equal(lottery.draws.length, 3);
+    assert.ok(lottery.draws.every((d) => new Date(d.scheduled_at) > now));
+  }
+});
+
+test("Thai government draws follow the 1st/16th rule with shifted dates", () => {
+  const { draws } = buildSchedule(now, 4).lotteries.thai_government;
+  assert.deepEqual(
+    draws.map((d) => [d.date, d.moved_from]),
+    [
+      ["2026-12-30", "2027-01-01"],
+      ["2027-01-17", "2027-01-16"],
+      ["2027-02-01", undefined],
+      ["2027-02-16", undefined],
+    ]
+  );
+  assert.equal(draws[0].scheduled_at, "2026-12-30T16:00:00+07:00");
+});
+
+test("stock lotteries carry their session and skip non-trading days", () => {
+  // 20 ธ.ค. 2026 เป็นวันอาทิตย์
+  const { session, draws } = buildSchedule(now, 2).lotteries.stock_nikkei_afternoon;
+  assert.equal(session, "afternoon");
+  assert.deepEqual(draws.map((d) => d.scheduled_at), ["2026-12-21T13:00:00+07:00", "2026-12-22T13:00:00+07:00"]);
+  // ดาวโจนส์ออกเช้ามืดวันอังคาร-เสาร์
+  assert.equal(buildSchedule(now, 1).lotteries.stock_dowjones_close.draws[0].scheduled_at, "2026-12-22T04:00:00+07:00");
+
+  // วันหยุดตลาด: ฮั่งเส็งปิดวันคริสต์มาสและวันจันทร์ถัดไป, ดาวโจนส์ไม่มีผลเช้าวันเสาร์หลังคริสต์มาส
+  const christmas = new Date("2026-12-24T12:00:00Z");
+  assert.deepEqual(
+    buildSchedule(christmas, 2).lotteries.stock_hangseng_morning.draws.map((d) => d.date),
+    ["2026-12-29", "2026-12-30"]
+  );
+  assert.deepEqual(
+    buildSchedule(christmas, 2).lotteries.stock_dowjones_close.draws.map((d) => d.date),
+    ["2026-12-25", "2026-12-29"]
+  );
+});
+
+test("iCalendar feed has one UTC event per draw with CRLF lines of at most 75 octets", () => {
+  const schedule = buildSchedule(now, 2);
+  const ics = scheduleToICS(schedule, now.toISOString());
+  const lines = ics.split("\r\n");
+
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics));
+  assert.ok(lines.every((l) => Buffer.byteLength(l) <= 75));
+  assert.equal(lines.filter((l) => l === "BEGIN:VEVENT").length, Object.keys(schedule.lotteries).length * 2);
+  assert.ok(lines.includes("UID:thai_government-2026-12-30@exp-lotto"));
+  assert.ok(lines.includes("DTSTART:20261230T090000Z"));
+});
+
+test("files are rewritten only when the draw list changes", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "schedule-"));
+  try {
+    assert.equal(await writeScheduleFiles({ now, count: 2, dir }), true);
+    const written = JSON.parse(await fs.readFile(path.join(dir, "schedule.json"), "utf8"));
+    assert.equal(written.generated_at, now.toISOString());
+
+    // หนึ่งนาทีต่อมา งวดยังเหมือนเดิม
+    assert.equal(await writeScheduleFiles({ now: new Date(now.getTime() + 60_000), count: 2, dir }), false);
+    // ผ่านไปหนึ่งวัน หวยรายวันขยับงวด
+    assert.equal(await writeScheduleFiles({ now: new Date(now.getTime() + 86_400_000), count: 2, dir }), true);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { openStore, withStore } from "../scripts/lib/sqlite-store.mjs";
+
+// sql.js เป็น optional dependency — CI ที่ยังไม่ได้ npm install จะข้าม test กลุ่มนี้
+const skip = (await import("sql.js").then(() => false, () => true)) && "sql.js is not installed";
+
+const vip = (draw_date, results) => ({
+  lottery_type: "hanoi_vip",
+  lottery_name: "ฮานอย VIP",
+  draw_date,
+  draw_time: "19:30",
+  results,
+});
+
+async function withTempDb(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sqlite-"));
+  try {
+    await fn(path.join(dir, "nested", "lotto.sqlite"));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("draws are added, corrected without erasing fields, and survive save/reopen", { skip }, () =>
+  withTempDb(async (file) => {
+    const store = await openStore(file);
+    assert.deepEqual(
+      store.upsertDraws([
+        vip("2026-01-05", { top3: "123", bottom2: "47" }),
+        vip("2026-02-05", { top3: "456", bottom2: "47" }),
+        vip("2025-12-05", { top3: "789", bottom2: "47" }),
+        { lottery_type: "hanoi_vip", results: {} },
+      ]),
+      { added: 3, corrected: 0, unchanged: 0, skipped: 1 }
+    );
+    assert.equal(store.upsertDraw(vip("2026-01-05", { top3: "123", bottom2: null })), "unchanged");
+    assert.equal(store.upsertDraw(vip("2026-02-05", { top3: "457" })), "corrected");
+    await store.save();
+    store.close();
+
+    const reopened = await openStore(file);
+    const [{ values }] = reopened.db.exec(
+      "SELECT COUNT(*) FROM draws WHERE lottery_type = 'hanoi_vip' AND bottom2 = '47' AND draw_date >= '2026-01-01'"
+    );
+    assert.equal(values[0][0], 2);
+    const [{ values: row }] = reopened.db.exec("SELECT top3, bottom2 FROM draws WHERE draw_date = '2026-02-05'");
+    assert.deepEqual(row[0], ["457", "47"]);
+    reopened.close();
+  })
+);
+
+test("a row imported before the lottery had a draw time is re-keyed", { skip }, () =>
+  withTempDb(async (file) => {
+    const store = await openStore(file);
+    store.upsertDraw({ ...vip("2026-01-05", { top3: "123" }), draw_time: undefined });
+    assert.equal(store.upsertDraw(vip("2026-01-05", { top3: "123" })), "unchanged");
+    const [{ values }] = store.db.exec("SELECT draw_time FROM draws");
+    assert.deepEqual(values, [["19:30"]]);
+    store.close();
+  })
+);
+
+test("prize tables are stored one row per number", { skip }, () =>
+  withTempDb(async (file) => {
+    const store = await openStore(file);
+    store.upsertDraw({
+      lottery_type: "thai_government",
+      draw_date: "2026-10-16",
+      results: {
+        full_number: "847291",
+        prizes: {
+          first: { amount: 6000000, numbers: ["847291"] },
+          front3: { amount: 4000, numbers: ["915", "402"] },
+        },
+      },
+    });
+    const [{ values }] = store.db.exec("SELECT tier, number, amount FROM prizes ORDER BY tier, number");
+    assert.deepEqual(values, [
+      ["first", "847291", 6000000],
+      ["front3", "402", 4000],
+      ["front3", "915", 4000],
+    ]);
+    store.close();
+  })
+);
+
+test("calculations and digit frequencies are stored once per fetched_at", { skip }, () =>
+  withTempDb(async (file) => {
+    const store = await openStore(file);
+    const output = {
+      lottery: "gsb",
+      fetched_at: "2026-10-19T01:00:00.000Z",
+      digit_frequency: { data: [{ digit: "0", top3_count: 9, bottom2_count: 5, total: 14 }] },
+    };
+    assert.equal(store.insertCalculation(output), true);
+    assert.equal(store.insertCalculation(output), false);
+    const [{ values }] = store.db.exec("SELECT calc_date, (SELECT COUNT(*) FROM digit_frequencies) FROM calculations");
+    assert.deepEqual(values, [["2026-10-19", 1]]);
+    store.close();
+  })
+);
+
+test("withStore does nothing when no database path is configured", async () => {
+  let called = false;
+  assert.equal(await withStore(() => (called = true), { file: "" }), null);
+  assert.equal(called, false);
+});
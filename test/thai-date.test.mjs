@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseThaiDateToISO } from "../scripts/lib/results-format.mjs";
+
+test("full month names with Buddhist-era years", () => {
+  assert.equal(parseThaiDateToISO("16 ตุลาคม 2569"), "2026-10-16");
+  assert.equal(parseThaiDateToISO("1 มกราคม 2568"), "2025-01-01");
+  assert.equal(parseThaiDateToISO("งวดวันที่ 30 ธันวาคม 2567"), "2024-12-30");
+});
+
+test("Gregorian years are kept as is", () => {
+  assert.equal(parseThaiDateToISO("5 มีนาคม 2026"), "2026-03-05");
+});
+
+test("abbreviated month names", () => {
+  assert.equal(parseThaiDateToISO("1 ม.ค. 2569"), "2026-01-01");
+  assert.equal(parseThaiDateToISO("17 ก.พ. 2569"), "2026-02-17");
+  assert.equal(parseThaiDateToISO("2 มี.ค. 2569"), "2026-03-02");
+  assert.equal(parseThaiDateToISO("16 ธ.ค.2568"), "2025-12-16");
+  assert.equal(parseThaiDateToISO("16 ตค 2569"), "2026-10-16");
+});
+
+test("2-digit Buddhist-era years", () => {
+  assert.equal(parseThaiDateToISO("1 ม.ค. 69"), "2026-01-01");
+  assert.equal(parseThaiDateToISO("16 ต.ค. 68"), "2025-10-16");
+});
+
+test("unknown months, impossible dates and empty input return null", () => {
+  assert.equal(parseThaiDateToISO("16 ตุลา 2569"), null);
+  assert.equal(parseThaiDateToISO("31 ก.พ. 2569"), null);
+  assert.equal(parseThaiDateToISO("รอผล"), null);
+  assert.equal(parseThaiDateToISO(""), null);
+  assert.equal(parseThaiDateToISO(null), null);
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import {
+  THAI_GOVERNMENT_PRIZE_TIERS,
+  parseThaiGovernmentPrizes,
+  validateThaiGovernmentPrizes,
+} from "../scripts/lib/thai-government-prizes.mjs";
+
+const detailText = await fs.readFile(new URL("./fixtures/thai-government-detail.txt", import.meta.url), "utf8");
+const results = { full_number: "847291", top3: "291", bottom2: "35" };
+
+test("detail page: every tier has the official count and amount", () => {
+  const prizes = parseThaiGovernmentPrizes(detailText);
+  for (const spec of THAI_GOVERNMENT_PRIZE_TIERS) {
+    assert.equal(prizes[spec.tier].numbers.length, spec.count, spec.tier);
+    assert.equal(prizes[spec.tier].amount, spec.amount, spec.tier);
+  }
+  assert.deepEqual(prizes.first.numbers, ["847291"]);
+  assert.deepEqual(prizes.nearby_first.numbers, ["847290", "847292"]);
+  assert.deepEqual(prizes.front3.numbers, ["915", "402"]);
+  assert.deepEqual(prizes.back3.numbers, ["378", "066"]);
+  assert.deepEqual(prizes.back2.numbers, ["35"]);
+  assert.deepEqual(validateThaiGovernmentPrizes(prizes, results), []);
+});
+
+test("prize amounts in the text are not read as numbers", () => {
+  const prizes = parseThaiGovernmentPrizes(detailText);
+  assert.ok(!prizes.front3.numbers.includes("000"));
+  assert.ok(!prizes.back3.numbers.includes("000"));
+});
+
+test("missing tier or wrong count fails validation", () => {
+  const truncated = detailText.slice(0, detailText.indexOf("รางวัลที่ 5"));
+  const errors = validateThaiGovernmentPrizes(parseThaiGovernmentPrizes(truncated), results);
+  assert.deepEqual(errors, ["fifth: missing"]);
+
+  const prizes = parseThaiGovernmentPrizes(detailText);
+  prizes.fourth.numbers.pop();
+  assert.deepEqual(validateThaiGovernmentPrizes(prizes, results), ["fourth: expected 50 numbers, got 49"]);
+});
+
+test("first prize must match the homepage full_number", () => {
+  const errors = validateThaiGovernmentPrizes(parseThaiGovernmentPrizes(detailText), {
+    ...results,
+    full_number: "111111",
+  });
+  assert.deepEqual(errors, ["first: 847291 does not match full_number 111111"]);
+});
+
+test("page without prize headings returns null", () => {
+  assert.equal(parseThaiGovernmentPrizes("Just a moment..."), null);
+  assert.deepEqual(validateThaiGovernmentPrizes(null), ["prizes: missing"]);
+});
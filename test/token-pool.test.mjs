@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import {
+  createTokenPool,
+  emptyTokenState,
+  loadTokenState,
+  saveTokenState,
+  summarizeTokenState,
+  tokenFingerprint,
+} from "../scripts/lib/token-pool.mjs";
+import { bangkokDate } from "../scripts/lib/draw-calendar.mjs";
+
+const HOUR = 3600 * 1000;
+
+test("a rate-limited token stays cooled down in the next run and secrets are never stored", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "tokens-"));
+  try {
+    const file = path.join(dir, ".vision-token-state.json");
+    const state = emptyTokenState();
+    const pool = createTokenPool(["tok-a", "tok-b"], { state, provider: "github", random: () => 0 });
+    assert.equal(pool.pick().token, "tok-a");
+    pool.markRateLimited("tok-a", HOUR);
+    pool.markSuccess("tok-b");
+    await saveTokenState(file, state);
+
+    const raw = await fs.readFile(file, "utf8");
+    assert.ok(!raw.includes("tok-a") && !raw.includes("tok-b"));
+
+    // รอบถัดไป (process ใหม่) ยังไม่ใช้ tok-a
+    const nextRun = createTokenPool(["tok-a", "tok-b"], { state: await loadTokenState(file), provider: "github", random: () => 0 });
+    assert.deepEqual(nextRun.pick(), { token: "tok-b", waitMs: 0 });
+
+    const entry = JSON.parse(raw).providers.github[tokenFingerprint("tok-a")];
+    assert.equal(entry.consecutive_429, 1);
+    assert.deepEqual(entry.daily[bangkokDate()], { calls: 1, ok: 0, rate_limited: 1, errors: 0 });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("selection is weighted by recent 429s and today's usage", () => {
+  const state = emptyTokenState();
+  const pool = createTokenPool(["busy", "flaky", "fresh"], { state, provider: "github", dailyLimit: 10 });
+  for (let i = 0; i < 10; i++) pool.markSuccess("busy");
+  pool.markRateLimited("flaky", 0);
+  pool.markRateLimited("flaky", 0);
+
+  // น้ำหนัก busy 0.5 (ใช้ครบโควตาวันนี้), flaky 1/6 (429 สองครั้ง), fresh 1 = ช่วงสุ่ม 30% / 10% / 60%
+  const picks = { busy: 0, flaky: 0, fresh: 0 };
+  for (const roll of [0, 0.25, 0.35, 0.5, 0.75, 0.99]) {
+    const rolled = createTokenPool(["busy", "flaky", "fresh"], { state, provider: "github", dailyLimit: 10, random: () => roll });
+    picks[rolled.pick().token]++;
+  }
+  assert.deepEqual(picks, { busy: 2, flaky: 1, fresh: 3 });
+
+  // ทุกตัวติด cooldown: คืนตัวที่รอน้อยสุด
+  const cold = createTokenPool(["a", "b"], { state: emptyTokenState(), provider: "x" });
+  cold.markRateLimited("a", 2 * HOUR);
+  cold.markRateLimited("b", HOUR);
+  const { token, waitMs } = cold.pick();
+  assert.equal(token, "b");
+  assert.ok(waitMs > HOUR - 60000 && waitMs <= HOUR);
+});
+
+test("the health summary labels tokens by env source and flags unused or removed ones", () => {
+  const now = Date.parse("2026-10-19T02:00:00Z");
+  const state = {
+    version: 1,
+    providers: {
+      github: {
+        [tokenFingerprint("tok-a")]: {
+          cooldown_until: "2026-10-19T03:00:00.000Z",
+          consecutive_429: 3,
+          rate_limited_total: 7,
+          last_success_at: "2026-10-18T01:00:00.000Z",
+          last_429_at: "2026-10-19T01:59:00.000Z",
+          last_error_at: null,
+          daily: {
+            "2026-10-18": { calls: 5, ok: 5, rate_limited: 0, errors: 0 },
+            "2026-10-19": { calls: 3, ok: 0, rate_limited: 3, errors: 0 },
+          },
+        },
+        abcdef123456: { consecutive_429: 0, rate_limited_total: 0, daily: {} },
+      },
+    },
+  };
+  const configured = {
+    github: [
+      { source: "GITHUB_TOKENS#1", fingerprint: tokenFingerprint("tok-a") },
+      { source: "GITHUB_TOKENS#2", fingerprint: tokenFingerprint("tok-b") },
+    ],
+  };
+
+  const rows = summarizeTokenState(state, { configured, now });
+  assert.deepEqual(
+    rows.map((r) => [r.source, r.status]),
+    [
+      ["GITHUB_TOKENS#1", "cooling_down"],
+      ["GITHUB_TOKENS#2", "unused"],
+      [null, "ready"],
+    ]
+  );
+  assert.deepEqual(rows[0].today, { calls: 3, ok: 0, rate_limited: 3, errors: 0 });
+  assert.equal(rows[0].last_7_days.calls, 8);
+  assert.ok(!JSON.stringify(rows).includes("tok-"));
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { validateSegment } from "../scripts/lib/validate-calculation.mjs";
+
+const MOCK_DIR = path.join(import.meta.dirname, "fixtures", "vision-mock");
+const load = async (segment) => JSON.parse(await fs.readFile(path.join(MOCK_DIR, `${segment}.json`), "utf8"));
+
+test("recorded readings of all three segments pass", async () => {
+  for (const segment of ["calc", "digit_frequency", "statistics_30_draws"]) {
+    assert.deepEqual(validateSegment(segment, await load(segment)), [], segment);
+  }
+});
+
+test("calc: recommended numbers must come from the listed numbers", async () => {
+  const calc = await load("calc");
+  assert.deepEqual(validateSegment("calc", { ...calc, top3_recommended: ["978", "555"] }), [
+    'top3_recommended: ["555"] not in top3',
+  ]);
+  assert.deepEqual(validateSegment("calc", { ...calc, bottom2_recommended: ["88", "77"] }), [
+    'bottom2_recommended: ["77"] not in bottom2',
+  ]);
+
+  const errors = validateSegment("calc", { ...calc, top3: ["39O"], bottom2: [], running_number: 8 });
+  assert.ok(errors.includes('top3: expected 3-digit strings, got ["39O"]'));
+  assert.ok(errors.includes("bottom2: empty"));
+  assert.ok(errors.includes("running_number: expected single digit, got 8"));
+});
+
+test("digit frequency: ten distinct digits whose totals add up", async () => {
+  const { data } = await load("digit_frequency");
+  const [first, ...rest] = data;
+  assert.deepEqual(validateSegment("digit_frequency", { data: [{ ...first, total: first.total + 1 }, ...rest] }), [
+    `digit "${first.digit}": total ${first.total + 1} != top3_count ${first.top3_count} + bottom2_count ${first.bottom2_count}`,
+  ]);
+  assert.deepEqual(validateSegment("digit_frequency", { data: [...data.slice(0, 9), data[0]] }), [
+    `digit "${data[0].digit}": duplicated`,
+  ]);
+  assert.deepEqual(validateSegment("digit_frequency", { data: rest }), ["data: expected exactly 10 rows, got 9"]);
+});
+
+test("30-draw statistics: counts must sum to about 30 draws", async () => {
+  const stat = await load("statistics_30_draws");
+  const errors = validateSegment("statistics_30_draws", { ...stat, top3: stat.top3.slice(0, 3) });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^top3: counts sum to \d+ draws, expected 25-35$/);
+
+  const [entry] = stat.bottom2;
+  assert.ok(
+    validateSegment("statistics_30_draws", { ...stat, bottom2: [...stat.bottom2, entry] }).includes(
+      `bottom2: ${entry.number} duplicated`
+    )
+  );
+  assert.deepEqual(validateSegment("calc", null), ["data: must be an object"]);
+  assert.throws(() => validateSegment("stat", {}), /Unknown segment/);
+});
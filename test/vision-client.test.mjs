@@ -0,0 +1,241 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { createVisionClient, envProviderConfigs, loadVisionConfig } from "../scripts/lib/vision-client.mjs";
+import { processLottery } from "../scripts/lib/calc-reader.mjs";
+import { LOTTERY_SOURCES } from "../scripts/lib/lotteries.mjs";
+
+const MOCK_DIR = path.join(import.meta.dirname, "fixtures", "vision-mock");
+const image = Buffer.from("not really a png");
+const noWait = { sleep: async () => {} };
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "vision-"));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+let server;
+let baseUrl;
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (req.url.startsWith("/limited") && req.headers.authorization === "Bearer tok-a") {
+        res.writeHead(429, { "retry-after": "60" }).end("slow down");
+        return;
+      }
+      const content = "```json\n" + JSON.stringify({ read_by: req.url }) + "\n```";
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("env defaults keep github -> gemini -> ocr and a config file adds providers by priority", async () => {
+  const env = { GITHUB_TOKENS: "a, b", GEMINI_API_KEY: "g" };
+  const defaults = createVisionClient(envProviderConfigs(env), { env });
+  assert.deepEqual(defaults.active().map((p) => p.name), ["github", "gemini", "ocr"]);
+  assert.equal(defaults.providers.find((p) => p.name === "github").describe(), "openai/gpt-4o @ https://models.github.ai/inference (2 tokens)");
+
+  await withTempDir(async (dir) => {
+    const file = path.join(dir, "vision.json");
+    await fs.writeFile(
+      file,
+      JSON.stringify({
+        providers: {
+          gemini: { model: "gemini-2.5-flash", priority: 1 },
+          ollama: { kind: "openai", baseUrl: "http://localhost:11434/v1", model: "qwen2.5vl", auth: { scheme: "none" }, priority: 2 },
+        },
+      })
+    );
+    const configs = await loadVisionConfig({ env, file });
+    const client = createVisionClient(configs, { env });
+    assert.deepEqual(client.active().map((p) => p.name), ["gemini", "ollama", "github", "ocr"]);
+    assert.equal(client.providers.find((p) => p.name === "ollama").remote, false);
+    assert.equal(configs.gemini.model, "gemini-2.5-flash");
+
+    // VISION_PROVIDERS เลือกและเรียงเองได้
+    assert.deepEqual(createVisionClient(configs, { env, chain: ["ocr", "github"] }).active().map((p) => p.name), ["ocr", "github"]);
+  });
+
+  assert.throws(() => createVisionClient(envProviderConfigs(env), { chain: ["claude"] }), /claude/);
+  assert.throws(() => createVisionClient({ x: { kind: "smoke-signal" } }), /smoke-signal/);
+});
+
+test("OpenAI-compatible providers send the model, auth scheme and image to their base URL", async () => {
+  received.length = 0;
+  const env = { AZURE_KEY: "az-key" };
+  const client = createVisionClient(
+    {
+      llama: { kind: "openai", baseUrl: `${baseUrl}/v1/`, model: "llava", auth: { scheme: "none" }, rateLimit: { maxCalls: 1 } },
+      azure: { kind: "openai", baseUrl: `${baseUrl}/azure`, model: "gpt-4o", auth: { scheme: "header", header: "api-key", env: "AZURE_KEY" } },
+    },
+    { env, ...noWait }
+  );
+
+  assert.deepEqual(await client.read("calc", "read it", image), { data: { read_by: "/v1/chat/completions" }, provider: "llama" });
+  const [request] = received;
+  assert.equal(request.headers.authorization, undefined);
+  assert.equal(request.body.model, "llava");
+  assert.equal(request.body.messages[0].content[1].image_url.url, `data:image/png;base64,${image.toString("base64")}`);
+
+  // llama ครบโควตาของรอบแล้ว ไปต่อที่ azure ซึ่งใช้ header api-key
+  assert.equal((await client.read("calc", "read it", image)).provider, "azure");
+  assert.equal(received[1].url, "/azure/chat/completions");
+  assert.equal(received[1].headers["api-key"], "az-key");
+});
+
+test("a 429 cools that token down and the next token in the pool is used", async () => {
+  received.length = 0;
+  const env = { POOL: "tok-a,tok-b" };
+  const client = createVisionClient(
+    { pool: { kind: "openai", baseUrl: `${baseUrl}/limited`, model: "m", auth: { scheme: "bearer", env: "POOL" }, remote: true } },
+    { env, fastRun: true, random: () => 0, ...noWait }
+  );
+  const { data } = await client.read("calc", "p", image);
+  assert.equal(data.read_by, "/limited/chat/completions");
+  assert.deepEqual(received.map((r) => r.headers.authorization), ["Bearer tok-a", "Bearer tok-b"]);
+
+  // tok-a ยังติด cooldown รอบถัดไปจึงใช้ tok-b ทันที
+  await client.read("calc", "p", image);
+  assert.equal(received[2].headers.authorization, "Bearer tok-b");
+  assert.deepEqual(client.stats().pool, { calls: 2, ok: 2, failed: 0, retries: 1, rate_limited: 1, server_errors: 0 });
+});
+
+test("a provider over its own rate limit falls through to the next one", async () => {
+  const client = createVisionClient(
+    {
+      primary: { kind: "mock", dir: MOCK_DIR, priority: 1, rateLimit: { maxCalls: 1 } },
+      backup: { kind: "mock", dir: MOCK_DIR, priority: 2 },
+    },
+    noWait
+  );
+  assert.equal((await client.read("calc", "p", image)).provider, "primary");
+  assert.equal((await client.read("calc", "p", image)).provider, "backup");
+});
+
+test("the global AI budget only counts remote providers", async () => {
+  const client = createVisionClient(
+    { remote: { kind: "mock", dir: MOCK_DIR, remote: true }, local: { kind: "mock", dir: MOCK_DIR } },
+    { chain: ["remote"], maxCalls: 1, ...noWait }
+  );
+  await client.read("calc", "p", image);
+  await assert.rejects(client.read("calc", "p", image), /MAX_AI_CALLS_PER_RUN=1/);
+});
+
+test("consensus never pairs a model with ocr and re-reads with a lone model instead", async () => {
+  const configs = { model: { kind: "mock", dir: MOCK_DIR, priority: 1 }, ocr: { kind: "ocr", priority: 2 } };
+  const client = createVisionClient(configs, noWait);
+  const { consensus, provider } = await client.readConsensus("calc", "p", image);
+  assert.deepEqual(consensus.providers, ["model#1", "model#2"]);
+  assert.equal(consensus.needs_review, false);
+  assert.equal(provider, "model");
+  assert.deepEqual(client.stats().ocr, undefined);
+});
+
+test("responses recorded from a remote provider are replayed by the mock provider", () =>
+  withTempDir(async (recordDir) => {
+    const live = createVisionClient(
+      { remote: { kind: "openai", baseUrl: `${baseUrl}/v1`, model: "m", auth: { scheme: "none" }, remote: true } },
+      { recordDir, ...noWait }
+    );
+    const { data } = await live.read("digit_frequency", "p", image);
+
+    const replay = createVisionClient({ mock: { kind: "mock", dir: recordDir } }, noWait);
+    assert.deepEqual(await replay.read("digit_frequency", "p", image), { data, provider: "mock" });
+    await assert.rejects(replay.read("digit_frequency", "p", Buffer.from("another image")), /no recorded response/);
+  }));
+
+test("processLottery reads all three segments offline through the mock provider", () =>
+  withTempDir(async (dir) => {
+    const source = LOTTERY_SOURCES.find((s) => s.id === "gsb");
+    const imagesDir = path.join(dir, "images");
+    await fs.mkdir(imagesDir);
+    for (const n of [1, 2, 3]) {
+      await fs.writeFile(path.join(imagesDir, `${source.imagePrefix || source.id}_${n}.png`), `image ${n}`);
+    }
+    const vision = createVisionClient(envProviderConfigs({ VISION_MOCK_DIR: MOCK_DIR }), { chain: ["mock"], ...noWait });
+    const cacheStore = {};
+    const failures = [];
+
+    const output = await processLottery(source, cacheStore, failures, {
+      vision,
+      imagesDir,
+      publicDir: path.join(dir, "public"),
+      historyDir: path.join(dir, "history"),
+      fastRun: true,
+    });
+
+    const recorded = JSON.parse(await fs.readFile(path.join(MOCK_DIR, "calc.json"), "utf8"));
+    assert.deepEqual(failures, []);
+    assert.equal(output.lottery, "gsb");
+    assert.deepEqual(output.daily_calculation, recorded);
+    assert.equal(output.digit_frequency.data.length, 10);
+    assert.deepEqual(output.segment_sources, {
+      daily_calculation: "ai",
+      digit_frequency: "ai",
+      statistics_30_draws: "ai",
+    });
+    assert.equal(cacheStore["gsb:calc"].provider, "mock");
+
+    // รอบถัดไปรูปเดิม ใช้ cache ไม่ต้องอ่านใหม่
+    const again = await processLottery(source, cacheStore, failures, {
+      vision: createVisionClient({}),
+      imagesDir,
+      publicDir: path.join(dir, "public"),
+      historyDir: path.join(dir, "history"),
+    });
+    assert.equal(again.segment_sources.daily_calculation, "cache");
+  }));
+
+test("a DOM dump captured for older images is ignored", () =>
+  withTempDir(async (dir) => {
+    const source = LOTTERY_SOURCES.find((s) => s.id === "gsb");
+    const prefix = source.imagePrefix || source.id;
+    const imagesDir = path.join(dir, "images");
+    await fs.mkdir(imagesDir);
+    for (const n of [1, 2, 3]) await fs.writeFile(path.join(imagesDir, `${prefix}_${n}.png`), `image ${n}`);
+
+    const recorded = JSON.parse(await fs.readFile(path.join(MOCK_DIR, "calc.json"), "utf8"));
+    const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+    const writeDom = (hashes) =>
+      fs.writeFile(
+        path.join(imagesDir, `${prefix}_dom.json`),
+        JSON.stringify({ captured_at: "2026-10-01T00:00:00Z", image_hashes: hashes, daily_calculation: recorded })
+      );
+    const run = () =>
+      processLottery(source, {}, [], {
+        vision: createVisionClient(envProviderConfigs({ VISION_MOCK_DIR: MOCK_DIR }), { chain: ["mock"], ...noWait }),
+        imagesDir,
+        publicDir: path.join(dir, "public"),
+        historyDir: path.join(dir, "history"),
+        fastRun: true,
+      });
+
+    await writeDom({ [`${prefix}_1.png`]: sha256("image 1") });
+    assert.equal((await run()).segment_sources.daily_calculation, "dom");
+
+    // รูปถูกจับใหม่แต่ DOM ยังเป็นของชุดเก่า
+    await writeDom({ [`${prefix}_1.png`]: sha256("older image 1") });
+    assert.equal((await run()).segment_sources.daily_calculation, "ai");
+
+    // ไฟล์เก่าที่ไม่มี hash: รูปใหม่กว่า captured_at
+    await writeDom(undefined);
+    assert.equal((await run()).segment_sources.daily_calculation, "ai");
+  }));